@@ -4,7 +4,9 @@ import Layout from './components/Layout'
 import Dashboard from './components/Dashboard'
 import Chaos from './components/Chaos'
 import Logs from './components/Logs'
+import Alerts from './components/Alerts'
 import Architecture from './components/Architecture'
+import Users from './components/Users'
 import Login from './components/Login'
 import Register from './components/Register'
 import ProtectedRoute from './components/ProtectedRoute'
@@ -22,7 +24,9 @@ function App() {
             <Route index element={<Dashboard />} />
             <Route path="chaos" element={<Chaos />} />
             <Route path="logs" element={<Logs />} />
+            <Route path="alerts" element={<Alerts />} />
             <Route path="architecture" element={<Architecture />} />
+            <Route path="users" element={<Users />} />
           </Route>
         </Route>
       </Routes>
@@ -0,0 +1,98 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+
+// Send the session token with every API call
+axios.interceptors.request.use(config => {
+    const token = localStorage.getItem('token');
+    if (token) config.headers['x-auth-token'] = token;
+    return config;
+});
+
+let currentUser = null; // pending or settled /api/auth/me request
+let refreshing = null; // one refresh at a time: a refresh token works once
+
+// A 401 from these means bad credentials, not an expired access token
+const NO_RETRY = ['/api/auth/login', '/api/auth/register', '/api/auth/refresh'];
+
+const refreshSession = () => {
+    if (!refreshing) {
+        refreshing = axios.post('/api/auth/refresh', { refreshToken: localStorage.getItem('refreshToken') })
+            .then(res => startSession(res.data))
+            .finally(() => {
+                refreshing = null;
+            });
+    }
+    return refreshing;
+};
+
+// Get a new access token. If the refresh fails too the session is over.
+export const renewSession = async () => {
+    try {
+        await refreshSession();
+    } catch (err) {
+        endSession();
+        window.location.assign('/login');
+        throw err;
+    }
+};
+
+// Access tokens are short-lived: on a 401, refresh once and retry
+axios.interceptors.response.use(null, async error => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config || config.retried || NO_RETRY.includes(config.url) || !localStorage.getItem('refreshToken')) {
+        throw error;
+    }
+
+    try {
+        await renewSession();
+    } catch {
+        throw error;
+    }
+    return axios({ ...config, retried: true });
+});
+
+export const fetchCurrentUser = () => {
+    if (!currentUser) {
+        currentUser = axios.get('/api/auth/me')
+            .then(res => res.data)
+            .catch(err => {
+                currentUser = null;
+                throw err;
+            });
+    }
+    return currentUser;
+};
+
+export const startSession = ({ token, refreshToken }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    currentUser = null;
+};
+
+export const endSession = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    currentUser = null;
+};
+
+// Revoke the tokens server-side, then forget them whatever the outcome
+export const logout = () =>
+    axios.post('/api/auth/logout', { refreshToken: localStorage.getItem('refreshToken') })
+        .catch(err => console.error('Logout request failed', err))
+        .finally(endSession);
+
+// The signed-in user with their permissions, or null until loaded
+export const useCurrentUser = () => {
+    const [user, setUser] = useState(null);
+
+    useEffect(() => {
+        fetchCurrentUser()
+            .then(setUser)
+            .catch(err => console.error('Failed to load current user', err));
+    }, []);
+
+    return user;
+};
+
+// The server enforces permissions; this only decides what to show
+export const can = (user, permission) => Boolean(user?.permissions?.includes(permission));
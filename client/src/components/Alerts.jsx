@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import { Bell, BellRing, CheckCircle, Clock, Send } from 'lucide-react';
+import axios from 'axios';
+
+const STATE_STYLES = {
+  firing: 'bg-red-500/20 text-red-400',
+  pending: 'bg-yellow-500/20 text-yellow-400',
+  resolved: 'bg-green-500/20 text-green-400',
+  inactive: 'bg-gray-700 text-gray-400',
+};
+
+const SEVERITY_STYLES = {
+  critical: 'text-red-400',
+  warning: 'text-yellow-400',
+  info: 'text-blue-400',
+};
+
+const formatLabels = labels => Object.entries(labels || {}).map(([name, value]) => `${name}=${value}`).join(', ');
+
+const StateBadge = ({ state }) => (
+  <span className={`px-2 py-0.5 rounded text-xs font-medium capitalize ${STATE_STYLES[state] || STATE_STYLES.inactive}`}>{state}</span>
+);
+
+const Alerts = () => {
+  const [rules, setRules] = useState([]);
+  const [active, setActive] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [error, setError] = useState('');
+
+  // Rules and active alerts are per pod; history covers every pod
+  useEffect(() => {
+    const fetchAlerts = () =>
+      Promise.all([axios.get('/api/alerts/rules'), axios.get('/api/alerts'), axios.get('/api/alerts/history?limit=50')])
+        .then(([rulesRes, activeRes, historyRes]) => {
+          setRules(rulesRes.data);
+          setActive(activeRes.data);
+          setHistory(historyRes.data);
+          setError('');
+        })
+        .catch(err => setError(err.response?.data?.message || 'Failed to load alerts'));
+
+    const interval = setInterval(fetchAlerts, 10000);
+    fetchAlerts();
+    return () => clearInterval(interval);
+  }, []);
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <header className="mb-8">
+        <h2 className="text-3xl font-bold text-white mb-2 flex items-center gap-3">
+          <Bell className="text-yellow-400" /> Alerts
+        </h2>
+        <p className="text-gray-400 text-sm">
+          Rules evaluated on {active ? active.hostname : 'this pod'} over its own metrics and health checks.
+          {active && (active.webhooks.length > 0
+            ? ` Notifications go to ${active.webhooks.join(', ')}.`
+            : ' No webhook targets configured (ALERT_WEBHOOK_URLS).')}
+        </p>
+      </header>
+
+      {error && <div className="bg-red-500/10 text-red-400 p-3 rounded-lg mb-4 text-sm">{error}</div>}
+
+      {active?.active.length > 0 && (
+        <div className="space-y-3 mb-8">
+          {active.active.map(alert => (
+            <div
+              key={`${alert.rule}-${formatLabels(alert.labels)}`}
+              className={`p-4 rounded-xl border flex items-center gap-4 ${alert.state === 'firing' ? 'bg-red-500/10 border-red-500/30' : 'bg-yellow-500/10 border-yellow-500/30'}`}
+            >
+              {alert.state === 'firing' ? <BellRing className="text-red-400" /> : <Clock className="text-yellow-400" />}
+              <div className="flex-1">
+                <div className="text-white font-medium">
+                  {alert.rule} {alert.labels && Object.keys(alert.labels).length > 0 && <span className="text-gray-400 font-normal">({formatLabels(alert.labels)})</span>}
+                </div>
+                <div className="text-sm text-gray-400">{alert.description}</div>
+              </div>
+              <div className="text-right text-sm">
+                <StateBadge state={alert.state} />
+                <div className="text-gray-500 text-xs mt-1">
+                  {alert.value} &gt; {alert.threshold} since {new Date(alert.activeAt).toLocaleTimeString()}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="bg-gray-800/50 rounded-2xl p-6 border border-gray-700 mb-8">
+        <h3 className="text-xl font-bold mb-4 text-white">Rules</h3>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-700">
+              <th className="py-2">Rule</th>
+              <th>Condition</th>
+              <th>For</th>
+              <th>Severity</th>
+              <th>State</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map(rule => (
+              <tr key={rule.name} className="border-b border-gray-800">
+                <td className="py-3">
+                  <div className="text-white">{rule.name}</div>
+                  <div className="text-xs text-gray-500">{rule.description}</div>
+                </td>
+                <td className="font-mono text-xs text-gray-300" title={rule.signalDescription}>
+                  {rule.signal}{rule.window && `[${rule.window}]`} &gt; {rule.above}
+                </td>
+                <td className="text-gray-400">{rule.for}</td>
+                <td className={`capitalize ${SEVERITY_STYLES[rule.severity] || 'text-gray-400'}`}>{rule.severity}</td>
+                <td><StateBadge state={rule.state} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="bg-gray-800/50 rounded-2xl p-6 border border-gray-700">
+        <h3 className="text-xl font-bold mb-4 text-white">History</h3>
+        {history.length === 0 ? (
+          <p className="text-gray-500 text-sm flex items-center gap-2"><CheckCircle size={16} /> No alert has fired yet.</p>
+        ) : (
+          <div className="space-y-3">
+            {history.map(alert => (
+              <div key={alert.id} className="flex items-start gap-4 text-sm border-b border-gray-800 pb-3">
+                <StateBadge state={alert.state} />
+                <div className="flex-1">
+                  <div className="text-white">
+                    {alert.rule} <span className="text-gray-500">on {alert.hostname}</span>
+                    {Object.keys(alert.labels || {}).length > 0 && <span className="text-gray-400"> ({formatLabels(alert.labels)})</span>}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    Fired {new Date(alert.firedAt).toLocaleString()}
+                    {alert.resolvedAt && `, resolved after ${Math.round((new Date(alert.resolvedAt) - new Date(alert.firedAt)) / 1000)}s`}
+                  </div>
+                </div>
+                <div className="text-xs text-gray-500 text-right space-y-1">
+                  {(alert.notifications || []).map((report, index) => (
+                    <div key={index} className={`flex items-center gap-1 justify-end ${report.status === 'failed' ? 'text-red-400' : ''}`}>
+                      <Send size={12} /> {report.event} to {report.target}: {report.status}
+                      {report.attempts > 1 && ` after ${report.attempts} attempts`}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Alerts;
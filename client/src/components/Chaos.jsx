@@ -1,5 +1,6 @@
 import React from 'react';
 import ChaosControl from './ChaosControl';
+import LoadTests from './LoadTests';
 import { Skull, AlertTriangle, Info } from 'lucide-react';
 
 const Chaos = () => {
@@ -31,6 +32,9 @@ const Chaos = () => {
               <li>
                 <strong className="text-white">Gravity Simulator:</strong> Generates CPU load. The Horizontal Pod Autoscaler (HPA) triggers when CPU > 50% and adds more pods.
               </li>
+              <li>
+                <strong className="text-white">Traffic Generator:</strong> Sends HTTP traffic with a constant, ramp or spike profile and records throughput, error rate and p50/p95/p99 latency for each run.
+              </li>
               <li>
                 <strong className="text-white">Kill Pod:</strong> Terminates the current Node.js process. Kubernetes Liveness Probe detects the failure and restarts the pod.
               </li>
@@ -60,6 +64,10 @@ const Chaos = () => {
            </div>
         </div>
       </div>
+
+      <div className="mt-8">
+        <LoadTests />
+      </div>
     </div>
   );
 };
@@ -1,15 +1,19 @@
 import React, { useState } from 'react';
 import { Skull, AlertTriangle, Play } from 'lucide-react';
 import axios from 'axios';
+import { useCurrentUser, can } from '../auth';
 
 const ChaosControl = () => {
     const [loading, setLoading] = useState(false);
     const [result, setResult] = useState(null);
+    const user = useCurrentUser();
+    const canRunLoad = can(user, 'load:run');
+    const canRunChaos = can(user, 'chaos:run');
 
     const triggerKill = async () => {
         setLoading(true);
         try {
-            const res = await axios.post('/api/chaos/kill');
+            const res = await axios.post('/chaos/kill');
             setResult(`Chaos Initiated: ${res.data.status}`);
             // Reload page after a delay to show recovery
             setTimeout(() => {
@@ -22,13 +26,22 @@ const ChaosControl = () => {
         }
     };
 
+    // /load returns a job id right away; poll the job until it finishes
     const triggerLoad = async (duration) => {
         setLoading(true);
         try {
             const res = await axios.get(`/load?duration=${duration}`);
-            setResult(`Load Test Complete: ${res.data.iterations} iterations`);
+            setResult(`Load job started on ${res.data.hostname} (${res.data.cores} core, ${duration}s)`);
+
+            let job = null;
+            do {
+                await new Promise(resolve => setTimeout(resolve, 1000));
+                job = (await axios.get(`/load/jobs/${res.data.jobId}`)).data;
+            } while (job.status === 'running');
+
+            setResult(`Load Test ${job.status}: ${job.iterations} iterations in ${job.elapsed}s`);
         } catch (err) {
-            setResult('Error triggering load');
+            setResult(err.response?.data?.message || 'Error triggering load');
         } finally {
             setLoading(false);
         }
@@ -41,6 +54,13 @@ const ChaosControl = () => {
             </h3>
             
             <div className="space-y-4">
+                {user && !canRunLoad && !canRunChaos && (
+                    <p className="text-sm text-gray-400">
+                        Your role (<span className="capitalize">{user.role}</span>) can watch experiments but not run them. Ask an admin for access.
+                    </p>
+                )}
+
+                {canRunLoad && (
                 <div className="p-4 bg-red-500/10 border border-red-500/30 rounded-xl">
                     <h4 className="font-semibold text-red-400 mb-2 flex items-center gap-2">
                         <AlertTriangle size={16} /> Gravity Simulator (CPU Load)
@@ -60,7 +80,9 @@ const ChaosControl = () => {
                         ))}
                     </div>
                 </div>
+                )}
 
+                {canRunChaos && (
                 <div className="p-4 bg-gray-700/30 border border-gray-600 rounded-xl">
                     <h4 className="font-semibold text-gray-400 mb-2 flex items-center gap-2">
                         <Skull size={16} /> Kill Pod
@@ -74,6 +96,7 @@ const ChaosControl = () => {
                         Kill Application Process
                     </button>
                 </div>
+                )}
             </div>
 
             {loading && (
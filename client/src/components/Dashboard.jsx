@@ -1,26 +1,30 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { Activity, Shield, Box, Server, Cpu, Zap, ArrowUp } from 'lucide-react';
+import { Activity, Shield, Box, Server, Cpu, Zap, ArrowUp, Target, Flame } from 'lucide-react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
 import axios from 'axios';
 
+// Each view charts series in one unit from /api/metrics/history
+const CHART_VIEWS = {
+  memory: { label: 'Memory', unit: 'MB', series: [{ key: 'heapUsedMb', name: 'Heap', color: '#8b5cf6' }, { key: 'rssMb', name: 'RSS', color: '#06b6d4' }] },
+  cpu: { label: 'CPU', unit: '%', series: [{ key: 'cpuPercent', name: 'CPU', color: '#f59e0b' }] },
+  lag: { label: 'Event Loop', unit: 'ms', series: [{ key: 'eventLoopLagMs', name: 'p99 lag', color: '#ef4444' }] },
+  requests: { label: 'Requests', unit: 'req/s', series: [{ key: 'requestsPerSec', name: 'Requests', color: '#22c55e' }] },
+};
+
 const Dashboard = () => {
   const [health, setHealth] = useState(null);
   const [requests, setRequests] = useState(0);
   const [metricsHistory, setMetricsHistory] = useState([]);
+  const [chartView, setChartView] = useState('memory');
+  const [recoveries, setRecoveries] = useState(null);
+  const [slo, setSlo] = useState(null);
   
   const fetchHealth = async () => {
     try {
       const res = await axios.get('/health');
       setHealth(res.data);
       setRequests(prev => prev + 1);
-      
-      // Simulate tracking metrics over time for chart
-      setMetricsHistory(prev => {
-        const newHistory = [...prev, { time: new Date().toLocaleTimeString(), memory: parseInt(res.data.memory.used) }];
-        return newHistory.slice(-20); // Keep last 20 points
-      });
-
     } catch (err) {
       console.error("Health check failed", err);
     }
@@ -31,6 +35,46 @@ const Dashboard = () => {
     return () => clearInterval(interval);
   }, []);
 
+  // Restart history changes rarely; poll it slower than /health
+  useEffect(() => {
+    const fetchRecoveries = () =>
+      axios.get('/api/recoveries?limit=5')
+        .then(res => setRecoveries(res.data))
+        .catch(err => console.error('Failed to fetch restart history', err));
+
+    const interval = setInterval(fetchRecoveries, 10000);
+    fetchRecoveries();
+    return () => clearInterval(interval);
+  }, []);
+
+  // Last hour from every pod, stored server-side so restarts keep it
+  useEffect(() => {
+    const fetchMetricsHistory = () =>
+      axios.get('/api/metrics/history?step=30')
+        .then(res => setMetricsHistory(res.data.points.map(point => ({ ...point, time: new Date(point.at).toLocaleTimeString() }))))
+        .catch(err => console.error('Failed to fetch metrics history', err));
+
+    const interval = setInterval(fetchMetricsHistory, 15000);
+    fetchMetricsHistory();
+    return () => clearInterval(interval);
+  }, []);
+
+  // Error budgets move slowly; chaos runs show up here once they start
+  useEffect(() => {
+    const fetchSlo = () =>
+      axios.get('/api/slo')
+        .then(res => setSlo(res.data))
+        .catch(err => console.error('Failed to fetch SLO status', err));
+
+    const interval = setInterval(fetchSlo, 15000);
+    fetchSlo();
+    return () => clearInterval(interval);
+  }, []);
+
+  const stats = recoveries?.stats;
+  const lastIncident = recoveries?.incidents.find(incident => incident.recoveredAt);
+  const view = CHART_VIEWS[chartView];
+
   return (
     <div className="max-w-6xl mx-auto">
       <header className="mb-8">
@@ -41,7 +85,12 @@ const Dashboard = () => {
       {/* Stats Grid */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
         <StatCard icon={<Cpu />} label="Memory Usage" value={health ? health.memory.used : '-'} color="purple" />
-        <StatCard icon={<Shield />} label="Resilience Score" value={health ? `${health.survivorCount * 10}%` : '-'} color="green" />
+        <StatCard
+          icon={<Shield />}
+          label={stats ? `MTTR over ${stats.recovered} recovered incident(s)` : 'Mean Time to Recovery'}
+          value={stats?.mttrSeconds != null ? `${stats.mttrSeconds}s` : '-'}
+          color="green"
+        />
         <StatCard icon={<Activity />} label="Requests Handled" value={requests} color="blue" />
         <StatCard icon={<Box />} label="Current Pod" value={health ? health.hostname : '-'} color="orange" />
       </div>
@@ -49,17 +98,32 @@ const Dashboard = () => {
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         {/* Main Chart */}
         <div className="lg:col-span-2 bg-gray-800/50 rounded-2xl p-6 border border-gray-700 backdrop-blur-sm">
-            <h3 className="text-xl font-bold mb-6 flex items-center gap-2 text-white">
-                <Zap className="text-yellow-400" /> Live Resource Usage
-            </h3>
+            <div className="flex items-center justify-between mb-6">
+                <h3 className="text-xl font-bold flex items-center gap-2 text-white">
+                    <Zap className="text-yellow-400" /> Resource Usage <span className="text-sm font-normal text-gray-500">last hour</span>
+                </h3>
+                <div className="flex gap-1">
+                    {Object.entries(CHART_VIEWS).map(([name, option]) => (
+                        <button
+                            key={name}
+                            onClick={() => setChartView(name)}
+                            className={`px-2 py-1 rounded text-xs ${chartView === name ? 'bg-indigo-500/20 text-indigo-300' : 'text-gray-400 hover:text-white'}`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
             <div className="h-64">
                 <ResponsiveContainer width="100%" height="100%">
                     <LineChart data={metricsHistory}>
                         <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
                         <XAxis dataKey="time" stroke="#9ca3af" tick={{fontSize: 10}} />
-                        <YAxis stroke="#9ca3af" tick={{fontSize: 10}} />
+                        <YAxis stroke="#9ca3af" tick={{fontSize: 10}} unit={` ${view.unit}`} width={70} />
                         <Tooltip contentStyle={{ backgroundColor: '#1f2937', border: 'none', borderRadius: '0.5rem' }} />
-                        <Line type="monotone" dataKey="memory" stroke="#8b5cf6" strokeWidth={2} dot={false} activeDot={{r: 6}} />
+                        {view.series.map(series => (
+                            <Line key={series.key} type="monotone" dataKey={series.key} name={series.name} unit={` ${view.unit}`} stroke={series.color} strokeWidth={2} dot={false} activeDot={{r: 6}} />
+                        ))}
                     </LineChart>
                 </ResponsiveContainer>
             </div>
@@ -72,10 +136,17 @@ const Dashboard = () => {
                  <Server className="text-indigo-400" /> System Status
                </h3>
                
-               <div className="flex items-center gap-3 mb-6 p-4 bg-green-500/10 rounded-xl border border-green-500/20">
-                  <div className="w-3 h-3 bg-green-500 rounded-full animate-pulse"></div>
-                  <span className="text-green-400 font-medium">All Systems Operational</span>
-               </div>
+               {health && health.status === 'degraded' ? (
+                  <div className="flex items-center gap-3 mb-6 p-4 bg-yellow-500/10 rounded-xl border border-yellow-500/20">
+                     <div className="w-3 h-3 bg-yellow-500 rounded-full animate-pulse"></div>
+                     <span className="text-yellow-400 font-medium">Degraded: {health.degraded.join(', ')}</span>
+                  </div>
+               ) : (
+                  <div className="flex items-center gap-3 mb-6 p-4 bg-green-500/10 rounded-xl border border-green-500/20">
+                     <div className="w-3 h-3 bg-green-500 rounded-full animate-pulse"></div>
+                     <span className="text-green-400 font-medium">All Systems Operational</span>
+                  </div>
+               )}
                
                <div className="space-y-4">
                   <div className="flex justify-between text-sm">
@@ -87,8 +158,22 @@ const Dashboard = () => {
                      <span className="text-white">Active</span>
                   </div>
                    <div className="flex justify-between text-sm">
-                     <span className="text-gray-400">Database (Redis)</span>
-                     <span className="text-white">Connected</span>
+                     <span className="text-gray-400">Cache (Redis)</span>
+                     <DependencyStatus status={health?.checks.redis} />
+                  </div>
+                   <div className="flex justify-between text-sm">
+                     <span className="text-gray-400">Database</span>
+                     <DependencyStatus status={health?.checks.database} />
+                  </div>
+                   <div className="flex justify-between text-sm">
+                     <span className="text-gray-400">Restarts (crashes)</span>
+                     <span className="text-white">{stats ? `${stats.restarts} (${stats.crashes})` : '-'}</span>
+                  </div>
+                   <div className="flex justify-between text-sm">
+                     <span className="text-gray-400">Last Recovery</span>
+                     <span className="text-white">
+                       {lastIncident ? `${lastIncident.hostname} in ${lastIncident.timeToRecoverySeconds}s` : '-'}
+                     </span>
                   </div>
                </div>
             </div>
@@ -101,10 +186,91 @@ const Dashboard = () => {
             </div>
         </div>
       </div>
+
+      {/* Error Budgets */}
+      {slo && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 mt-8">
+          <div className="lg:col-span-2 bg-gray-800/50 rounded-2xl p-6 border border-gray-700 backdrop-blur-sm">
+            <h3 className="text-xl font-bold mb-6 flex items-center gap-2 text-white">
+              <Target className="text-green-400" /> Error Budgets
+            </h3>
+            <div className="space-y-6">
+              {slo.slos.map(objective => <ErrorBudget key={objective.name} slo={objective} />)}
+            </div>
+          </div>
+
+          <div className="bg-gray-800/50 rounded-2xl p-6 border border-gray-700 backdrop-blur-sm">
+            <h3 className="text-xl font-bold mb-6 flex items-center gap-2 text-white">
+              <Flame className="text-red-400" /> Budget Used by Chaos
+            </h3>
+            {!slo.experiments?.length ? (
+              <p className="text-gray-500 text-sm">{slo.experiments ? 'No chaos runs yet.' : 'Run history unavailable.'}</p>
+            ) : (
+              <div className="space-y-4">
+                {slo.experiments.map(run => (
+                  <div key={run.id} className="text-sm">
+                    <div className="flex justify-between">
+                      <span className="text-white">{run.experiment}</span>
+                      <span className="text-gray-500 text-xs">{new Date(run.startedAt).toLocaleString()}</span>
+                    </div>
+                    {run.slos.map(usage => (
+                      <div key={usage.name} className="flex justify-between text-xs text-gray-400">
+                        <span>{usage.name}</span>
+                        <span className={usage.budgetUsed > 0 ? 'text-yellow-400' : ''}>
+                          {formatPercent(usage.budgetUsed)} of budget ({usage.bad} bad of {usage.total})
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
 
+const formatPercent = fraction => `${(fraction * 100).toFixed(fraction !== 0 && Math.abs(fraction) < 0.1 ? 2 : 1)}%`;
+
+const ErrorBudget = ({ slo }) => {
+    const remaining = Math.max(0, Math.min(1, slo.errorBudget.remaining));
+    // The shortest pair (1h/5m) says what is happening right now
+    const current = slo.burnRates[0];
+    const alerting = slo.burnRates.filter(pair => pair.alerting);
+    const color = slo.errorBudget.remaining <= 0 ? 'bg-red-500' : slo.errorBudget.remaining < 0.25 ? 'bg-yellow-500' : 'bg-green-500';
+
+    return (
+        <div>
+            <div className="flex justify-between text-sm mb-2">
+                <span className="text-white" title={slo.description}>{slo.name} <span className="text-gray-500">({formatPercent(slo.objective)} over {slo.window})</span></span>
+                <span className="text-gray-400">
+                    SLI {slo.sli.ratio === null ? '-' : formatPercent(slo.sli.ratio)} · {formatPercent(slo.errorBudget.remaining)} budget left
+                </span>
+            </div>
+            <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
+                <div className={`h-full ${color}`} style={{ width: `${remaining * 100}%` }}></div>
+            </div>
+            <div className="flex justify-between text-xs mt-2 text-gray-500">
+                <span>{slo.errorBudget.spent} bad of {Math.floor(slo.errorBudget.allowed)} allowed</span>
+                {alerting.length > 0 ? (
+                    <span className="text-red-400">Burning {alerting[0].longRate}x over {alerting[0].long} ({alerting[0].severity})</span>
+                ) : current && (
+                    <span>Burn rate {current.shortRate}x over {current.short}</span>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const DependencyStatus = ({ status }) => {
+    if (!status) return <span className="text-gray-500">-</span>;
+    return status === 'ok'
+        ? <span className="text-white">Connected</span>
+        : <span className="text-yellow-400 capitalize">{status}</span>;
+};
+
 const StatCard = ({ icon, label, value, color }) => (
     <motion.div 
         initial={{ opacity: 0, y: 20 }}
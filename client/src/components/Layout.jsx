@@ -1,8 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { Outlet, NavLink, useNavigate } from 'react-router-dom';
-import { LayoutDashboard, Zap, FileText, Server, Activity } from 'lucide-react';
+import { LayoutDashboard, Zap, FileText, Server, Activity, Users, Bell } from 'lucide-react';
 import { motion } from 'framer-motion';
-import { jwtDecode } from 'jwt-decode';
+import { useCurrentUser, logout, can } from '../auth';
 
 const SidebarItem = ({ to, icon: Icon, label }) => (
   <NavLink
@@ -22,31 +22,11 @@ const SidebarItem = ({ to, icon: Icon, label }) => (
 
 const Layout = () => {
   const navigate = useNavigate();
-  const [username, setUsername] = useState('Operator');
+  const user = useCurrentUser();
+  const username = user ? user.username : 'Operator';
 
-  useEffect(() => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      try {
-        const decoded = jwtDecode(token);
-        // Assuming the token payload has user.id not username, we might need to fetch it or store it.
-        // For simplicity, let's assume we can fetch it or just show "User".
-        // Actually the backend payload is { user: { id, role } }. 
-        // We should update backend to include username in token or fetch /api/auth/me.
-        // For now, let's fetch /api/auth/me or just default.
-        // To be safe and quick, I'll fetch /api/auth/me here or just show role.
-        // Let's rely on a helper or just "User" for now to avoid complexity in this step.
-        // Wait, I can't easily fetch here without axios setup with headers.
-        // I'll just decode and check if I can get role.
-        if (decoded.user.role) setUsername(decoded.user.role === 'admin' ? 'Admin' : 'User');
-      } catch (e) {
-        console.error(e);
-      }
-    }
-  }, [navigate]);
-
-  const handleLogout = () => {
-    localStorage.removeItem('token');
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
   };
 
@@ -74,6 +54,8 @@ const Layout = () => {
             <SidebarItem to="/architecture" icon={Activity} label="Architecture" />
             <SidebarItem to="/chaos" icon={Zap} label="Chaos Center" />
             <SidebarItem to="/logs" icon={FileText} label="System Logs" />
+            <SidebarItem to="/alerts" icon={Bell} label="Alerts" />
+            {can(user, 'users:manage') && <SidebarItem to="/users" icon={Users} label="Users" />}
           </nav>
         </div>
 
@@ -84,6 +66,7 @@ const Layout = () => {
             </div>
             <div className="flex-1">
               <p className="text-sm font-medium truncate w-32">{username}</p>
+              {user && <p className="text-xs text-gray-500 capitalize">{user.role}</p>}
               <button 
                 onClick={handleLogout}
                 className="text-xs text-red-400 hover:text-red-300 transition-colors"
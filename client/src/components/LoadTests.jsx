@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { Gauge, Play } from 'lucide-react';
+import axios from 'axios';
+import { useCurrentUser, can } from '../auth';
+
+const PROFILES = {
+    constant: { type: 'constant', rps: 20 },
+    ramp: { type: 'ramp', startRps: 5, endRps: 100 },
+    spike: { type: 'spike', baseRps: 10, spikeRps: 150, spikeAt: 20, spikeDuration: 10 },
+};
+
+const formatMs = (value) => (value === null || value === undefined ? '-' : `${value} ms`);
+
+const LoadTests = () => {
+    const [runs, setRuns] = useState([]);
+    const [form, setForm] = useState({
+        targetUrl: `${window.location.origin}/api`,
+        profile: 'constant',
+        concurrency: 10,
+        duration: 60,
+    });
+    const [error, setError] = useState('');
+    const user = useCurrentUser();
+
+    const fetchRuns = () =>
+        axios.get('/load/traffic')
+            .then(res => setRuns(res.data))
+            .catch(err => console.error('Failed to fetch load tests', err));
+
+    useEffect(() => {
+        const interval = setInterval(fetchRuns, 3000);
+        fetchRuns();
+        return () => clearInterval(interval);
+    }, []);
+
+    const onChange = e => setForm({ ...form, [e.target.name]: e.target.value });
+
+    const startRun = async e => {
+        e.preventDefault();
+        setError('');
+        try {
+            await axios.post('/load/traffic', {
+                targetUrl: form.targetUrl,
+                profile: PROFILES[form.profile],
+                concurrency: parseInt(form.concurrency, 10),
+                duration: parseInt(form.duration, 10),
+            });
+            fetchRuns();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to start load test');
+        }
+    };
+
+    const inputClass = 'w-full bg-gray-900 border border-gray-700 text-white p-2 rounded-lg text-sm focus:outline-hidden focus:border-indigo-500';
+
+    return (
+        <div className="bg-gray-800/50 p-6 rounded-2xl border border-gray-700">
+            <h3 className="text-xl font-bold mb-4 flex items-center gap-2 text-white">
+                <Gauge className="text-indigo-400" /> Traffic Generator
+            </h3>
+
+            {can(user, 'load:run') && (
+            <form onSubmit={startRun} className="grid grid-cols-1 md:grid-cols-5 gap-3 mb-4 items-end">
+                <div className="md:col-span-2">
+                    <label className="block text-gray-400 text-xs mb-1">Target URL</label>
+                    <input name="targetUrl" value={form.targetUrl} onChange={onChange} className={inputClass} required />
+                </div>
+                <div>
+                    <label className="block text-gray-400 text-xs mb-1">Profile</label>
+                    <select name="profile" value={form.profile} onChange={onChange} className={inputClass}>
+                        {Object.keys(PROFILES).map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                    <div>
+                        <label className="block text-gray-400 text-xs mb-1">Concurrency</label>
+                        <input type="number" name="concurrency" min="1" value={form.concurrency} onChange={onChange} className={inputClass} />
+                    </div>
+                    <div>
+                        <label className="block text-gray-400 text-xs mb-1">Seconds</label>
+                        <input type="number" name="duration" min="1" value={form.duration} onChange={onChange} className={inputClass} />
+                    </div>
+                </div>
+                <button
+                    type="submit"
+                    className="px-3 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg text-sm transition-colors flex items-center justify-center gap-2"
+                >
+                    <Play size={14} /> Start
+                </button>
+            </form>
+            )}
+
+            {error && <div className="bg-red-500/10 text-red-400 p-2 rounded-lg mb-4 text-xs">{error}</div>}
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-xs text-left">
+                    <thead className="text-gray-500 uppercase tracking-wider">
+                        <tr>
+                            <th className="py-2 pr-3">Started</th>
+                            <th className="py-2 pr-3">Version</th>
+                            <th className="py-2 pr-3">Profile</th>
+                            <th className="py-2 pr-3">Status</th>
+                            <th className="py-2 pr-3">Req/s</th>
+                            <th className="py-2 pr-3">Errors</th>
+                            <th className="py-2 pr-3">p50</th>
+                            <th className="py-2 pr-3">p95</th>
+                            <th className="py-2 pr-3">p99</th>
+                        </tr>
+                    </thead>
+                    <tbody className="font-mono text-gray-300">
+                        {runs.length === 0 ? (
+                            <tr><td colSpan="9" className="py-3 text-gray-500 italic">No load tests recorded yet.</td></tr>
+                        ) : runs.map(run => (
+                            <tr key={run.id} className="border-t border-gray-700/50">
+                                <td className="py-2 pr-3">{new Date(run.startedAt).toLocaleString()}</td>
+                                <td className="py-2 pr-3">{run.version}</td>
+                                <td className="py-2 pr-3">{run.profile.type}</td>
+                                <td className={`py-2 pr-3 ${run.status === 'running' ? 'text-yellow-400' : run.status === 'completed' ? 'text-green-400' : 'text-gray-400'}`}>
+                                    {run.status}
+                                </td>
+                                <td className="py-2 pr-3">{run.results.throughput ?? '-'}</td>
+                                <td className="py-2 pr-3">
+                                    {run.results.errorRate === undefined ? '-' : `${(run.results.errorRate * 100).toFixed(1)}%`}
+                                </td>
+                                <td className="py-2 pr-3">{formatMs(run.results.latencyMs?.p50)}</td>
+                                <td className="py-2 pr-3">{formatMs(run.results.latencyMs?.p95)}</td>
+                                <td className="py-2 pr-3">{formatMs(run.results.latencyMs?.p99)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default LoadTests;
@@ -1,13 +1,37 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import axios from 'axios';
-import { Lock, User } from 'lucide-react';
+import { Lock, User, KeyRound, ShieldCheck } from 'lucide-react';
+import { startSession } from '../auth';
+
+// SSO sends the browser back here with the session, a two-factor
+// challenge or an error in the URL fragment
+const ssoResult = () => new URLSearchParams(window.location.hash.slice(1));
 
 const Login = () => {
     const [formData, setFormData] = useState({ username: '', password: '' });
-    const [error, setError] = useState('');
+    const [error, setError] = useState(() => ssoResult().get('error') || '');
+    const [sso, setSso] = useState(null);
+    // Set when the password (or SSO) was right but the account has two-factor on
+    const [challenge, setChallenge] = useState(() => ssoResult().get('challenge'));
+    const [code, setCode] = useState('');
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
     const navigate = useNavigate();
 
+    useEffect(() => {
+        const result = ssoResult();
+        if (window.location.hash) window.history.replaceState(null, '', window.location.pathname);
+        if (result.get('token')) {
+            startSession({ token: result.get('token'), refreshToken: result.get('refreshToken') });
+            navigate('/');
+            return;
+        }
+
+        axios.get('/api/auth/oidc/config')
+            .then(res => setSso(res.data.enabled ? res.data : null))
+            .catch(err => console.error('Failed to load SSO config', err));
+    }, [navigate]);
+
     const { username, password } = formData;
 
     const onChange = e => setFormData({ ...formData, [e.target.name]: e.target.value });
@@ -16,19 +40,83 @@ const Login = () => {
         e.preventDefault();
         try {
             const res = await axios.post('/api/auth/login', formData);
-            localStorage.setItem('token', res.data.token);
+            if (res.data.twoFactorRequired) {
+                setError('');
+                setChallenge(res.data.challenge);
+                return;
+            }
+            startSession(res.data);
             navigate('/');
         } catch (err) {
             setError(err.response?.data?.msg || 'Login failed');
         }
     };
 
+    const onVerify = async e => {
+        e.preventDefault();
+        try {
+            const res = await axios.post('/api/auth/2fa/verify', {
+                challenge,
+                ...(useRecoveryCode ? { recoveryCode: code } : { code }),
+            });
+            startSession(res.data);
+            navigate('/');
+        } catch (err) {
+            // An expired challenge means starting over with the password
+            if (err.response?.status === 401) setChallenge(null);
+            setCode('');
+            setError(err.response?.data?.msg || 'Verification failed');
+        }
+    };
+
     return (
         <div className="min-h-screen bg-gray-900 flex items-center justify-center p-4">
             <div className="bg-gray-800 p-8 rounded-2xl shadow-xl w-full max-w-md border border-gray-700">
                 <h2 className="text-3xl font-bold text-white mb-6 text-center">Welcome Back</h2>
                 {error && <div className="bg-red-500/10 text-red-500 p-3 rounded-lg mb-4 text-sm">{error}</div>}
                 
+                {challenge ? (
+                <form onSubmit={onVerify} className="space-y-6">
+                    <div>
+                        <label className="block text-gray-400 text-sm mb-2">
+                            {useRecoveryCode ? 'Recovery code' : 'Code from your authenticator app'}
+                        </label>
+                        <div className="relative">
+                            <ShieldCheck className="absolute left-3 top-3 text-gray-500" size={18} />
+                            <input
+                                type="text"
+                                name="code"
+                                value={code}
+                                onChange={e => setCode(e.target.value)}
+                                className="w-full bg-gray-900 border border-gray-700 text-white p-3 pl-10 rounded-lg font-mono tracking-widest focus:outline-hidden focus:border-indigo-500"
+                                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                                autoComplete="one-time-code"
+                                autoFocus
+                                required
+                            />
+                        </div>
+                    </div>
+
+                    <button
+                        type="submit"
+                        className="w-full bg-indigo-600 hover:bg-indigo-700 text-white p-3 rounded-lg font-bold transition-colors"
+                    >
+                        Verify
+                    </button>
+
+                    <button
+                        type="button"
+                        onClick={() => {
+                            setUseRecoveryCode(!useRecoveryCode);
+                            setCode('');
+                        }}
+                        className="w-full text-sm text-indigo-400 hover:text-indigo-300"
+                    >
+                        {useRecoveryCode ? 'Use your authenticator app instead' : 'Lost your device? Use a recovery code'}
+                    </button>
+                </form>
+                ) : (
                 <form onSubmit={onSubmit} className="space-y-6">
                     <div>
                         <label className="block text-gray-400 text-sm mb-2">Username</label>
@@ -69,6 +157,21 @@ const Login = () => {
                         Sign In
                     </button>
                 </form>
+                )}
+
+                {sso && !challenge && (
+                    <>
+                        <div className="flex items-center gap-3 my-6 text-gray-500 text-xs uppercase">
+                            <div className="flex-1 border-t border-gray-700" /> or <div className="flex-1 border-t border-gray-700" />
+                        </div>
+                        <a
+                            href="/api/auth/oidc/login"
+                            className="w-full bg-gray-700 hover:bg-gray-600 text-white p-3 rounded-lg font-bold transition-colors flex items-center justify-center gap-2"
+                        >
+                            <KeyRound size={18} /> Sign in with {sso.providerName}
+                        </a>
+                    </>
+                )}
 
                 <p className="mt-6 text-center text-gray-400 text-sm">
                     Don't have an account? <Link to="/register" className="text-indigo-400 hover:text-indigo-300">Sign up</Link>
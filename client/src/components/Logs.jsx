@@ -1,36 +1,145 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { FileText, RefreshCw, Download } from 'lucide-react';
+import React, { useState, useEffect, useRef, useLayoutEffect } from 'react';
+import { FileText, Pause, Play, Search } from 'lucide-react';
 import axios from 'axios';
+import { renewSession } from '../auth';
+
+const LEVELS = ['error', 'warn', 'info'];
+// Oldest lines are dropped past this, like a terminal's scrollback
+const MAX_LINES = 2000;
+const RETRY_MS = 3000;
+// Jaeger UI, for entries logged inside a traced request
+const JAEGER_URL = import.meta.env.VITE_JAEGER_URL || 'http://localhost:16686';
+
+const filtersFor = (level, query) => ({ ...(level && { level }), ...(query && { q: query }) });
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Server-Sent Events over fetch, since EventSource cannot send the auth
+// header. Resolves when the server ends the stream.
+const readStream = async (filters, lastEventId, signal, { onOpen, onEvent }) => {
+  const response = await fetch(`/api/logs/stream?${new URLSearchParams(filters)}`, {
+    headers: {
+      'x-auth-token': localStorage.getItem('token') || '',
+      ...(lastEventId && { 'Last-Event-ID': lastEventId }),
+    },
+    signal,
+  });
+  if (response.status === 401) return renewSession();
+  if (!response.ok) throw new Error(`Log stream failed with ${response.status}`);
+  onOpen();
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let pending = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    pending += decoder.decode(value, { stream: true });
+    const blocks = pending.split('\n\n');
+    pending = blocks.pop();
+    blocks.forEach(block => {
+      const event = { type: 'message', data: '' };
+      block.split('\n').forEach(line => {
+        // Lines starting with ':' are heartbeats
+        const colon = line.indexOf(':');
+        if (colon <= 0) return;
+        const field = line.slice(0, colon);
+        const fieldValue = line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'id') event.id = fieldValue;
+        if (field === 'event') event.type = fieldValue;
+        if (field === 'data') event.data += fieldValue;
+      });
+      if (event.data) onEvent(event);
+    });
+  }
+};
 
 const Logs = () => {
+  // Oldest first, like tail -f
   const [logs, setLogs] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [autoRefresh, setAutoRefresh] = useState(true);
+  const [following, setFollowing] = useState(true);
+  const [status, setStatus] = useState('connecting');
+  const [level, setLevel] = useState('');
+  const [search, setSearch] = useState('');
+  // The search box only applies on submit
+  const [query, setQuery] = useState('');
+  const [error, setError] = useState('');
   const scrollRef = useRef(null);
+  const lastEventId = useRef(null);
+  // Keep the view pinned to the newest line unless the user scrolled up
+  const atBottom = useRef(true);
+
+  // New filters start over: fresh history, and a stream from now on
+  const applyFilters = (nextLevel, nextQuery) => {
+    if (nextLevel === level && nextQuery === query) return;
+    lastEventId.current = null;
+    setLogs([]);
+    setLoading(true);
+    setLevel(nextLevel);
+    setQuery(nextQuery);
+  };
+
+  // Recent history from the query API; the stream only carries new entries
+  useEffect(() => {
+    axios.get('/api/logs', { params: filtersFor(level, query) })
+      .then(res => {
+        setLogs(current => [...res.data.entries.reverse(), ...current]);
+        setNextCursor(res.data.nextCursor);
+        setError('');
+      })
+      .catch(err => setError(err.response?.data?.message || 'Failed to fetch logs'))
+      .finally(() => setLoading(false));
+  }, [level, query]);
+
+  // Reconnects pick up where they left off through Last-Event-ID
+  useEffect(() => {
+    if (!following) return undefined;
+    const controller = new AbortController();
+    const onEvent = event => {
+      lastEventId.current = event.id || lastEventId.current;
+      const line = event.type === 'gap' ? { gap: JSON.parse(event.data).missed } : JSON.parse(event.data);
+      setLogs(current => [...current, line].slice(-MAX_LINES));
+    };
+
+    (async () => {
+      while (!controller.signal.aborted) {
+        try {
+          await readStream(filtersFor(level, query), lastEventId.current, controller.signal, {
+            onOpen: () => setStatus('live'),
+            onEvent,
+          });
+        } catch (err) {
+          if (controller.signal.aborted) return;
+          console.error('Log stream interrupted', err);
+        }
+        setStatus('reconnecting');
+        await sleep(RETRY_MS);
+      }
+    })();
+    return () => controller.abort();
+  }, [following, level, query]);
 
-  const fetchLogs = async () => {
+  useLayoutEffect(() => {
+    const el = scrollRef.current;
+    if (el && atBottom.current) el.scrollTop = el.scrollHeight;
+  }, [logs]);
+
+  const loadOlder = async () => {
     try {
-      setLoading(true);
-      const res = await axios.get('/api/logs');
-      setLogs(res.data);
+      const res = await axios.get('/api/logs', { params: { ...filtersFor(level, query), cursor: nextCursor } });
+      setLogs(current => [...res.data.entries.reverse(), ...current]);
+      setNextCursor(res.data.nextCursor);
     } catch (err) {
-      console.error("Failed to fetch logs", err);
-    } finally {
-      setLoading(false);
+      setError(err.response?.data?.message || 'Failed to fetch logs');
     }
   };
 
-  useEffect(() => {
-    fetchLogs();
-    const interval = setInterval(() => {
-      if (autoRefresh) fetchLogs();
-    }, 5000);
-    return () => clearInterval(interval);
-  }, [autoRefresh]);
-  
-  // Auto-scroll to bottom of logs on initial load or manual refresh if desired, 
-  // but usually for tailing logs we want newest at *bottom* or *top*. 
-  // Backend returns newest first in array due to .reverse(), so we render list as is.
+  const onScroll = () => {
+    const el = scrollRef.current;
+    atBottom.current = el.scrollHeight - el.scrollTop - el.clientHeight < 24;
+  };
 
   return (
     <div className="max-w-6xl mx-auto h-[calc(100vh-8rem)] flex flex-col">
@@ -39,27 +148,46 @@ const Logs = () => {
            <h2 className="text-3xl font-bold text-white mb-2 flex items-center gap-3">
              <FileText className="text-gray-400" /> System Logs
            </h2>
-           <p className="text-gray-400 text-sm">Live stream from `combined.log` (Last 100 lines)</p>
-        </div>
-        
-        <div className="flex gap-3">
-           <button 
-             onClick={() => setAutoRefresh(!autoRefresh)}
-             className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2 ${autoRefresh ? 'bg-green-500/20 text-green-400 hover:bg-green-500/30' : 'bg-gray-700 text-gray-400 hover:bg-gray-600'}`}
-           >
-             <RefreshCw size={16} className={autoRefresh ? "animate-spin" : ""} />
-             {autoRefresh ? 'Auto-Refresh On' : 'Auto-Refresh Off'}
-           </button>
-           
-           <button 
-             onClick={fetchLogs}
-             className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg text-sm font-medium transition-colors"
-           >
-             Refresh Now
-           </button>
+           <p className="text-gray-400 text-sm">Following `combined.log` live, newest at the bottom</p>
         </div>
+
+        <button
+          onClick={() => setFollowing(!following)}
+          className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2 ${following ? 'bg-green-500/20 text-green-400 hover:bg-green-500/30' : 'bg-gray-700 text-gray-400 hover:bg-gray-600'}`}
+        >
+          {following ? <><Pause size={16} /> Following</> : <><Play size={16} /> Paused</>}
+        </button>
       </header>
 
+      <form
+        onSubmit={e => {
+          e.preventDefault();
+          applyFilters(level, search.trim());
+        }}
+        className="flex gap-3 mb-4"
+      >
+        <select
+          value={level}
+          onChange={e => applyFilters(e.target.value, query)}
+          className="bg-gray-900 border border-gray-700 text-white px-3 py-2 rounded-lg text-sm"
+        >
+          <option value="">All levels</option>
+          {LEVELS.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-2.5 text-gray-500" size={16} />
+          <input
+            type="text"
+            value={search}
+            onChange={e => setSearch(e.target.value)}
+            placeholder="Search messages and fields, e.g. /load or pod name"
+            className="w-full bg-gray-900 border border-gray-700 text-white pl-9 pr-3 py-2 rounded-lg text-sm focus:outline-hidden focus:border-indigo-500"
+          />
+        </div>
+      </form>
+
+      {error && <div className="bg-red-500/10 text-red-400 p-3 rounded-lg mb-4 text-sm">{error}</div>}
+
       <div className="flex-1 bg-black/80 rounded-xl border border-gray-800 overflow-hidden flex flex-col font-mono text-sm relative shadow-2xl">
          {/* Terminal Header */}
          <div className="bg-gray-800/50 px-4 py-2 border-b border-gray-700 flex gap-2">
@@ -70,29 +198,65 @@ const Logs = () => {
          </div>
 
          {/* Logs Content */}
-         <div className="flex-1 overflow-y-auto p-4 space-y-1 custom-scrollbar" ref={scrollRef}>
+         <div className="flex-1 overflow-y-auto p-4 space-y-1 custom-scrollbar" ref={scrollRef} onScroll={onScroll}>
+            {nextCursor !== null && (
+                <button onClick={loadOlder} className="w-full mb-2 py-2 text-xs text-indigo-400 hover:text-indigo-300">
+                    Load older entries
+                </button>
+            )}
             {loading && logs.length === 0 ? (
                 <div className="text-gray-500 italic">Connecting to log stream...</div>
+            ) : logs.length === 0 ? (
+                <div className="text-gray-500 italic">No matching log entries yet.</div>
             ) : (
-                logs.map((log, index) => (
+                logs.map((log, index) => log.gap !== undefined ? (
+                    <div key={index} className="text-yellow-500/70 text-xs italic p-1">
+                        … {log.gap} entries missed while disconnected
+                    </div>
+                ) : (
                     <div key={index} className="flex gap-4 hover:bg-white/5 p-1 rounded transition-colors group">
                         <span className="text-gray-600 shrink-0 select-none w-36 text-xs pt-0.5">
-                            {new Date(log.timestamp).toLocaleTimeString()}
+                            {log.timestamp ? new Date(log.timestamp).toLocaleTimeString() : '—'}
                         </span>
+                        {log.hostname && (
+                            <span className="text-gray-600 shrink-0 select-none w-28 text-xs pt-0.5 truncate">{log.hostname}</span>
+                        )}
                         <span className={`break-all ${
-                            log.level === 'error' ? 'text-red-400' : 
-                            log.level === 'warn' ? 'text-yellow-400' : 
+                            log.level === 'error' ? 'text-red-400' :
+                            log.level === 'warn' ? 'text-yellow-400' :
                             'text-gray-300'
                         }`}>
                            {log.message || JSON.stringify(log)}
                         </span>
+                        <span className="ml-auto shrink-0 flex gap-2 text-xs opacity-0 group-hover:opacity-100">
+                            {log.requestId && (
+                                <button
+                                    onClick={() => {
+                                        setSearch(log.requestId);
+                                        applyFilters(level, log.requestId);
+                                    }}
+                                    className="text-indigo-400 hover:text-indigo-300"
+                                    title="Show every line of this request"
+                                >
+                                    request
+                                </button>
+                            )}
+                            {log.traceId && (
+                                <a href={`${JAEGER_URL}/trace/${log.traceId}`} target="_blank" rel="noreferrer" className="text-indigo-400 hover:text-indigo-300">
+                                    trace
+                                </a>
+                            )}
+                        </span>
                     </div>
                 ))
             )}
          </div>
-         
-         <div className="p-2 text-xs text-gray-600 border-t border-gray-800 bg-gray-900/50 text-right">
-            {logs.length} lines buffered
+
+         <div className="p-2 text-xs text-gray-600 border-t border-gray-800 bg-gray-900/50 flex justify-between">
+            <span className={!following ? '' : status === 'live' ? 'text-green-500' : status === 'reconnecting' ? 'text-yellow-500' : ''}>
+              ● {following ? status : 'paused'}
+            </span>
+            <span>{logs.length} lines</span>
          </div>
       </div>
     </div>
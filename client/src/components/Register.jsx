@@ -1,19 +1,41 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import axios from 'axios';
 import { Lock, User, Shield } from 'lucide-react';
+import { startSession } from '../auth';
+
+const CHARACTER_CLASSES = [
+    ['requireLowercase', 'a lowercase letter'],
+    ['requireUppercase', 'an uppercase letter'],
+    ['requireDigit', 'a digit'],
+    ['requireSymbol', 'a symbol'],
+];
+
+const describePolicy = policy => {
+    const classes = CHARACTER_CLASSES.filter(([flag]) => policy[flag]).map(([, label]) => label);
+    return `At least ${policy.minLength} characters${classes.length ? `, including ${classes.join(', ')}` : ''}; must not contain your username.`;
+};
 
 const Register = () => {
     const [formData, setFormData] = useState({ username: '', password: '', confirmPassword: '' });
     const [error, setError] = useState('');
+    const [problems, setProblems] = useState([]);
+    const [policy, setPolicy] = useState(null);
     const navigate = useNavigate();
 
+    useEffect(() => {
+        axios.get('/api/auth/password-policy')
+            .then(res => setPolicy(res.data))
+            .catch(err => console.error('Failed to load password policy', err));
+    }, []);
+
     const { username, password, confirmPassword } = formData;
 
     const onChange = e => setFormData({ ...formData, [e.target.name]: e.target.value });
 
     const onSubmit = async e => {
         e.preventDefault();
+        setProblems([]);
         if (password !== confirmPassword) {
             setError('Passwords do not match');
             return;
@@ -21,10 +43,17 @@ const Register = () => {
 
         try {
             const res = await axios.post('/api/auth/register', { username, password });
-            localStorage.setItem('token', res.data.token);
+            startSession(res.data);
             navigate('/');
         } catch (err) {
-            setError(err.response?.data?.msg || 'Registration failed');
+            // Policy violations come back as a list: show every rule at once
+            const errors = err.response?.data?.errors;
+            if (errors) {
+                setError('');
+                setProblems(errors);
+            } else {
+                setError(err.response?.data?.msg || 'Registration failed');
+            }
         }
     };
 
@@ -35,6 +64,11 @@ const Register = () => {
                 <p className="text-gray-400 text-center mb-6">Join the Resilience Platform</p>
                 
                 {error && <div className="bg-red-500/10 text-red-500 p-3 rounded-lg mb-4 text-sm">{error}</div>}
+                {problems.length > 0 && (
+                    <ul className="bg-red-500/10 text-red-500 p-3 pl-8 rounded-lg mb-4 text-sm list-disc">
+                        {problems.map(problem => <li key={problem}>{problem}</li>)}
+                    </ul>
+                )}
                 
                 <form onSubmit={onSubmit} className="space-y-6">
                     <div>
@@ -67,6 +101,7 @@ const Register = () => {
                                 required
                             />
                         </div>
+                        {policy && <p className="text-gray-500 text-xs mt-2">{describePolicy(policy)}</p>}
                     </div>
 
                     <div>
@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { Users as UsersIcon, KeyRound, Ban, CheckCircle } from 'lucide-react';
+import axios from 'axios';
+import { useCurrentUser, can } from '../auth';
+
+const ROLES = ['admin', 'viewer'];
+
+const Users = () => {
+  const [users, setUsers] = useState([]);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const user = useCurrentUser();
+  const allowed = can(user, 'users:manage');
+
+  const fetchUsers = () =>
+    axios.get('/api/users')
+      .then(res => setUsers(res.data))
+      .catch(err => setError(err.response?.data?.msg || 'Failed to load users'));
+
+  useEffect(() => {
+    if (allowed) fetchUsers();
+  }, [allowed]);
+
+  const run = async (request, success) => {
+    setError('');
+    setNotice('');
+    try {
+      const res = await request();
+      setNotice(success(res.data));
+      fetchUsers();
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Request failed');
+    }
+  };
+
+  const changeRole = (target, role) =>
+    run(() => axios.patch(`/api/users/${target.id}`, { role }), () => `${target.username} is now ${role}`);
+
+  const toggleDisabled = target =>
+    run(
+      () => axios.patch(`/api/users/${target.id}`, { disabled: !target.disabledAt }),
+      () => `${target.username} ${target.disabledAt ? 're-enabled' : 'disabled'}`
+    );
+
+  const resetPassword = target => {
+    if (!window.confirm(`Reset the password of ${target.username}? Their sessions will end.`)) return;
+    run(
+      () => axios.post(`/api/users/${target.id}/reset-password`),
+      data => `Temporary password for ${target.username}: ${data.temporaryPassword} (shown once)`
+    );
+  };
+
+  if (user && !allowed) {
+    return (
+      <div className="max-w-6xl mx-auto text-gray-400">
+        You need the <span className="font-mono">users:manage</span> permission to manage users.
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <header className="mb-6">
+        <h2 className="text-3xl font-bold text-white mb-2 flex items-center gap-3">
+          <UsersIcon className="text-gray-400" /> Users
+        </h2>
+        <p className="text-gray-400 text-sm">Change roles, disable accounts and reset passwords. Changes end the user's sessions.</p>
+      </header>
+
+      {error && <div className="bg-red-500/10 text-red-400 p-3 rounded-lg mb-4 text-sm">{error}</div>}
+      {notice && <div className="bg-green-500/10 text-green-400 p-3 rounded-lg mb-4 text-sm font-mono break-all">{notice}</div>}
+
+      <div className="bg-gray-800/50 p-6 rounded-2xl border border-gray-700 overflow-x-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="text-gray-500 text-xs uppercase tracking-wider">
+            <tr>
+              <th className="py-2 pr-3">Username</th>
+              <th className="py-2 pr-3">Role</th>
+              <th className="py-2 pr-3">Status</th>
+              <th className="py-2 pr-3">2FA</th>
+              <th className="py-2 pr-3">Created</th>
+              <th className="py-2 pr-3 text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-300">
+            {users.map(target => {
+              const self = user && target.id === user.id;
+              return (
+                <tr key={target.id} className="border-t border-gray-700/50">
+                  <td className="py-2 pr-3 font-medium">
+                    {target.username}
+                    {self && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                  </td>
+                  <td className="py-2 pr-3">
+                    <select
+                      value={target.role}
+                      disabled={self}
+                      onChange={e => changeRole(target, e.target.value)}
+                      className="bg-gray-900 border border-gray-700 text-white p-1 rounded-lg text-xs disabled:opacity-50"
+                    >
+                      {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                    </select>
+                  </td>
+                  <td className={`py-2 pr-3 ${target.disabledAt ? 'text-red-400' : 'text-green-400'}`}>
+                    {target.disabledAt ? `disabled ${new Date(target.disabledAt).toLocaleDateString()}` : 'active'}
+                  </td>
+                  <td className={`py-2 pr-3 ${target.totpEnabledAt ? 'text-green-400' : 'text-gray-500'}`}>
+                    {target.totpEnabledAt ? 'on' : 'off'}
+                  </td>
+                  <td className="py-2 pr-3 text-gray-500">{new Date(target.createdAt).toLocaleDateString()}</td>
+                  <td className="py-2 pr-3">
+                    <div className="flex justify-end gap-2">
+                      <button
+                        onClick={() => toggleDisabled(target)}
+                        disabled={self}
+                        className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded-lg text-xs flex items-center gap-1 disabled:opacity-50"
+                      >
+                        {target.disabledAt ? <><CheckCircle size={12} /> Enable</> : <><Ban size={12} /> Disable</>}
+                      </button>
+                      <button
+                        onClick={() => resetPassword(target)}
+                        className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded-lg text-xs flex items-center gap-1"
+                      >
+                        <KeyRound size={12} /> Reset password
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Users;
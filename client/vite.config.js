@@ -14,7 +14,9 @@ export default defineConfig({
       '/health': 'http://localhost:3000',
       '/ready': 'http://localhost:3000',
       '/load': 'http://localhost:3000',
-      '/metrics': 'http://localhost:3000'
+      '/metrics': 'http://localhost:3000',
+      // Trailing slash: /chaos itself is a client route
+      '/chaos/': 'http://localhost:3000'
     }
   }
 })
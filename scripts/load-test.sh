@@ -3,78 +3,78 @@
 # Load Testing Script
 # ==============================================================================
 # This script generates load on the application to trigger HPA scaling.
-# It sends concurrent requests to the /load endpoint.
+# /load starts a CPU job in worker threads and answers at once, so one
+# request per job is enough: the script starts [jobs] jobs that each run
+# for [duration] seconds, and the service spreads them over the pods.
 #
-# Usage: ./load-test.sh [url] [duration] [concurrency]
-# Example: ./load-test.sh http://localhost:3000 60 10
+# Usage: ./load-test.sh [url] [duration] [jobs] [cores]
+# Example: ./load-test.sh http://localhost:3000 60 4 1
+#
+# /load needs the load:run permission. In CI use an API key with that scope:
+#   API_KEY=<key from POST /api/keys> ./load-test.sh ...
+# or an admin session token (expires after 15 minutes):
+#   AUTH_TOKEN=<token from /api/auth/login> ./load-test.sh ...
+#
+# Each job counts against RATE_LIMIT_LOAD (10 starts per 15 minutes per
+# caller by default); raise it in the ConfigMap to start more. Jobs last at
+# most MAX_LOAD_DURATION seconds (300 by default).
 # ==============================================================================
 
 set -e
 
 # Configuration
 BASE_URL="${1:-http://localhost:3000}"
-DURATION="${2:-60}"      # Total test duration in seconds
-CONCURRENCY="${3:-10}"   # Number of concurrent requests
-LOAD_DURATION="${4:-5}"  # How long each /load request should stress CPU
+DURATION="${2:-60}"      # How long each job stresses CPU, in seconds
+JOBS="${3:-4}"           # Number of jobs to start
+CORES="${4:-1}"          # Worker threads per job
+RATE_LIMIT_LOAD="${RATE_LIMIT_LOAD:-10}"
+if [ -n "$API_KEY" ]; then
+    AUTH_HEADER="x-api-key: ${API_KEY}"
+else
+    AUTH_HEADER="x-auth-token: ${AUTH_TOKEN}"
+    if [ -z "$AUTH_TOKEN" ]; then
+        echo "⚠️  Neither API_KEY nor AUTH_TOKEN is set; /load will answer 401"
+    fi
+fi
 
 echo "=============================================="
 echo "📈 LOAD TESTING: HPA Trigger Test"
 echo "=============================================="
 echo "Target URL: $BASE_URL"
-echo "Test Duration: ${DURATION}s"
-echo "Concurrency: $CONCURRENCY"
-echo "CPU Load Duration: ${LOAD_DURATION}s per request"
+echo "Jobs: $JOBS (${CORES} core(s) each)"
+echo "CPU Load Duration: ${DURATION}s per job"
 echo "=============================================="
 echo ""
 
-# Check if required tools are available
-if command -v hey &> /dev/null; then
-    echo "Using 'hey' for load testing..."
-    echo ""
-    hey -z "${DURATION}s" -c "$CONCURRENCY" "${BASE_URL}/load?duration=${LOAD_DURATION}"
-
-elif command -v ab &> /dev/null; then
-    echo "Using 'ab' (Apache Benchmark) for load testing..."
-    echo ""
-    REQUESTS=$((DURATION * CONCURRENCY / LOAD_DURATION))
-    ab -n "$REQUESTS" -c "$CONCURRENCY" "${BASE_URL}/load?duration=${LOAD_DURATION}"
-
-elif command -v curl &> /dev/null; then
-    echo "Using 'curl' for load testing (basic)..."
+if [ "$JOBS" -gt "$RATE_LIMIT_LOAD" ]; then
+    echo "⚠️  $JOBS jobs is more than RATE_LIMIT_LOAD ($RATE_LIMIT_LOAD); the rest will answer 429"
+    echo "   Set RATE_LIMIT_LOAD to the server's value if it was raised"
     echo ""
-    
-    # Function to send continuous requests
-    send_requests() {
-        local id=$1
-        local end_time=$(($(date +%s) + DURATION))
-        
-        while [ $(date +%s) -lt $end_time ]; do
-            response=$(curl -s -w "%{http_code}" -o /dev/null "${BASE_URL}/load?duration=${LOAD_DURATION}")
-            echo "[Worker $id] Response: $response"
-        done
-    }
-    
-    # Start concurrent workers
-    echo "Starting $CONCURRENCY concurrent workers..."
-    for i in $(seq 1 $CONCURRENCY); do
-        send_requests $i &
-    done
-    
-    # Wait for all workers
-    wait
-    echo ""
-    echo "Load test completed!"
+fi
 
-else
-    echo "❌ No load testing tool found!"
-    echo ""
-    echo "Please install one of:"
-    echo "  - hey: go install github.com/rakyll/hey@latest"
-    echo "  - ab: Apache Benchmark (comes with Apache)"
-    echo "  - Or at minimum, curl"
+if ! command -v curl &> /dev/null; then
+    echo "❌ curl is required!"
     exit 1
 fi
 
+for i in $(seq 1 "$JOBS"); do
+    response=$(curl -s -w " %{http_code}" -H "$AUTH_HEADER" \
+        "${BASE_URL}/load?duration=${DURATION}&cores=${CORES}")
+    status="${response##* }"
+    body="${response% *}"
+    if [ "$status" = "202" ]; then
+        host=$(echo "$body" | sed -n 's/.*"hostname":"\([^"]*\)".*/\1/p')
+        job=$(echo "$body" | sed -n 's/.*"jobId":"\([^"]*\)".*/\1/p')
+        echo "[Job $i] Started $job on $host"
+    else
+        echo "[Job $i] Response: $status $body"
+    fi
+done
+
+echo ""
+echo "Waiting ${DURATION}s for the jobs to finish..."
+sleep "$DURATION"
+
 echo ""
 echo "=============================================="
 echo "Load test completed!"
@@ -0,0 +1,352 @@
+/**
+ * Alert Rule Evaluation
+ *
+ * Rules (src/alerts.yaml, or the file ALERTS_CONFIG names) compare a signal,
+ * a reading of this pod's own metrics or health checks, with a threshold
+ * every ALERT_EVAL_INTERVAL_MS. An alert moves through
+ *
+ *   pending -> firing -> resolved
+ *
+ * It is pending while the condition has held for less than the rule's
+ * `for`, fires once it has held that long and resolves when it clears. A
+ * pending alert that clears is dropped, so a blip pages nobody. Firing and
+ * resolving are recorded in the Alert table and sent to the webhook targets
+ * (see notifier.js); the database being down does not stop notifications.
+ * Alerts still firing when the pod stopped are picked up again by start().
+ *
+ * Signals plug in through registerSignal(). A signal is an object with:
+ *   - description
+ *   - read(rule)   the current value (may be async); signals covering
+ *                  several things return { [name]: value } instead
+ *   - label        for those, the label that tells their alerts apart
+ */
+
+const path = require('path');
+const logger = require('../logger').child({ module: 'alerts' });
+const Alert = require('../models/Alert');
+const notifier = require('./notifier');
+const { AlertError } = require('./errors');
+const { MAX_WINDOW_MS } = require('./signals');
+const { withTimeout } = require('../timeout');
+const { parseDuration, loadList } = require('../configCheck');
+
+const CONFIG_FILE = process.env.ALERTS_CONFIG || path.join(__dirname, '..', 'alerts.yaml');
+const INTERVAL_MS = parseInt(process.env.ALERT_EVAL_INTERVAL_MS, 10) || 15000;
+const HOSTNAME = process.env.HOSTNAME || 'unknown';
+const SEVERITIES = ['info', 'warning', 'critical'];
+const STATES = ['firing', 'resolved'];
+const MAX_HISTORY = 500;
+
+const signals = new Map();
+let rules = [];
+// Alert key -> { rule, labels, state: pending|firing, value, activeAt, firedAt, id }
+const alerts = new Map();
+// Notification chains still running, see settled()
+const deliveries = new Set();
+let timer = null;
+let evaluating = null;
+
+const registerSignal = (name, definition) => {
+  signals.set(name, definition);
+};
+
+// '30s' -> milliseconds, NaN when it is not a number of s, m or h
+const parseRuleDuration = (text) => parseDuration(text, 'smh');
+
+/**
+ * Read and check the rules against the registered signals. A mistake
+ * throws, so a bad config stops the pod at startup.
+ */
+const loadRules = (file = CONFIG_FILE) => loadList(file, 'rules', 'rule', (rule, fail) => {
+  if (!signals.has(rule.signal)) {
+    fail(`unknown signal '${rule.signal}'. Available: ${Array.from(signals.keys()).join(', ')}`);
+  }
+  if (typeof rule.above !== 'number') fail('above must be a number; the alert is active while the signal is above it');
+  const forMs = rule.for === undefined ? 0 : parseRuleDuration(rule.for);
+  if (Number.isNaN(forMs)) fail('for must be a duration like 30s, 5m or 1h');
+  const windowMs = rule.window === undefined ? undefined : parseRuleDuration(rule.window);
+  if (Number.isNaN(windowMs)) fail('window must be a duration like 5m');
+  if (windowMs > MAX_WINDOW_MS) fail(`window can be at most ${MAX_WINDOW_MS / 60000}m; older requests are not kept`);
+  if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+    fail(`severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+
+  return {
+    name: rule.name,
+    signal: rule.signal,
+    above: rule.above,
+    for: rule.for || '0s',
+    forMs,
+    window: rule.window,
+    windowMs,
+    minRequests: rule.minRequests,
+    severity: rule.severity || 'warning',
+    description: rule.description || '',
+  };
+});
+
+const setRules = (definitions) => {
+  rules = definitions;
+};
+
+const iso = (ms) => (ms === undefined ? null : new Date(ms).toISOString());
+
+const describeAlert = (alert) => ({
+  rule: alert.rule.name,
+  severity: alert.rule.severity,
+  labels: alert.labels,
+  state: alert.state,
+  value: Math.round(alert.value * 1000) / 1000,
+  threshold: alert.rule.above,
+  description: alert.rule.description,
+  hostname: HOSTNAME,
+  activeAt: iso(alert.activeAt),
+  firedAt: iso(alert.firedAt),
+  resolvedAt: iso(alert.resolvedAt),
+});
+
+// ============================================================================
+// NOTIFICATION AND HISTORY
+// ============================================================================
+
+const saveAlert = async (alert, changes) => {
+  try {
+    if (alert.id) {
+      await withTimeout(Alert.update(changes, { where: { id: alert.id } }), undefined, 'Database');
+      return;
+    }
+    const { labels, value, activeAt, firedAt } = alert;
+    const row = await withTimeout(Alert.create({
+      rule: alert.rule.name,
+      severity: alert.rule.severity,
+      threshold: alert.rule.above,
+      description: alert.rule.description,
+      hostname: HOSTNAME,
+      labels,
+      value,
+      activeAt,
+      firedAt,
+      ...changes,
+    }), undefined, 'Database');
+    alert.id = row.id;
+  } catch (err) {
+    logger.warn(`Could not record alert ${alert.rule.name}`, { error: err.message });
+  }
+};
+
+const appendReports = async (alert, status, reports) => {
+  if (!alert.id || reports.length === 0) return;
+  const row = await withTimeout(Alert.findByPk(alert.id), undefined, 'Database');
+  await withTimeout(row.update({
+    notifications: [...row.notifications, ...reports.map((report) => ({ event: status, ...report }))],
+  }), undefined, 'Database');
+};
+
+// Notifications for one alert go out in order, so a receiver never sees
+// the resolve before the fire
+const send = (alert, status) => {
+  const payload = { status, alert: describeAlert(alert), sentAt: new Date().toISOString() };
+  const chain = (alert.delivery || Promise.resolve())
+    .then(() => notifier.notify(payload))
+    .then((reports) => appendReports(alert, status, reports))
+    .catch((err) => logger.warn(`Could not record notifications for alert ${alert.rule.name}`, { error: err.message }));
+
+  alert.delivery = chain;
+  deliveries.add(chain);
+  chain.finally(() => deliveries.delete(chain));
+};
+
+const fire = async (alert, now) => {
+  alert.state = 'firing';
+  alert.firedAt = now;
+  logger.warn(`ALERT: ${alert.rule.name} firing`, { labels: alert.labels, value: alert.value, threshold: alert.rule.above });
+  await saveAlert(alert, { state: 'firing' });
+  send(alert, 'firing');
+};
+
+const resolve = async (alert, value, now) => {
+  alert.state = 'resolved';
+  alert.value = value;
+  alert.resolvedAt = now;
+  logger.info(`ALERT: ${alert.rule.name} resolved`, { labels: alert.labels, value });
+  await saveAlert(alert, { state: 'resolved', value, resolvedAt: now });
+  send(alert, 'resolved');
+};
+
+const clear = async (key, value, now) => {
+  const alert = alerts.get(key);
+  alerts.delete(key);
+  if (alert.state === 'firing') await resolve(alert, value, now);
+};
+
+/**
+ * Pick up the alerts this pod left firing when it last stopped. Those whose
+ * rule still exists carry on and resolve, with a notification, once their
+ * condition clears; the rest are resolved now.
+ */
+const restore = async (now = Date.now()) => {
+  let rows;
+  try {
+    rows = await withTimeout(Alert.findAll({ where: { state: 'firing', hostname: HOSTNAME } }), undefined, 'Database');
+  } catch (err) {
+    logger.warn('Could not restore firing alerts', { error: err.message });
+    return;
+  }
+
+  for (const row of rows) {
+    const rule = rules.find((candidate) => candidate.name === row.rule);
+    const labels = row.labels || {};
+    const key = [row.rule, ...Object.values(labels)].join('|');
+    const alert = {
+      rule: rule || { name: row.rule, severity: row.severity, above: row.threshold, description: row.description },
+      labels,
+      state: 'firing',
+      value: row.value,
+      activeAt: row.activeAt ? row.activeAt.getTime() : undefined,
+      firedAt: row.firedAt.getTime(),
+      id: row.id,
+    };
+    if (rule && !alerts.has(key)) {
+      alerts.set(key, alert);
+      logger.info(`ALERT: ${row.rule} still firing from before the restart`, { labels });
+    } else {
+      await resolve(alert, alert.value, now);
+    }
+  }
+};
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+// Rules on the same signal and options share one reading per evaluation
+// (reading the event loop delay resets it)
+const readSignal = (rule, readings) => {
+  const cacheKey = JSON.stringify([rule.signal, rule.windowMs, rule.minRequests]);
+  if (!readings.has(cacheKey)) {
+    readings.set(cacheKey, Promise.resolve().then(() => signals.get(rule.signal).read(rule)));
+  }
+  return readings.get(cacheKey);
+};
+
+const evaluateRule = async (rule, readings, now) => {
+  let reading;
+  try {
+    reading = await readSignal(rule, readings);
+  } catch (err) {
+    logger.warn(`Alert rule ${rule.name} could not read ${rule.signal}`, { error: err.message });
+    return;
+  }
+
+  const { label } = signals.get(rule.signal);
+  const series = typeof reading === 'number'
+    ? [[{}, reading]]
+    : Object.entries(reading).map(([name, value]) => [{ [label]: name }, value]);
+  const seen = new Set();
+
+  for (const [labels, value] of series) {
+    const key = [rule.name, ...Object.values(labels)].join('|');
+    seen.add(key);
+    if (value > rule.above) {
+      const alert = alerts.get(key) || { rule, labels, state: 'pending', activeAt: now };
+      alert.value = value;
+      alerts.set(key, alert);
+      if (alert.state === 'pending' && now - alert.activeAt >= rule.forMs) await fire(alert, now);
+    } else if (alerts.has(key)) {
+      await clear(key, value, now);
+    }
+  }
+
+  // Series that are gone (an unregistered health check) clear as well
+  for (const [key, alert] of Array.from(alerts.entries())) {
+    if (alert.rule === rule && !seen.has(key)) await clear(key, alert.value, now);
+  }
+};
+
+/**
+ * Evaluate every rule once, as of `now` (ms). Overlapping calls share the
+ * evaluation in progress.
+ */
+const evaluate = (now = Date.now()) => {
+  if (!evaluating) {
+    const readings = new Map();
+    evaluating = Promise.all(rules.map((rule) => evaluateRule(rule, readings, now)))
+      .finally(() => {
+        evaluating = null;
+      });
+  }
+  return evaluating;
+};
+
+// Resolves once the alerts left firing by the last run are restored
+const start = () => {
+  if (timer) return Promise.resolve();
+  timer = setInterval(() => {
+    evaluate().catch((err) => logger.error('Alert evaluation failed', { error: err.message }));
+  }, INTERVAL_MS);
+  timer.unref();
+  return restore();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+// Resolves once every notification sent so far was delivered or given up
+const settled = () => Promise.all(Array.from(deliveries));
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+// Pending and firing alerts on this pod
+const listActive = () => Array.from(alerts.values()).map(describeAlert);
+
+const listRules = () =>
+  rules.map((rule) => {
+    const active = Array.from(alerts.values()).filter((alert) => alert.rule === rule);
+    let state = 'inactive';
+    if (active.some((alert) => alert.state === 'firing')) state = 'firing';
+    else if (active.length > 0) state = 'pending';
+
+    return {
+      name: rule.name,
+      signal: rule.signal,
+      signalDescription: signals.get(rule.signal).description,
+      above: rule.above,
+      for: rule.for,
+      ...(rule.window && { window: rule.window }),
+      ...(rule.minRequests !== undefined && { minRequests: rule.minRequests }),
+      severity: rule.severity,
+      description: rule.description,
+      state,
+    };
+  });
+
+// Alerts that fired on any pod, newest first
+const getHistory = async ({ state, limit } = {}) => {
+  if (state !== undefined && !STATES.includes(state)) {
+    throw new AlertError(400, `state must be one of ${STATES.join(', ')}`);
+  }
+  const max = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_HISTORY);
+  const rows = await withTimeout(Alert.findAll({
+    where: state ? { state } : {},
+    order: [['firedAt', 'DESC']],
+    limit: max,
+  }), undefined, 'Database');
+  return rows.map((row) => row.toJSON());
+};
+
+module.exports = {
+  registerSignal,
+  loadRules,
+  setRules,
+  evaluate,
+  start,
+  stop,
+  settled,
+  listActive,
+  listRules,
+  getHistory,
+};
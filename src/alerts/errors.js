@@ -0,0 +1,10 @@
+// Raised for invalid alert requests; `status` is the HTTP status to return
+class AlertError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AlertError';
+    this.status = status;
+  }
+}
+
+module.exports = { AlertError };
@@ -0,0 +1,13 @@
+const engine = require('./engine');
+const signals = require('./signals');
+const notifier = require('./notifier');
+
+// Built-in signals
+engine.registerSignal('error_rate', signals.errorRate);
+engine.registerSignal('event_loop_lag_ms', signals.eventLoopLag);
+engine.registerSignal('heap_used_mb', signals.heapUsed);
+engine.registerSignal('dependency_down', signals.dependencyDown);
+
+engine.setRules(engine.loadRules());
+
+module.exports = { ...engine, listTargets: notifier.listTargets };
@@ -0,0 +1,71 @@
+/**
+ * Alert Webhooks
+ *
+ * Firing and resolved alerts are POSTed as JSON to every URL in
+ * ALERT_WEBHOOK_URLS (comma-separated). A failed delivery (network error,
+ * timeout, 429 or 5xx) is retried with exponential backoff; any other 4xx
+ * means the target will never take it, so it is not.
+ */
+
+const logger = require('../logger').child({ module: 'alerts' });
+
+const TARGETS = (process.env.ALERT_WEBHOOK_URLS || '')
+  .split(',')
+  .map((url) => url.trim())
+  .filter(Boolean);
+const RETRIES = Number.isNaN(parseInt(process.env.ALERT_WEBHOOK_RETRIES, 10))
+  ? 3
+  : parseInt(process.env.ALERT_WEBHOOK_RETRIES, 10);
+const RETRY_MS = parseInt(process.env.ALERT_WEBHOOK_RETRY_MS, 10) || 1000;
+const TIMEOUT_MS = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS, 10) || 5000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Webhook URLs often carry a token; only the host is ever shown
+const describeTarget = (url) => {
+  try {
+    return new URL(url).host;
+  } catch (err) {
+    return 'invalid URL';
+  }
+};
+
+const retryable = (status) => status === 429 || status >= 500;
+
+const deliver = async (url, payload) => {
+  let error;
+  for (let attempt = 1; attempt <= RETRIES + 1; attempt++) {
+    if (attempt > 1) await sleep(RETRY_MS * 2 ** (attempt - 2));
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+      if (response.ok) return { status: 'delivered', attempts: attempt };
+      error = `HTTP ${response.status}`;
+      if (!retryable(response.status)) return { status: 'failed', attempts: attempt, error };
+    } catch (err) {
+      error = err.message;
+    }
+  }
+  return { status: 'failed', attempts: RETRIES + 1, error };
+};
+
+/**
+ * Send `payload` to every target. Resolves with one delivery report per
+ * target: { target, status: delivered|failed, attempts, error?, at }.
+ */
+const notify = (payload) =>
+  Promise.all(TARGETS.map(async (url) => {
+    const report = { target: describeTarget(url), ...(await deliver(url, payload)), at: new Date().toISOString() };
+    if (report.status === 'failed') {
+      logger.warn(`Alert webhook to ${report.target} failed`, { attempts: report.attempts, error: report.error });
+    }
+    return report;
+  }));
+
+const listTargets = () => TARGETS.map(describeTarget);
+
+module.exports = { notify, listTargets };
@@ -0,0 +1,71 @@
+/**
+ * Built-in Alert Signals
+ *
+ * What alert rules can watch on this pod. See engine.js for the shape of a
+ * signal.
+ */
+
+const metrics = require('../metrics');
+const health = require('../health');
+const eventLoopDelay = require('../eventLoopDelay');
+
+const SLOT_MS = 10 * 1000;
+// Longest error_rate window a rule can ask for
+const MAX_WINDOW_MS = 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+// Request and 5xx counts per 10-second slot, newest last
+const slots = [];
+
+metrics.onRequest(({ status, streaming }) => {
+  if (streaming) return;
+  const start = Math.floor(Date.now() / SLOT_MS) * SLOT_MS;
+  let slot = slots[slots.length - 1];
+  if (!slot || slot.start !== start) {
+    slot = { start, total: 0, errors: 0 };
+    slots.push(slot);
+    while (slots[0].start <= start - MAX_WINDOW_MS) slots.shift();
+  }
+  slot.total += 1;
+  if (status >= 500) slot.errors += 1;
+});
+
+const errorRate = {
+  description: 'Share of requests answered with a 5xx over the rule window (default 5m)',
+  read: ({ windowMs = 5 * 60 * 1000, minRequests = 10 }) => {
+    const since = Date.now() - windowMs;
+    let total = 0;
+    let errors = 0;
+    slots.filter((slot) => slot.start >= since).forEach((slot) => {
+      total += slot.total;
+      errors += slot.errors;
+    });
+    // A couple of failures on an idle pod is not an error rate
+    return total >= minRequests ? errors / total : 0;
+  },
+};
+
+const eventLoopLag = {
+  description: 'p99 event loop delay in ms since the previous evaluation',
+  read: eventLoopDelay.createReader(),
+};
+
+const heapUsed = {
+  description: 'V8 heap in use, in MB (/health warns from 500)',
+  read: () => process.memoryUsage().heapUsed / MB,
+};
+
+const dependencyDown = {
+  description: '1 for each dependency whose health check fails, else 0',
+  label: 'dependency',
+  read: async () => {
+    const { results } = await health.runChecks();
+    const down = {};
+    Object.keys(results).forEach((name) => {
+      down[name] = results[name].status === 'ok' ? 0 : 1;
+    });
+    return down;
+  },
+};
+
+module.exports = { errorRate, eventLoopLag, heapUsed, dependencyDown, MAX_WINDOW_MS };
@@ -12,21 +12,85 @@ const express = require('express');
 const path = require('path');
 const helmet = require('helmet');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
 const swaggerUi = require('swagger-ui-express');
 const YAML = require('yamljs');
-const logger = require('./logger');
+const logger = require('./logger').child({ module: 'app' });
 const apiRoutes = require('./routes/api');
 const authRoutes = require('./routes/auth');
-const { connectDB } = require('./db');
-
-// Connect to Database
-connectDB();
+const chaosRoutes = require('./routes/chaos');
+const keyRoutes = require('./routes/keys');
+const userRoutes = require('./routes/users');
+const alertRoutes = require('./routes/alerts');
+const { globalLimiter, loginLimiter } = require('./middleware/rateLimit');
+const chaos = require('./chaos');
+const alerts = require('./alerts');
+const health = require('./health');
+const shutdown = require('./shutdown');
+const recoveries = require('./recoveries');
+const logStream = require('./logStream');
+const requestContext = require('./requestContext');
+const metrics = require('./metrics');
+const slo = require('./slo');
+const metricsHistory = require('./metricsHistory');
+const redis = require('./redis');
+const loadJobs = require('./load/jobs');
+const traffic = require('./load/traffic');
+const { sequelize, connectDB } = require('./db');
+const User = require('./models/User');
+
+// Connect to Database, then record this boot, close out experiment runs a
+// previous process of this pod left open (e.g. a chaos kill) and make sure
+// the bootstrap admin exists
+connectDB().then(() => Promise.all([
+  recoveries.recordBoot()
+    .catch((err) => logger.warn('Could not record boot event', { error: err.message })),
+  chaos.recoverInterruptedRuns()
+    .catch((err) => logger.warn('Could not recover chaos runs', { error: err.message })),
+  process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD
+    ? User.ensureAdmin(process.env.ADMIN_USERNAME, process.env.ADMIN_PASSWORD)
+      .catch((err) => logger.warn('Could not create the bootstrap admin', { error: err.message }))
+    : undefined,
+]));
+
+// Dependency checks behind /health and /ready. Without the database no
+// request that needs a user can be served, so it is critical; Redis only
+// backs counters and caches, so losing it degrades the pod without
+// taking it out of the Service.
+health.registerCheck('database', () => sequelize.authenticate(), { critical: true });
+health.registerCheck('redis', () => redis.ping(), { critical: false });
+
+// Cleanup on SIGTERM, run after in-flight requests have drained (newest
+// first, so connections close after the work that uses them has stopped)
+shutdown.onShutdown('database', () => sequelize.close());
+shutdown.onShutdown('redis', () => (redis.isOpen ? redis.quit() : undefined));
+shutdown.onShutdown('load', () => {
+  loadJobs.cancelAll();
+  traffic.cancelAll();
+});
+shutdown.onShutdown('chaos', () => chaos.stopAll('pod shutting down'));
+shutdown.onShutdown('restart history', ({ signal }) => recoveries.recordShutdown(signal));
+shutdown.onShutdown('slo counts', () => slo.flush());
+shutdown.onShutdown('metrics history', () => metricsHistory.stop());
+// Give resolve notifications already on their way a chance to go out
+shutdown.onShutdown('alerts', () => {
+  alerts.stop();
+  return alerts.settled();
+});
+// Log streams never finish by themselves; end them so they don't hold the drain
+shutdown.onDrain('log streams', () => logStream.closeAll());
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const HOSTNAME = process.env.HOSTNAME || 'unknown';
 
+// Behind the ingress req.ip would be the proxy's address for every client;
+// TRUST_PROXY (hop count) makes it the X-Forwarded-For client instead, which
+// the per-IP login lockout relies on
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // ============================================================================
 // MIDDLEWARE
 // ============================================================================
@@ -35,17 +99,21 @@ const HOSTNAME = process.env.HOSTNAME || 'unknown';
 app.use(helmet({
   contentSecurityPolicy: false, // Disabled for simplicity with inline scripts/styles if any
 }));
-app.use(cors());
-
-// Rate Limiting (skip for health/metrics endpoints used by monitoring)
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 1000, // Limit each IP to 1000 requests per windowMs
-  standardHeaders: true,
-  legacyHeaders: false,
-  skip: (req) => ['/health', '/ready', '/metrics'].includes(req.path),
-});
-app.use(limiter);
+app.use(cors({ exposedHeaders: [requestContext.HEADER] }));
+
+// Request id for correlating log lines (and through them, traces)
+app.use(requestContext.middleware);
+
+// Request count, latency and in-flight gauge for every router
+app.use(metrics.middleware);
+
+// In-flight request tracking for the shutdown drain
+app.use(shutdown.trackRequests);
+
+// Rate Limiting, shared across replicas through Redis (skips health/metrics
+// endpoints used by monitoring)
+app.use(globalLimiter);
+app.use('/api/auth/login', loginLimiter);
 
 // Logging Middleware
 app.use((req, res, next) => {
@@ -70,12 +138,23 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
 // ROUTES
 // ============================================================================
 
-// Serve static files from public directory
-app.use(express.static(path.join(__dirname, '../public')));
+// Fault injection (latency / 5xx) configured at runtime via /chaos/faults
+app.use(chaos.faults.middleware);
+
+// Serve static files from public directory (one metrics route for all)
+app.use(express.static(path.join(__dirname, '../public'), {
+  setHeaders: (res) => {
+    res.locals.metricsRoute = 'static';
+  },
+}));
 
 // API Routes (mount at root level to preserve existing paths like /health, /load, etc.)
 app.use('/', apiRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/keys', keyRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/chaos', chaosRoutes);
 
 // ============================================================================
 // ERROR HANDLING
@@ -87,7 +166,7 @@ app.use((req, res) => {
   res.status(404).json({
     error: 'Not Found',
     message: `Route ${req.method} ${req.path} not found`,
-    availableEndpoints: ['/', '/health', '/load', '/metrics', '/ready', '/api-docs']
+    availableEndpoints: ['/', '/health', '/load', '/metrics', '/ready', '/chaos/experiments', '/api-docs']
   });
 });
 
@@ -96,7 +175,9 @@ app.use((err, req, res, next) => {
   logger.error('Internal Server Error', { error: err.message, stack: err.stack });
   res.status(500).json({
     error: 'Internal Server Error',
-    message: process.env.NODE_ENV === 'production' ? 'An error occurred' : err.message
+    message: process.env.NODE_ENV === 'production' ? 'An error occurred' : err.message,
+    // Quote this to find the request's log lines, and from them its trace
+    requestId: req.id
   });
 });
 
@@ -106,7 +187,7 @@ app.use((err, req, res, next) => {
 
 // Only start server if not in test mode
 if (process.env.NODE_ENV !== 'test') {
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     // Using simple console logs for startup/banner as it looks better in terminal
     console.log('='.repeat(60));
     console.log('🚀 Anti-Gravity DevOps Platform');
@@ -118,6 +199,12 @@ if (process.env.NODE_ENV !== 'test') {
     
     logger.info('Server started', { port: PORT, hostname: HOSTNAME });
   });
+
+  // Alert rules watch this pod's metrics and dependencies from now on
+  alerts.start();
+  metricsHistory.start();
+
+  shutdown.attach(server);
 }
 
 // Export for testing
@@ -0,0 +1,126 @@
+/**
+ * API Keys
+ *
+ * Long-lived credentials for CI jobs and other automation, sent in the
+ * x-api-key header. A key acts as its owner, limited to the scopes chosen
+ * when it was created; since the owner's current role is checked on every
+ * request, demoting a user also narrows their keys.
+ */
+
+const crypto = require('crypto');
+const logger = require('../logger').child({ module: 'auth' });
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { permissionsFor } = require('../middleware/permissions');
+const { withTimeout } = require('../timeout');
+
+const KEY_PREFIX = 'agk_';
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+class ApiKeyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.status = status;
+  }
+}
+
+const hash = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// What listing returns: never the hash
+const describeKey = (key) => ({
+  id: key.id,
+  userId: key.userId,
+  name: key.name,
+  prefix: key.prefix,
+  scopes: key.scopes,
+  expiresAt: key.expiresAt,
+  lastUsedAt: key.lastUsedAt,
+  revokedAt: key.revokedAt,
+  createdAt: key.createdAt,
+});
+
+const validate = (user, { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS }) => {
+  if (!name || typeof name !== 'string' || name.length > 100) {
+    throw new ApiKeyError(400, 'name is required (at most 100 characters)');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ApiKeyError(400, 'scopes must be a non-empty array');
+  }
+  const allowed = permissionsFor(user.role);
+  const denied = scopes.filter((scope) => !allowed.includes(scope));
+  if (denied.length > 0) {
+    throw new ApiKeyError(400, `Scope(s) not available to role ${user.role}: ${denied.join(', ')}. Available: ${allowed.join(', ')}`);
+  }
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+    throw new ApiKeyError(400, `expiresInDays must be an integer between 1 and ${MAX_EXPIRY_DAYS}`);
+  }
+};
+
+/**
+ * Create a key for `user`. The returned `key` is the only time the secret
+ * is available.
+ */
+const createKey = async (user, options) => {
+  validate(user, options);
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const record = await withTimeout(ApiKey.create({
+    userId: user.id,
+    name: options.name,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hash(key),
+    scopes: [...new Set(options.scopes)],
+    expiresAt: new Date(Date.now() + (options.expiresInDays || DEFAULT_EXPIRY_DAYS) * 24 * 3600 * 1000),
+  }), undefined, 'Database');
+
+  logger.info(`API key ${record.prefix}… created for user ${user.id}`, { scopes: record.scopes });
+  return { ...describeKey(record), key };
+};
+
+// Admins may pass all=true to see every user's keys
+const listKeys = async (user, { all = false } = {}) => {
+  const where = all && user.role === 'admin' ? {} : { userId: user.id };
+  const keys = await withTimeout(ApiKey.findAll({ where, order: [['createdAt', 'DESC']] }), undefined, 'Database');
+  return keys.map(describeKey);
+};
+
+// Owners revoke their own keys; admins can revoke anyone's
+const revokeKey = async (user, id) => {
+  const key = await withTimeout(ApiKey.findByPk(id), undefined, 'Database');
+  if (!key || (key.userId !== user.id && user.role !== 'admin')) {
+    throw new ApiKeyError(404, `API key ${id} not found`);
+  }
+  if (!key.revokedAt) {
+    await withTimeout(key.update({ revokedAt: new Date() }), undefined, 'Database');
+    logger.info(`API key ${key.prefix}… revoked by user ${user.id}`);
+  }
+  return describeKey(key);
+};
+
+/**
+ * Resolve a presented key to { user, key }, or null when it is unknown,
+ * revoked, expired or its owner is gone or disabled. Database errors
+ * propagate.
+ */
+const authenticate = async (presented) => {
+  if (!presented.startsWith(KEY_PREFIX)) return null;
+
+  const key = await withTimeout(ApiKey.findOne({ where: { keyHash: hash(presented) } }), undefined, 'Database');
+  if (!key || key.revokedAt || key.expiresAt < new Date()) return null;
+
+  const user = await withTimeout(User.findByPk(key.userId), undefined, 'Database');
+  if (!user || user.disabledAt) return null;
+
+  // Recorded at minute resolution so busy pipelines don't write every request
+  if (!key.lastUsedAt || Date.now() - key.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    key.update({ lastUsedAt: new Date() })
+      .catch((err) => logger.warn('Could not record API key use', { error: err.message }));
+  }
+
+  return { user, key };
+};
+
+module.exports = { ApiKeyError, createKey, listKeys, revokeKey, authenticate };
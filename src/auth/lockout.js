@@ -0,0 +1,236 @@
+/**
+ * Login Lockout
+ *
+ * Failed logins are counted in Redis per username (guessing one account's
+ * password) and per client IP (trying many accounts). Past a few free
+ * attempts each further failure blocks the next try for an exponentially
+ * growing delay; at the lockout threshold the block lasts
+ * LOGIN_LOCKOUT_SECONDS. A successful login clears the username's counter.
+ *
+ * Counters live in Redis so every replica sees the same numbers. While
+ * Redis is unreachable each pod counts in memory instead, as the rate
+ * limiter does, so logins stay throttled in degraded mode.
+ */
+
+const redis = require('../redis');
+const logger = require('../logger').child({ module: 'auth' });
+const { withTimeout } = require('../timeout');
+
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS, 10) || 5;
+const LOCKOUT_ATTEMPTS = parseInt(process.env.LOGIN_LOCKOUT_ATTEMPTS, 10) || 10;
+const LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS, 10) || 900;
+// A counter is forgotten this long after its last failure
+const FAILURE_WINDOW_SECONDS = parseInt(process.env.LOGIN_FAILURE_WINDOW, 10) || 900;
+
+// One IP legitimately carries many users (an office, a NAT), so it gets
+// more room than a single account
+const IP_MULTIPLIER = 5;
+
+const SUBJECTS = {
+  user: { free: FREE_ATTEMPTS, lockout: LOCKOUT_ATTEMPTS },
+  ip: { free: FREE_ATTEMPTS * IP_MULTIPLIER, lockout: LOCKOUT_ATTEMPTS * IP_MULTIPLIER },
+};
+
+const failuresKey = (subject, id) => `login:failures:${subject}:${id}`;
+const blockKey = (subject, id) => `login:blocked:${subject}:${id}`;
+
+const userId = (username) => String(username).slice(0, 100);
+
+const subjectsOf = ({ username, ip }) => [
+  ['user', userId(username)],
+  ['ip', ip],
+];
+
+// Seconds to block after the nth failure: nothing while attempts are free,
+// then 1, 2, 4, ... and the full lockout at the threshold
+const blockSeconds = (failures, { free, lockout }) => {
+  if (failures >= lockout) return LOCKOUT_SECONDS;
+  if (failures <= free) return 0;
+  return Math.min(2 ** (failures - free - 1), LOCKOUT_SECONDS);
+};
+
+const call = (promise) => withTimeout(promise, undefined, 'Redis');
+
+/**
+ * Stands in for Redis while it is unavailable, with the few commands used
+ * here. Counts are per pod then, but logins stay throttled.
+ */
+class LocalStore {
+  constructor() {
+    // key -> { value, expiresAt }
+    this.entries = new Map();
+  }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  // Expired entries are only noticed when read; a spray of usernames would
+  // otherwise pile them up
+  sweep() {
+    if (this.entries.size < 10000) return;
+    this.entries.forEach((entry, key) => this.read(key));
+  }
+
+  async get(key) {
+    const entry = this.read(key);
+    return entry ? entry.value : null;
+  }
+
+  async incrBy(key, increment) {
+    this.sweep();
+    const entry = this.read(key);
+    const value = (entry ? parseInt(entry.value, 10) : 0) + increment;
+    this.entries.set(key, { value: String(value), expiresAt: entry ? entry.expiresAt : Infinity });
+    return value;
+  }
+
+  incr(key) {
+    return this.incrBy(key, 1);
+  }
+
+  decr(key) {
+    return this.incrBy(key, -1);
+  }
+
+  async expire(key, seconds) {
+    const entry = this.read(key);
+    if (entry) entry.expiresAt = Date.now() + seconds * 1000;
+  }
+
+  async set(key, value, { expiration }) {
+    this.entries.set(key, { value, expiresAt: Date.now() + expiration.value * 1000 });
+  }
+
+  async del(keys) {
+    [].concat(keys).forEach((key) => this.entries.delete(key));
+  }
+}
+
+const local = new LocalStore();
+let degraded = false;
+
+const setDegraded = (value, err) => {
+  if (value === degraded) return;
+  degraded = value;
+  if (value) {
+    logger.warn('Login lockout counting in memory: Redis unavailable', { error: err && err.message });
+  } else {
+    logger.info('Login lockout back on Redis');
+  }
+};
+
+// Run `fn(store)` against Redis, or against the local store while Redis is
+// unavailable
+const withStore = async (fn) => {
+  if (redis.isReady) {
+    try {
+      const result = await call(fn(redis));
+      setDegraded(false);
+      return result;
+    } catch (err) {
+      setDegraded(true, err);
+    }
+  } else {
+    setDegraded(true);
+  }
+  return fn(local);
+};
+
+// What begin() counted for each attempt, until it is settled
+const counted = new WeakMap();
+
+/**
+ * Start a login attempt. Returns how long it must wait, in seconds, or 0 to
+ * go ahead. Attempts that go ahead are counted as failures straight away
+ * (INCR, then compare) so parallel requests cannot all slip under the
+ * threshold; settle them with recordFailure() or release(). The block keys
+ * hold the time they end so the wait can be reported exactly.
+ */
+const begin = (attempt) => withStore(async (store) => {
+  const subjects = subjectsOf(attempt);
+  const until = await Promise.all(subjects.map(([subject, id]) => store.get(blockKey(subject, id))));
+  const latest = Math.max(0, ...until.map((value) => parseInt(value, 10) || 0));
+  const wait = Math.ceil((latest - Date.now()) / 1000);
+  if (wait > 0) return wait;
+
+  const failures = await Promise.all(subjects.map(async ([subject, id]) => {
+    const count = await store.incr(failuresKey(subject, id));
+    await store.expire(failuresKey(subject, id), FAILURE_WINDOW_SECONDS);
+    return count;
+  }));
+  // Attempts still in flight hold the rest up to the threshold; they have
+  // either blocked the subject or given their count back within a second
+  if (subjects.some(([subject], i) => failures[i] > SUBJECTS[subject].lockout)) {
+    await Promise.all(subjects.map(([subject, id]) => store.decr(failuresKey(subject, id))));
+    return 1;
+  }
+  counted.set(attempt, { store, failures });
+  return 0;
+});
+
+/**
+ * The attempt failed: its count stands and the username and IP are blocked
+ * as far as their counts call for. Returns the resulting block in seconds
+ * and whether it is a lockout.
+ */
+const recordFailure = async (attempt) => {
+  const entry = counted.get(attempt);
+  counted.delete(attempt);
+  if (!entry) return { retryAfter: 0, locked: false };
+
+  const blocks = subjectsOf(attempt)
+    .map(([subject, id], i) => ({ subject, id, failures: entry.failures[i], seconds: blockSeconds(entry.failures[i], SUBJECTS[subject]) }))
+    .filter(({ seconds }) => seconds > 0);
+  await withStore((store) => Promise.all(blocks.map(({ subject, id, seconds }) =>
+    store.set(blockKey(subject, id), String(Date.now() + seconds * 1000), { expiration: { type: 'EX', value: seconds } }))));
+
+  let locked = false;
+  blocks.forEach(({ subject, id, failures, seconds }) => {
+    if (failures < SUBJECTS[subject].lockout) return;
+    locked = true;
+    logger.warn(`Login locked out for ${subject} ${id} after ${failures} failures`, { seconds });
+  });
+  return { retryAfter: Math.max(0, ...blocks.map(({ seconds }) => seconds)), locked };
+};
+
+// The credential was right: give back what begin() counted
+const release = async (attempt) => {
+  const entry = counted.get(attempt);
+  counted.delete(attempt);
+  if (!entry) return;
+  const decrement = () => Promise.all(subjectsOf(attempt).map(([subject, id]) => entry.store.decr(failuresKey(subject, id))));
+  try {
+    await (entry.store === local ? decrement() : call(decrement()));
+  } catch (err) {
+    logger.warn('Could not release login attempt', { error: err.message });
+  }
+};
+
+// Signed in: the account's slate is clean. The IP keeps its count, or one
+// valid account would let an attacker reset it at will.
+const recordSuccess = async ({ username }) => {
+  const keys = [failuresKey('user', userId(username)), blockKey('user', userId(username))];
+  await local.del(keys);
+  if (!redis.isReady) return;
+  try {
+    await call(redis.del(keys));
+  } catch (err) {
+    logger.warn('Could not reset login failures', { error: err.message });
+  }
+};
+
+// Count one try at something allowed only a few, such as a sign-in
+// challenge; returns the tries so far, this one included
+const countTry = (key, seconds) => withStore(async (store) => {
+  const tries = await store.incr(key);
+  await store.expire(key, seconds);
+  return tries;
+});
+
+module.exports = { begin, recordFailure, release, recordSuccess, countTry };
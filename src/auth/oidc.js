@@ -0,0 +1,232 @@
+/**
+ * OpenID Connect Single Sign-On
+ *
+ * Authorization code flow with PKCE against any provider that publishes a
+ * discovery document (OIDC_DISCOVERY_URL), including a local mock IdP.
+ * The state, nonce and PKCE verifier of a sign-in in progress travel in a
+ * short-lived signed cookie, so the callback can land on any replica.
+ *
+ * The IdP is the source of truth for who is an admin: the groups claim is
+ * mapped to a role on every sign-in. Users are created on their first
+ * sign-in and matched by subject afterwards.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../logger').child({ module: 'auth' });
+const User = require('../models/User');
+const tokens = require('./tokens');
+const { generatePassword } = require('./passwordPolicy');
+const { withTimeout } = require('../timeout');
+
+const FLOW_TTL_SECONDS = 600;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 5000;
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+class OidcError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'OidcError';
+    this.status = status;
+  }
+}
+
+const list = (value) => (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+
+// Read on every use, so tests can point it at a mock provider
+const config = () => ({
+  discoveryUrl: process.env.OIDC_DISCOVERY_URL,
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI || 'http://localhost:3000/api/auth/oidc/callback',
+  scopes: process.env.OIDC_SCOPES || 'openid profile email groups',
+  usernameClaim: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  adminGroups: list(process.env.OIDC_ADMIN_GROUPS),
+  // Empty: everyone the IdP lets through may sign in as a viewer
+  viewerGroups: list(process.env.OIDC_VIEWER_GROUPS),
+  providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',
+});
+
+const isEnabled = () => {
+  const { discoveryUrl, clientId } = config();
+  return Boolean(discoveryUrl && clientId);
+};
+
+const fetchJson = async (url, options = {}) => {
+  const response = await withTimeout(fetch(url, options), HTTP_TIMEOUT_MS, 'Identity provider')
+    .catch((err) => {
+      throw new OidcError(502, `Identity provider unreachable: ${err.message}`);
+    });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new OidcError(502, `Identity provider answered ${response.status} for ${new URL(url).pathname}${body.error ? `: ${body.error}` : ''}`);
+  }
+  return body;
+};
+
+// Discovery document and signing keys, cached per discovery URL
+let metadata = null;
+let signingKeys = new Map();
+
+const discover = async () => {
+  const { discoveryUrl } = config();
+  if (metadata && metadata.url === discoveryUrl && Date.now() - metadata.fetchedAt < METADATA_TTL_MS) {
+    return metadata.document;
+  }
+  const document = await fetchJson(discoveryUrl);
+  metadata = { url: discoveryUrl, document, fetchedAt: Date.now() };
+  signingKeys = new Map();
+  return document;
+};
+
+// Keys are re-fetched when a token names one we have not seen: the IdP rotated
+const signingKey = async (kid) => {
+  if (!signingKeys.has(kid)) {
+    const { jwks_uri: jwksUri } = await discover();
+    const { keys = [] } = await fetchJson(jwksUri);
+    signingKeys = new Map(keys
+      .filter((key) => key.use !== 'enc')
+      .map((key) => [key.kid, crypto.createPublicKey({ key, format: 'jwk' })]));
+  }
+  const key = signingKeys.get(kid);
+  if (!key) throw new OidcError(401, 'ID token is signed with an unknown key');
+  return key;
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Where to send the browser to sign in, and the signed flow state to keep
+ * in a cookie until the callback.
+ */
+const startLogin = async () => {
+  const { clientId, redirectUri, scopes } = config();
+  const { authorization_endpoint: authorizationEndpoint } = await discover();
+
+  const flow = {
+    state: base64url(crypto.randomBytes(16)),
+    nonce: base64url(crypto.randomBytes(16)),
+    verifier: base64url(crypto.randomBytes(32)),
+  };
+  const url = new URL(authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scopes,
+    state: flow.state,
+    nonce: flow.nonce,
+    code_challenge: base64url(crypto.createHash('sha256').update(flow.verifier).digest()),
+    code_challenge_method: 'S256',
+  }).toString();
+
+  const cookie = jwt.sign(flow, tokens.JWT_SECRET, { expiresIn: FLOW_TTL_SECONDS, audience: 'oidc-flow' });
+  return { url: url.toString(), cookie, maxAgeMs: FLOW_TTL_SECONDS * 1000 };
+};
+
+const readFlow = (cookie, state) => {
+  let flow;
+  try {
+    flow = jwt.verify(cookie || '', tokens.JWT_SECRET, { audience: 'oidc-flow' });
+  } catch (err) {
+    throw new OidcError(400, 'Sign-in session expired or missing; start again');
+  }
+  if (!state || state !== flow.state) throw new OidcError(400, 'Sign-in state does not match; start again');
+  return flow;
+};
+
+const exchangeCode = async (code, verifier) => {
+  const { clientId, clientSecret, redirectUri } = config();
+  const { token_endpoint: tokenEndpoint } = await discover();
+
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    code_verifier: verifier,
+  });
+  if (clientSecret) form.set('client_secret', clientSecret);
+
+  const { id_token: idToken } = await fetchJson(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: form,
+  });
+  if (!idToken) throw new OidcError(502, 'Identity provider returned no ID token');
+  return idToken;
+};
+
+const verifyIdToken = async (idToken, nonce) => {
+  const { clientId } = config();
+  const { issuer } = await discover();
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new OidcError(401, 'ID token is malformed');
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, await signingKey(decoded.header.kid), {
+      algorithms: SIGNING_ALGORITHMS,
+      issuer,
+      audience: clientId,
+    });
+  } catch (err) {
+    throw new OidcError(401, `ID token rejected: ${err.message}`);
+  }
+  if (claims.nonce !== nonce) throw new OidcError(401, 'ID token nonce does not match');
+  return claims;
+};
+
+// admin beats viewer; null when the user is in neither and viewers are restricted
+const roleFor = (groups) => {
+  const { adminGroups, viewerGroups } = config();
+  if (groups.some((group) => adminGroups.includes(group))) return 'admin';
+  if (viewerGroups.length === 0 || groups.some((group) => viewerGroups.includes(group))) return 'viewer';
+  return null;
+};
+
+// Find the user by subject, or create them; keep their role in step with the IdP
+const provisionUser = async (claims) => {
+  const { usernameClaim, groupsClaim } = config();
+  const groups = [].concat(claims[groupsClaim] || []);
+  const role = roleFor(groups);
+  if (!role) throw new OidcError(403, 'Your account is not in a group allowed to use this platform');
+
+  let user = await withTimeout(User.findOne({ where: { oidcSubject: claims.sub } }), undefined, 'Database');
+  if (!user) {
+    const username = claims[usernameClaim] || claims.email || claims.sub;
+    // Never take over a local account that happens to share the name
+    if (await withTimeout(User.findOne({ where: { username } }), undefined, 'Database')) {
+      throw new OidcError(409, `A local account named ${username} already exists; ask an administrator`);
+    }
+    // The random password is never shown: SSO users sign in through the IdP
+    user = await withTimeout(User.create({ username, password: generatePassword(), role, oidcSubject: claims.sub }), undefined, 'Database');
+    logger.info(`SSO user created on first sign-in: ${username}`, { role });
+    return user;
+  }
+
+  if (user.role !== role) {
+    logger.info(`SSO user ${user.username} role changed by IdP groups: ${user.role} -> ${role}`);
+    await withTimeout(user.update({ role }), undefined, 'Database');
+    await tokens.revokeUserSessions(user.id);
+  }
+  return user;
+};
+
+/**
+ * Finish a sign-in: check the state against the flow cookie, redeem the
+ * code, verify the ID token and return the local user.
+ */
+const completeLogin = async ({ code, state, cookie }) => {
+  const flow = readFlow(cookie, state);
+  if (!code) throw new OidcError(400, 'Authorization code is missing');
+
+  const claims = await verifyIdToken(await exchangeCode(code, flow.verifier), flow.nonce);
+  const user = await provisionUser(claims);
+  if (user.disabledAt) throw new OidcError(403, 'Account is disabled. Contact an administrator.');
+  return user;
+};
+
+module.exports = { OidcError, config, isEnabled, startLogin, completeLogin };
@@ -0,0 +1,69 @@
+/**
+ * Password Policy
+ *
+ * Enforced wherever a password is chosen: registration, changing your own
+ * password and an admin reset. Configured through the environment so an
+ * installation can tighten it without a code change; the client reads it
+ * from GET /api/auth/password-policy to show the rules up front.
+ */
+
+const crypto = require('crypto');
+
+const envFlag = (name, fallback) =>
+  process.env[name] === undefined ? fallback : process.env[name] === 'true';
+
+// bcrypt ignores everything after 72 bytes, so longer passwords give a
+// false sense of security
+const BCRYPT_MAX_BYTES = 72;
+
+const POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 10,
+  maxLength: BCRYPT_MAX_BYTES,
+  requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', false),
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', false),
+  requireDigit: envFlag('PASSWORD_REQUIRE_DIGIT', false),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', false),
+};
+
+const RULES = [
+  ['requireLowercase', /[a-z]/, 'a lowercase letter'],
+  ['requireUppercase', /[A-Z]/, 'an uppercase letter'],
+  ['requireDigit', /[0-9]/, 'a digit'],
+  ['requireSymbol', /[^A-Za-z0-9]/, 'a symbol'],
+];
+
+/**
+ * Everything wrong with `password`, as messages for the user; empty when it
+ * satisfies the policy.
+ */
+const validatePassword = (password, { username } = {}) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  const problems = [];
+  if (password.length < POLICY.minLength) {
+    problems.push(`Password must be at least ${POLICY.minLength} characters`);
+  }
+  if (Buffer.byteLength(password) > POLICY.maxLength) {
+    problems.push(`Password must be at most ${POLICY.maxLength} bytes`);
+  }
+  RULES.forEach(([flag, pattern, description]) => {
+    if (POLICY[flag] && !pattern.test(password)) {
+      problems.push(`Password must contain ${description}`);
+    }
+  });
+  if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    problems.push('Password must not contain the username');
+  }
+  return problems;
+};
+
+// A random password that passes whatever the policy requires: random
+// characters plus one of each class a rule might ask for
+const generatePassword = () => {
+  const length = Math.max(16, POLICY.minLength);
+  return `${crypto.randomBytes(length).toString('base64url').slice(0, length - 4)}aZ7!`;
+};
+
+module.exports = { POLICY, validatePassword, generatePassword };
@@ -0,0 +1,185 @@
+/**
+ * Session Tokens
+ *
+ * Access tokens are short-lived JWTs carrying { user: { id, role } } and a
+ * unique id (jti). Refresh tokens are random strings, stored hashed, that
+ * can be exchanged once for a new access/refresh pair. Presenting a refresh
+ * token that was already exchanged means it was copied, so the whole
+ * session (every token rotated from the same login) is revoked.
+ *
+ * Logout puts the access token's jti on a Redis revocation list until the
+ * token would have expired anyway. Access tokens carry their session (the
+ * refresh token family) as `sid`, so disabling a user, changing their role
+ * or resetting their password can revoke every session of theirs the same
+ * way.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../logger').child({ module: 'auth' });
+const redis = require('../redis');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { withTimeout } = require('../timeout');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-key';
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 900; // seconds
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 7 * 24 * 3600; // seconds
+const REVOKED_PREFIX = 'revoked:jti:';
+const REVOKED_SESSION_PREFIX = 'revoked:sid:';
+
+class TokenError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'TokenError';
+    this.status = status;
+  }
+}
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign({ user: { id: user.id, role: user.role }, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: crypto.randomUUID(),
+  });
+
+// Throws (jsonwebtoken errors) unless the token is well formed, signed by
+// us, unexpired and carries a jti. Tokens without a jti predate revocation
+// and could never be logged out, so they are refused.
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (!decoded.jti) throw new jwt.JsonWebTokenError('token has no jti');
+  return decoded;
+};
+
+/**
+ * Start a session (or continue one when rotating): a new access token and
+ * a new refresh token in the given family.
+ */
+const issueSession = async (user, familyId = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+  await withTimeout(RefreshToken.create({
+    tokenHash: hash(refreshToken),
+    userId: user.id,
+    familyId,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000),
+  }), undefined, 'Database');
+
+  return { token: signAccessToken(user, familyId), refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+const revokeFamily = (familyId) =>
+  withTimeout(RefreshToken.update(
+    { revokedAt: new Date() },
+    { where: { familyId, revokedAt: null } }
+  ), undefined, 'Database');
+
+/**
+ * Exchange a refresh token for a new session. The user is read again so a
+ * role change takes effect on the next refresh.
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new TokenError(400, 'refreshToken is required');
+  }
+
+  const stored = await withTimeout(RefreshToken.findOne({ where: { tokenHash: hash(refreshToken) } }), undefined, 'Database');
+  if (!stored || stored.revokedAt || stored.expiresAt < new Date()) {
+    throw new TokenError(401, 'Refresh token is not valid');
+  }
+
+  if (stored.rotatedAt) {
+    await revokeFamily(stored.familyId);
+    logger.warn(`Refresh token reuse detected for user ${stored.userId}; session revoked`, { familyId: stored.familyId });
+    throw new TokenError(401, 'Refresh token is not valid');
+  }
+
+  // Only one caller can win the exchange, even if two race with the same token
+  const [claimed] = await withTimeout(RefreshToken.update(
+    { rotatedAt: new Date() },
+    { where: { id: stored.id, rotatedAt: null } }
+  ), undefined, 'Database');
+  if (claimed === 0) throw new TokenError(401, 'Refresh token is not valid');
+
+  const user = await withTimeout(User.findByPk(stored.userId), undefined, 'Database');
+  if (!user || user.disabledAt) {
+    await revokeFamily(stored.familyId);
+    throw new TokenError(401, 'Refresh token is not valid');
+  }
+
+  return { user, session: await issueSession(user, stored.familyId) };
+};
+
+// Ends the session the refresh token belongs to. Unknown tokens are ignored
+// so logout never fails because of what the client sent.
+const revokeRefreshToken = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') return;
+  const stored = await withTimeout(RefreshToken.findOne({ where: { tokenHash: hash(refreshToken) } }), undefined, 'Database');
+  if (stored) await revokeFamily(stored.familyId);
+};
+
+const revokeAccessToken = async ({ jti, exp }) => {
+  const ttl = exp - Math.floor(Date.now() / 1000);
+  if (ttl <= 0) return;
+  await withTimeout(redis.set(`${REVOKED_PREFIX}${jti}`, '1', { expiration: { type: 'EX', value: ttl } }), undefined, 'Redis');
+};
+
+/**
+ * End every session of a user: their refresh tokens are revoked in the
+ * database and the access tokens of those sessions on the Redis list.
+ */
+const revokeUserSessions = async (userId) => {
+  const active = await withTimeout(RefreshToken.findAll({
+    attributes: ['familyId'],
+    where: { userId, revokedAt: null },
+  }), undefined, 'Database');
+  const sessionIds = [...new Set(active.map((row) => row.familyId))];
+  if (sessionIds.length === 0) return;
+
+  await withTimeout(RefreshToken.update(
+    { revokedAt: new Date() },
+    { where: { userId, revokedAt: null } }
+  ), undefined, 'Database');
+
+  try {
+    await withTimeout(Promise.all(sessionIds.map((sid) =>
+      redis.set(`${REVOKED_SESSION_PREFIX}${sid}`, '1', { expiration: { type: 'EX', value: ACCESS_TOKEN_TTL } })
+    )), undefined, 'Redis');
+  } catch (err) {
+    logger.warn(`Could not revoke access tokens of user ${userId}; they stay valid until they expire`, { error: err.message });
+  }
+};
+
+// Redis only holds the revocation list, so while it is unreachable tokens
+// are accepted (the pod stays usable, as for the rest of degraded mode);
+// the short access token lifetime bounds the exposure.
+const isRevoked = async ({ jti, sid }) => {
+  if (!redis.isReady) return false;
+  try {
+    const [token, session] = await withTimeout(Promise.all([
+      redis.get(`${REVOKED_PREFIX}${jti}`),
+      sid ? redis.get(`${REVOKED_SESSION_PREFIX}${sid}`) : null,
+    ]), undefined, 'Redis');
+    return token !== null || session !== null;
+  } catch (err) {
+    logger.warn('Could not check token revocation list', { error: err.message });
+    return false;
+  }
+};
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  TokenError,
+  signAccessToken,
+  verifyAccessToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeUserSessions,
+  isRevoked,
+};
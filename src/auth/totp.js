@@ -0,0 +1,90 @@
+/**
+ * TOTP (RFC 6238)
+ *
+ * Time-based one-time passwords as produced by authenticator apps: HMAC-SHA1
+ * over 30-second steps, 6 digits, secrets exchanged in base32. Secrets are
+ * stored encrypted (AES-256-GCM) with TOTP_ENCRYPTION_KEY, falling back to
+ * JWT_SECRET, so a database dump alone does not yield working codes.
+ */
+
+const crypto = require('crypto');
+const { JWT_SECRET } = require('./tokens');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next step too: phone clocks drift
+const WINDOW = 1;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const encryptionKey = () =>
+  crypto.createHash('sha256').update(process.env.TOTP_ENCRYPTION_KEY || JWT_SECRET).digest();
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  return (bits.match(/.{1,5}/g) || []).map((chunk) => BASE32[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+};
+
+const base32Decode = (text) => {
+  const bits = text.replace(/=+$/, '').toUpperCase().split('')
+    .map((char) => BASE32.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map((byte) => parseInt(byte, 2)));
+};
+
+// 160 bits, as RFC 4226 recommends
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+const codeAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const generateCode = (secret, now = Date.now()) => codeAt(secret, currentStep(now));
+
+/**
+ * The time step `code` belongs to, or null. Steps at or before `lastStep`
+ * are refused so a code cannot be replayed.
+ */
+const verifyCode = (secret, code, lastStep = null) => {
+  const presented = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(presented) || presented.length !== DIGITS) return null;
+
+  const now = currentStep();
+  for (let step = now - WINDOW; step <= now + WINDOW; step++) {
+    if (lastStep !== null && step <= lastStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(codeAt(secret, step)), Buffer.from(presented))) return step;
+  }
+  return null;
+};
+
+// Provisioning URI for authenticator apps; render it as a QR code
+const otpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const seal = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), encrypted].map((part) => (Buffer.isBuffer(part) ? part.toString('base64url') : part)).join(':');
+};
+
+const unseal = (sealed) => {
+  const [, iv, tag, encrypted] = sealed.split(':').map((part, i) => (i === 0 ? part : Buffer.from(part, 'base64url')));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = { generateSecret, generateCode, verifyCode, otpauthUri, seal, unseal };
@@ -0,0 +1,180 @@
+/**
+ * Two-Factor Authentication
+ *
+ * Enrollment is two steps: setup stores a new TOTP secret and returns it
+ * (plus a provisioning URI for a QR code), enable confirms the user's
+ * authenticator produces valid codes and hands out one-time recovery codes.
+ * From then on a correct password only earns a short-lived challenge, which
+ * must be completed with a TOTP code or a recovery code before a session is
+ * issued. Each challenge allows CHALLENGE_TRIES codes, after which the
+ * password has to be entered again.
+ *
+ * Mostly meant for admins, who can kill pods and run load tests.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op, cast, col, where } = require('sequelize');
+const logger = require('../logger').child({ module: 'auth' });
+const User = require('../models/User');
+const totp = require('./totp');
+const lockout = require('./lockout');
+const { JWT_SECRET } = require('./tokens');
+const { withTimeout } = require('../timeout');
+
+const ISSUER = process.env.TOTP_ISSUER || 'Anti-Gravity';
+const CHALLENGE_TTL_SECONDS = 300;
+const CHALLENGE_TRIES = 5;
+// Codes a signed-in user may try per window to change their settings
+const SETTINGS_TRIES = 5;
+const SETTINGS_WINDOW_SECONDS = 15 * 60;
+const RECOVERY_CODE_COUNT = 10;
+
+class TwoFactorError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.status = status;
+  }
+}
+
+const hash = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Recovery codes are typed by hand: ignore case, spaces and dashes
+const normalize = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+const save = (user, changes) => withTimeout(user.update(changes), undefined, 'Database');
+
+// Save only if `condition` still holds in the database; false if another
+// request changed the row first, so a code two requests race with is only
+// accepted once
+const saveIf = async (user, changes, condition) => {
+  const [updated] = await withTimeout(
+    User.update(changes, { where: { [Op.and]: [{ id: user.id }, condition] } }),
+    undefined,
+    'Database'
+  );
+  if (updated === 0) return false;
+  user.set(changes);
+  return true;
+};
+
+const isEnrolled = (user) => Boolean(user.totpEnabledAt);
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => crypto.randomBytes(5).toString('hex').replace(/(.{5})/, '$1-'));
+
+/**
+ * Start (or restart) enrollment with a fresh secret. Not active until
+ * `enable` sees a valid code from it.
+ */
+const setup = async (user) => {
+  if (isEnrolled(user)) {
+    throw new TwoFactorError(400, 'Two-factor authentication is already enabled; disable it first');
+  }
+  const secret = totp.generateSecret();
+  await save(user, { totpSecret: totp.seal(secret), totpLastStep: null });
+  return { secret, otpauthUri: totp.otpauthUri({ secret, account: user.username, issuer: ISSUER }) };
+};
+
+// Accept a TOTP code once: the step it belongs to is remembered
+const acceptCode = async (user, code) => {
+  if (!user.totpSecret) return false;
+  const step = totp.verifyCode(totp.unseal(user.totpSecret), code, user.totpLastStep);
+  if (step === null) return false;
+  return saveIf(user, { totpLastStep: step }, {
+    [Op.or]: [{ totpLastStep: null }, { totpLastStep: { [Op.lt]: step } }],
+  });
+};
+
+const acceptRecoveryCode = async (user, code) => {
+  const hashed = hash(normalize(code));
+  const remaining = user.recoveryCodes || [];
+  if (!remaining.includes(hashed)) return false;
+  // Compared as text: JSON columns have no equality operator in Postgres
+  const unchanged = where(cast(col('recoveryCodes'), 'text'), JSON.stringify(remaining));
+  if (!(await saveIf(user, { recoveryCodes: remaining.filter((stored) => stored !== hashed) }, unchanged))) return false;
+  logger.warn(`Recovery code used by ${user.username}; ${remaining.length - 1} left`);
+  return true;
+};
+
+/**
+ * Check a second factor: `code` from the authenticator or a `recoveryCode`.
+ */
+const verify = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) return acceptRecoveryCode(user, recoveryCode);
+  return acceptCode(user, code);
+};
+
+/**
+ * verify() for changing two-factor settings (new recovery codes, turning it
+ * off). Tries are counted per user, so a stolen session token cannot guess
+ * its way to new recovery codes.
+ */
+const verifyForSettings = async (user, factors) => {
+  if (await lockout.countTry(`login:2fa:${user.id}`, SETTINGS_WINDOW_SECONDS) > SETTINGS_TRIES) {
+    throw new TwoFactorError(429, `Too many codes tried; wait ${SETTINGS_WINDOW_SECONDS / 60} minutes`);
+  }
+  return verify(user, factors);
+};
+
+const issueRecoveryCodes = async (user) => {
+  const codes = generateRecoveryCodes();
+  await save(user, { recoveryCodes: codes.map((code) => hash(normalize(code))) });
+  return codes;
+};
+
+// Finish enrollment; the recovery codes are only ever shown here
+const enable = async (user, code) => {
+  if (isEnrolled(user)) throw new TwoFactorError(400, 'Two-factor authentication is already enabled');
+  if (!user.totpSecret) throw new TwoFactorError(400, 'Start with POST /api/auth/2fa/setup');
+  if (!(await acceptCode(user, code))) throw new TwoFactorError(400, 'Code is not valid; check the time on your device');
+
+  await save(user, { totpEnabledAt: new Date() });
+  logger.info(`Two-factor authentication enabled for ${user.username}`);
+  return issueRecoveryCodes(user);
+};
+
+const disable = async (user) => {
+  await save(user, { totpSecret: null, totpEnabledAt: null, totpLastStep: null, recoveryCodes: null });
+  logger.warn(`Two-factor authentication disabled for ${user.username}`);
+};
+
+// What a correct password earns an enrolled user: proof, for a few
+// minutes, that the first factor passed
+const issueChallenge = (user) =>
+  jwt.sign({ sub: String(user.id) }, JWT_SECRET, {
+    audience: '2fa-challenge',
+    expiresIn: CHALLENGE_TTL_SECONDS,
+    jwtid: crypto.randomUUID(),
+  });
+
+// The user the challenge was issued to. Every call uses up one of the
+// challenge's tries, so its codes cannot be guessed for five minutes.
+const readChallenge = async (challenge) => {
+  let claims;
+  try {
+    claims = jwt.verify(challenge || '', JWT_SECRET, { audience: '2fa-challenge' });
+  } catch (err) {
+    throw new TwoFactorError(401, 'Sign-in expired; enter your password again');
+  }
+  if (!claims.jti || await lockout.countTry(`login:challenge:${claims.jti}`, CHALLENGE_TTL_SECONDS) > CHALLENGE_TRIES) {
+    throw new TwoFactorError(401, 'Too many codes tried; enter your password again');
+  }
+  const user = await withTimeout(User.findByPk(claims.sub), undefined, 'Database');
+  if (!user || !isEnrolled(user)) throw new TwoFactorError(401, 'Sign-in expired; enter your password again');
+  return user;
+};
+
+module.exports = {
+  TwoFactorError,
+  isEnrolled,
+  setup,
+  enable,
+  disable,
+  verify,
+  verifyForSettings,
+  issueRecoveryCodes,
+  issueChallenge,
+  readChallenge,
+};
@@ -0,0 +1,126 @@
+/**
+ * Simulated Dependency Outages
+ *
+ * Makes the Redis client and the Sequelize connection behave as if the
+ * backing service were down (every call fails) or slow (every call is
+ * delayed), without touching the real Redis or Postgres. The real clients
+ * are instrumented once at startup (see redis.js and db.js); while no fault
+ * is set the instrumentation is a pass-through.
+ */
+
+const { ConnectionError } = require('sequelize');
+const logger = require('../logger').child({ module: 'chaos' });
+const { ExperimentError } = require('./errors');
+
+const DEPENDENCIES = ['redis', 'database'];
+const MODES = ['down', 'slow'];
+const MAX_DELAY_MS = 60000;
+
+// Client methods that manage the connection itself rather than issue
+// commands; they keep working so the real connection is left alone
+const REDIS_PASSTHROUGH = new Set([
+  'on', 'once', 'off', 'addListener', 'removeListener', 'removeAllListeners',
+  'emit', 'listenerCount', 'connect', 'quit', 'close', 'disconnect', 'destroy', 'duplicate',
+]);
+
+const faults = {};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const validate = (name, { mode, delayMs = 5000 } = {}) => {
+  if (!DEPENDENCIES.includes(name)) {
+    throw new ExperimentError(400, `Unknown dependency '${name}'. Available: ${DEPENDENCIES.join(', ')}`);
+  }
+  if (!MODES.includes(mode)) {
+    throw new ExperimentError(400, `mode must be one of: ${MODES.join(', ')}`);
+  }
+  if (mode === 'slow' && (!Number.isInteger(delayMs) || delayMs < 1 || delayMs > MAX_DELAY_MS)) {
+    throw new ExperimentError(400, `delayMs must be an integer between 1 and ${MAX_DELAY_MS}`);
+  }
+};
+
+const setFault = (name, options = {}) => {
+  validate(name, options);
+  faults[name] = {
+    mode: options.mode,
+    delayMs: options.mode === 'slow' ? options.delayMs || 5000 : undefined,
+    since: new Date().toISOString(),
+  };
+  logger.warn(`CHAOS: Simulating ${name} ${options.mode}`, faults[name]);
+  return { dependency: name, ...faults[name] };
+};
+
+const clearFault = (name) => {
+  const fault = faults[name];
+  delete faults[name];
+  if (fault) logger.warn(`CHAOS: ${name} ${fault.mode} simulation cleared`);
+  return fault || null;
+};
+
+const getFault = (name) => faults[name] || null;
+
+const listFaults = () => ({ ...faults });
+
+const isDown = (name) => Boolean(faults[name] && faults[name].mode === 'down');
+
+// Applies the current fault (if any) before a dependency call runs
+const applyFault = async (name, makeError) => {
+  const fault = faults[name];
+  if (!fault) return;
+  if (fault.mode === 'down') throw makeError();
+  await sleep(fault.delayMs);
+};
+
+/**
+ * Wrap a node-redis client so command calls honour the simulated fault.
+ * isReady/isOpen also read false while Redis is "down".
+ */
+const instrumentRedis = (client) =>
+  new Proxy(client, {
+    get(target, prop) {
+      if ((prop === 'isReady' || prop === 'isOpen') && isDown('redis')) return false;
+
+      const value = target[prop];
+      if (typeof value !== 'function') return value;
+      if (!faults.redis || REDIS_PASSTHROUGH.has(prop)) return value.bind(target);
+
+      return async (...args) => {
+        await applyFault('redis', () => new Error('Redis unavailable (simulated outage)'));
+        return value.apply(target, args);
+      };
+    },
+  });
+
+// Every Sequelize query (including authenticate()) passes this hook
+const instrumentSequelize = (sequelize) => {
+  sequelize.addHook('beforeQuery', () =>
+    applyFault('database', () => new ConnectionError(new Error('Database unavailable (simulated outage)')))
+  );
+};
+
+// Experiment type: one dependency fault for the duration of a run
+const experimentType = {
+  description: 'Make redis or database look down or slow (dependency, mode: down|slow, delayMs)',
+
+  validate: (parameters) => validate(parameters.dependency, parameters),
+
+  start({ parameters }) {
+    setFault(parameters.dependency, parameters);
+    return {
+      status: () => getFault(parameters.dependency),
+      stop: () => ({ cleared: clearFault(parameters.dependency) }),
+    };
+  },
+};
+
+module.exports = {
+  DEPENDENCIES,
+  setFault,
+  clearFault,
+  getFault,
+  listFaults,
+  isDown,
+  instrumentRedis,
+  instrumentSequelize,
+  experimentType,
+};
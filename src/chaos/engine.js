@@ -0,0 +1,293 @@
+/**
+ * Chaos Experiment Engine
+ *
+ * Experiments are declared once (name, type, parameters, duration, target)
+ * and can then be started, watched and stopped any number of times. Every
+ * start creates an ExperimentRun that moves through the lifecycle
+ *
+ *   pending -> running -> completed | aborted
+ *
+ * and keeps whatever results the experiment type reports when it stops.
+ *
+ * Fault types plug in through registerType(). A type is an object with:
+ *   - validate(parameters)  optional, throw ExperimentError on bad input
+ *   - start(context)        inject the fault, return a handle (may be async)
+ * and the handle may expose:
+ *   - stop()                remove the fault, return results for the run
+ *   - status()              live observations while the run is active
+ */
+
+const logger = require('../logger').child({ module: 'chaos' });
+const { ExperimentError } = require('./errors');
+const Experiment = require('../models/Experiment');
+const ExperimentRun = require('../models/ExperimentRun');
+const { NAME_RULE, isValidName } = require('../configCheck');
+
+const HOSTNAME = process.env.HOSTNAME || 'unknown';
+const MAX_DURATION = 3600; // seconds
+
+const types = new Map();
+const activeRuns = new Map(); // run id -> { run, handle, timer }
+// Experiments between the start check and activeRuns.set, so two starts
+// racing through the awaits in between cannot both get through
+const starting = new Set();
+
+const registerType = (name, definition) => {
+  types.set(name, definition);
+};
+
+const listTypes = () =>
+  Array.from(types.entries()).map(([name, definition]) => ({
+    name,
+    description: definition.description || '',
+  }));
+
+const targetsThisPod = (target) => !target || target === '*' || target === HOSTNAME;
+
+const validateDefinition = ({ name, type, parameters = {}, duration, target }) => {
+  if (!isValidName(name)) {
+    throw new ExperimentError(400, NAME_RULE);
+  }
+  if (!types.has(type)) {
+    throw new ExperimentError(400, `Unknown experiment type '${type}'. Available: ${Array.from(types.keys()).join(', ')}`);
+  }
+  if (parameters === null || typeof parameters !== 'object' || Array.isArray(parameters)) {
+    throw new ExperimentError(400, 'parameters must be an object');
+  }
+  if (duration !== undefined && (!Number.isInteger(duration) || duration < 1 || duration > MAX_DURATION)) {
+    throw new ExperimentError(400, `duration must be an integer between 1 and ${MAX_DURATION} seconds`);
+  }
+  if (target !== undefined && typeof target !== 'string') {
+    throw new ExperimentError(400, 'target must be a pod hostname or "*"');
+  }
+
+  const { validate } = types.get(type);
+  if (validate) validate(parameters);
+};
+
+const findExperiment = async (name) => {
+  const experiment = await Experiment.findOne({ where: { name } });
+  if (!experiment) {
+    throw new ExperimentError(404, `Experiment '${name}' not found`);
+  }
+  return experiment;
+};
+
+const findActiveRun = (name) =>
+  Array.from(activeRuns.values()).find((entry) => entry.run.experiment === name);
+
+const isBusy = (name) => starting.has(name) || Boolean(findActiveRun(name));
+
+// ============================================================================
+// DEFINITIONS
+// ============================================================================
+
+const defineExperiment = async (body) => {
+  validateDefinition(body);
+
+  const existing = await Experiment.findOne({ where: { name: body.name } });
+  if (existing) {
+    throw new ExperimentError(409, `Experiment '${body.name}' already exists`);
+  }
+
+  const experiment = await Experiment.create({
+    name: body.name,
+    type: body.type,
+    parameters: body.parameters || {},
+    duration: body.duration,
+    target: body.target,
+    description: body.description,
+  });
+
+  logger.info(`CHAOS: Experiment defined: ${experiment.name} (${experiment.type})`);
+  return experiment;
+};
+
+const listExperiments = () => Experiment.findAll({ order: [['name', 'ASC']] });
+
+const deleteExperiment = async (name) => {
+  const experiment = await findExperiment(name);
+  if (isBusy(name)) {
+    throw new ExperimentError(409, `Experiment '${name}' is running; stop it first`);
+  }
+  await experiment.destroy();
+  logger.info(`CHAOS: Experiment deleted: ${name}`);
+};
+
+// ============================================================================
+// RUN LIFECYCLE
+// ============================================================================
+
+const finishRun = async (runId, status, reason) => {
+  const entry = activeRuns.get(runId);
+  if (!entry) return null;
+
+  activeRuns.delete(runId);
+  clearTimeout(entry.timer);
+
+  let results = {};
+  try {
+    if (entry.handle.stop) results = (await entry.handle.stop()) || {};
+  } catch (err) {
+    logger.error(`CHAOS: Failed to stop run ${runId} cleanly`, { error: err.message });
+    results = { error: err.message };
+  }
+
+  await entry.run.update({
+    status,
+    endedAt: new Date(),
+    results: reason ? { ...results, reason } : results,
+  });
+
+  logger.warn(`CHAOS: Run ${runId} of ${entry.run.experiment} ${status}`, { reason });
+  return entry.run;
+};
+
+// Records the run and injects the fault; the caller holds the name in `starting`
+const launch = async (experiment, type) => {
+  const run = await ExperimentRun.create({
+    experiment: experiment.name,
+    type: experiment.type,
+    parameters: experiment.parameters,
+    duration: experiment.duration,
+    hostname: HOSTNAME,
+    status: 'pending',
+  });
+
+  // Persist 'running' before injecting anything: some faults (process kill)
+  // leave no chance to write afterwards.
+  await run.update({ status: 'running', startedAt: new Date() });
+
+  let handle;
+  try {
+    handle = (await type.start({
+      parameters: experiment.parameters,
+      duration: experiment.duration,
+      run,
+    })) || {};
+  } catch (err) {
+    logger.error(`CHAOS: Experiment ${experiment.name} failed to start`, { error: err.message });
+    await run.update({ status: 'aborted', endedAt: new Date(), results: { error: err.message } });
+    if (err instanceof ExperimentError) throw err;
+    throw new ExperimentError(500, `Experiment '${experiment.name}' failed to start (run ${run.id}): ${err.message}`);
+  }
+
+  const timer = setTimeout(() => {
+    finishRun(run.id, 'completed').catch((err) =>
+      logger.error(`CHAOS: Failed to complete run ${run.id}`, { error: err.message })
+    );
+  }, experiment.duration * 1000);
+  timer.unref();
+
+  activeRuns.set(run.id, { run, handle, timer });
+  logger.warn(`CHAOS: Experiment ${experiment.name} started (run ${run.id}) for ${experiment.duration}s`);
+  return run;
+};
+
+const startExperiment = async (name) => {
+  const experiment = await findExperiment(name);
+  const type = types.get(experiment.type);
+
+  if (!type) {
+    throw new ExperimentError(422, `Experiment type '${experiment.type}' is not available on this pod`);
+  }
+  if (!targetsThisPod(experiment.target)) {
+    throw new ExperimentError(409, `Experiment targets pod '${experiment.target}', this is '${HOSTNAME}'`);
+  }
+  if (isBusy(name)) {
+    throw new ExperimentError(409, `Experiment '${name}' is already running`);
+  }
+
+  starting.add(name);
+  try {
+    return await launch(experiment, type);
+  } finally {
+    starting.delete(name);
+  }
+};
+
+const stopExperiment = async (name, reason = 'stopped by operator') => {
+  await findExperiment(name);
+  const entry = findActiveRun(name);
+  if (!entry) {
+    throw new ExperimentError(409, `Experiment '${name}' is not running on this pod`);
+  }
+  return finishRun(entry.run.id, 'aborted', reason);
+};
+
+// Adds live progress to a run while it is active on this pod
+const describeRun = (run) => {
+  const data = run.toJSON();
+  const entry = activeRuns.get(run.id);
+
+  if (entry && run.startedAt) {
+    const elapsed = (Date.now() - new Date(run.startedAt).getTime()) / 1000;
+    data.elapsed = Math.round(elapsed);
+    data.remaining = Math.max(0, run.duration - data.elapsed);
+    if (entry.handle.status) data.observations = entry.handle.status();
+  }
+  return data;
+};
+
+const listRuns = async (name) => {
+  const runs = await ExperimentRun.findAll({
+    where: { experiment: name },
+    order: [['createdAt', 'DESC']],
+    limit: 50,
+  });
+  return runs.map(describeRun);
+};
+
+const getRun = async (name, id) => {
+  const run = await ExperimentRun.findOne({ where: { experiment: name, id } });
+  if (!run) {
+    throw new ExperimentError(404, `Run ${id} of '${name}' not found`);
+  }
+  return describeRun(run);
+};
+
+/**
+ * Close out runs this pod left behind when its process ended. A process
+ * kill is expected to end the process, so those count as completed; any
+ * other fault was interrupted and is marked aborted.
+ */
+const recoverInterruptedRuns = async () => {
+  const runs = await ExperimentRun.findAll({
+    where: { hostname: HOSTNAME, status: ['pending', 'running'] },
+  });
+
+  for (const run of runs) {
+    const completed = run.type === 'kill';
+    await run.update({
+      status: completed ? 'completed' : 'aborted',
+      endedAt: new Date(),
+      results: {
+        ...run.results,
+        reason: completed ? 'process restarted' : 'interrupted by process restart',
+      },
+    });
+  }
+
+  if (runs.length > 0) {
+    logger.info(`CHAOS: Closed ${runs.length} run(s) interrupted by the last restart`);
+  }
+};
+
+const stopAll = (reason) =>
+  Promise.all(Array.from(activeRuns.keys()).map((id) => finishRun(id, 'aborted', reason)));
+
+module.exports = {
+  ExperimentError,
+  registerType,
+  listTypes,
+  defineExperiment,
+  listExperiments,
+  deleteExperiment,
+  findExperiment,
+  startExperiment,
+  stopExperiment,
+  listRuns,
+  getRun,
+  recoverInterruptedRuns,
+  stopAll,
+};
@@ -0,0 +1,10 @@
+// Raised for invalid chaos requests; `status` is the HTTP status to return
+class ExperimentError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ExperimentError';
+    this.status = status;
+  }
+}
+
+module.exports = { ExperimentError };
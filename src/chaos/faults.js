@@ -0,0 +1,192 @@
+/**
+ * HTTP Fault Injection
+ *
+ * Rules added at runtime make matching requests slow (fixed or random
+ * delay) and/or fail with a chosen 5xx status, for a fraction of traffic.
+ * The middleware sits in front of every router in app.js, so the probes,
+ * the HPA and the dashboards see exactly what a flaky dependency would
+ * cause. State is per pod and is lost on restart.
+ */
+
+const logger = require('../logger').child({ module: 'chaos' });
+const { ExperimentError } = require('./errors');
+
+// The admin API itself is never faulted, otherwise a bad rule could lock
+// operators out of removing it
+const EXEMPT_PREFIX = '/chaos/faults';
+const MAX_DELAY_MS = 120000;
+
+const rules = new Map();
+let nextId = 1;
+
+const globToRegExp = (pattern) =>
+  new RegExp(`^${pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+const isDelay = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_DELAY_MS;
+
+const validateRule = (spec) => {
+  const { method = '*', path = '*', probability = 1, delayMs, delayMinMs, delayMaxMs, status } = spec;
+
+  if (typeof method !== 'string' || typeof path !== 'string') {
+    throw new ExperimentError(400, 'method and path must be strings');
+  }
+  if (typeof probability !== 'number' || probability <= 0 || probability > 1) {
+    throw new ExperimentError(400, 'probability must be a number in (0, 1]');
+  }
+  if (delayMs !== undefined && !isDelay(delayMs)) {
+    throw new ExperimentError(400, `delayMs must be an integer between 0 and ${MAX_DELAY_MS}`);
+  }
+  if ((delayMinMs !== undefined || delayMaxMs !== undefined) &&
+      !(isDelay(delayMinMs) && isDelay(delayMaxMs) && delayMinMs <= delayMaxMs)) {
+    throw new ExperimentError(400, 'delayMinMs and delayMaxMs must both be set, with delayMinMs <= delayMaxMs');
+  }
+  if (delayMs !== undefined && delayMinMs !== undefined) {
+    throw new ExperimentError(400, 'Use either delayMs or delayMinMs/delayMaxMs, not both');
+  }
+  if (status !== undefined && !(Number.isInteger(status) && status >= 500 && status <= 599)) {
+    throw new ExperimentError(400, 'status must be a 5xx status code');
+  }
+  if (delayMs === undefined && delayMinMs === undefined && status === undefined) {
+    throw new ExperimentError(400, 'A rule needs a delay (delayMs or delayMinMs/delayMaxMs) and/or a status');
+  }
+};
+
+const describeRule = (rule) => ({ ...rule, stats: { ...rule.stats } });
+
+const addRule = (spec, source = 'api') => {
+  validateRule(spec);
+
+  const rule = {
+    id: nextId++,
+    method: (spec.method || '*').toUpperCase(),
+    path: spec.path || '*',
+    probability: spec.probability === undefined ? 1 : spec.probability,
+    delayMs: spec.delayMs,
+    delayMinMs: spec.delayMinMs,
+    delayMaxMs: spec.delayMaxMs,
+    status: spec.status,
+    enabled: spec.enabled !== false,
+    source,
+    createdAt: new Date().toISOString(),
+    stats: { matched: 0, delayed: 0, failed: 0 },
+  };
+  // Non-enumerable so it stays out of API responses
+  Object.defineProperty(rule, 'pattern', { value: globToRegExp(rule.path) });
+  rules.set(rule.id, rule);
+
+  logger.warn(`CHAOS: Fault rule ${rule.id} added for ${rule.method} ${rule.path}`, {
+    probability: rule.probability,
+    delayMs: rule.delayMs,
+    delayMinMs: rule.delayMinMs,
+    delayMaxMs: rule.delayMaxMs,
+    status: rule.status,
+  });
+  return describeRule(rule);
+};
+
+const getRule = (id) => {
+  const rule = rules.get(Number(id));
+  if (!rule) {
+    throw new ExperimentError(404, `Fault rule ${id} not found`);
+  }
+  return rule;
+};
+
+const setEnabled = (id, enabled) => {
+  const rule = getRule(id);
+  if (typeof enabled !== 'boolean') {
+    throw new ExperimentError(400, 'enabled must be true or false');
+  }
+  rule.enabled = enabled;
+  logger.warn(`CHAOS: Fault rule ${rule.id} ${rule.enabled ? 'enabled' : 'disabled'}`);
+  return describeRule(rule);
+};
+
+const removeRule = (id) => {
+  const rule = getRule(id);
+  rules.delete(rule.id);
+  logger.warn(`CHAOS: Fault rule ${rule.id} removed`);
+  return describeRule(rule);
+};
+
+const clearRules = () => {
+  const count = rules.size;
+  rules.clear();
+  if (count > 0) logger.warn(`CHAOS: ${count} fault rule(s) cleared`);
+  return count;
+};
+
+const listRules = () => Array.from(rules.values()).map(describeRule);
+
+const pickDelay = (rule) => {
+  if (rule.delayMs !== undefined) return rule.delayMs;
+  if (rule.delayMinMs !== undefined) {
+    return rule.delayMinMs + Math.floor(Math.random() * (rule.delayMaxMs - rule.delayMinMs + 1));
+  }
+  return 0;
+};
+
+const findRule = (req) => {
+  for (const rule of rules.values()) {
+    if (!rule.enabled) continue;
+    if (rule.method !== '*' && rule.method !== req.method) continue;
+    if (!rule.pattern.test(req.path)) continue;
+    return rule;
+  }
+  return null;
+};
+
+const middleware = (req, res, next) => {
+  const exempt = req.path === EXEMPT_PREFIX || req.path.startsWith(`${EXEMPT_PREFIX}/`);
+  if (rules.size === 0 || exempt) return next();
+
+  const rule = findRule(req);
+  if (!rule || Math.random() >= rule.probability) return next();
+
+  rule.stats.matched++;
+  const delay = pickDelay(rule);
+  if (delay > 0) rule.stats.delayed++;
+
+  setTimeout(() => {
+    if (rule.status === undefined) return next();
+
+    rule.stats.failed++;
+    res.status(rule.status).json({
+      error: 'Injected Fault',
+      message: `Chaos fault rule ${rule.id} returned ${rule.status} for ${req.method} ${req.path}`,
+    });
+  }, delay);
+};
+
+// Experiment type: installs one rule for the duration of a run
+const experimentType = {
+  description: 'Delay and/or fail matching HTTP requests (method, path, probability, delay, status)',
+
+  validate: validateRule,
+
+  start({ parameters, run }) {
+    const { id } = addRule(parameters, `experiment:${run.experiment}`);
+    const snapshot = () => {
+      const rule = rules.get(id);
+      return rule ? { ...rule.stats } : { removed: true };
+    };
+    return {
+      status: snapshot,
+      stop: () => {
+        const stats = snapshot();
+        rules.delete(id);
+        return stats;
+      },
+    };
+  },
+};
+
+module.exports = {
+  middleware,
+  addRule,
+  listRules,
+  setEnabled,
+  removeRule,
+  clearRules,
+  experimentType,
+};
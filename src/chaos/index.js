@@ -0,0 +1,12 @@
+const engine = require('./engine');
+const faults = require('./faults');
+const memory = require('./memory');
+const dependencies = require('./dependencies');
+
+// Built-in experiment types
+engine.registerType('kill', require('./kill'));
+engine.registerType('http-fault', faults.experimentType);
+engine.registerType('memory', memory.experimentType);
+engine.registerType('dependency', dependencies.experimentType);
+
+module.exports = { ...engine, faults, memory, dependencies };
@@ -0,0 +1,36 @@
+const logger = require('../logger').child({ module: 'chaos' });
+const { ExperimentError } = require('./errors');
+const recoveries = require('../recoveries');
+
+// Terminates the Node.js process so Kubernetes has to restart the container.
+// The run is closed out by recoverInterruptedRuns() once the pod is back.
+module.exports = {
+  description: 'Exit the process (exit code configurable) after a short delay',
+
+  validate(parameters) {
+    const { delayMs = 1000, exitCode = 1 } = parameters;
+    if (!Number.isInteger(delayMs) || delayMs < 0 || delayMs > 60000) {
+      throw new ExperimentError(400, 'delayMs must be an integer between 0 and 60000');
+    }
+    if (!Number.isInteger(exitCode) || exitCode < 0 || exitCode > 255) {
+      throw new ExperimentError(400, 'exitCode must be an integer between 0 and 255');
+    }
+  },
+
+  start({ parameters, run }) {
+    const { delayMs = 1000, exitCode = 1 } = parameters;
+    logger.warn(`CHAOS: Process will exit with code ${exitCode} in ${delayMs}ms`);
+
+    const timer = setTimeout(() => {
+      recoveries.recordKill(`chaos: experiment '${run.experiment}'`, { exitCode, runId: run.id })
+        .finally(() => process.exit(exitCode));
+    }, delayMs);
+
+    return {
+      stop() {
+        clearTimeout(timer);
+        return { exitCode, cancelled: true };
+      },
+    };
+  },
+};
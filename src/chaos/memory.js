@@ -0,0 +1,141 @@
+/**
+ * Memory Pressure Simulator
+ *
+ * Allocates and holds memory at a set rate until a target is reached, then
+ * keeps it until released or until the timeout expires. Two kinds:
+ *   - heap:   JS arrays, counted in heapUsed (drives the /health warning
+ *             and, past the V8 heap limit, a fatal out-of-memory crash)
+ *   - buffer: Buffers outside the V8 heap, counted in RSS only (drives the
+ *             container memory limit and the OOMKilled restart path)
+ *
+ * Only one simulation runs per process.
+ */
+
+const logger = require('../logger').child({ module: 'chaos' });
+const { ExperimentError } = require('./errors');
+
+const MB = 1024 * 1024;
+const TICK_MS = 100;
+const MAX_TARGET_MB = 16384;
+const MAX_RATE_MB = 1024;
+const MAX_TIMEOUT_SECONDS = 3600;
+
+let current = null;
+
+const allocateChunk = (kind) => {
+  if (kind === 'buffer') return Buffer.alloc(MB, 1);
+  // 8 bytes per element on 64-bit V8, so 1 MB of heap
+  return new Array(MB / 8).fill(1);
+};
+
+const validate = ({ targetMb, rateMbPerSec = 10, timeoutSeconds = 300, kind = 'heap' }) => {
+  if (!Number.isInteger(targetMb) || targetMb < 1 || targetMb > MAX_TARGET_MB) {
+    throw new ExperimentError(400, `targetMb must be an integer between 1 and ${MAX_TARGET_MB}`);
+  }
+  if (typeof rateMbPerSec !== 'number' || rateMbPerSec <= 0 || rateMbPerSec > MAX_RATE_MB) {
+    throw new ExperimentError(400, `rateMbPerSec must be a number in (0, ${MAX_RATE_MB}]`);
+  }
+  if (!Number.isInteger(timeoutSeconds) || timeoutSeconds < 1 || timeoutSeconds > MAX_TIMEOUT_SECONDS) {
+    throw new ExperimentError(400, `timeoutSeconds must be an integer between 1 and ${MAX_TIMEOUT_SECONDS}`);
+  }
+  if (!['heap', 'buffer'].includes(kind)) {
+    throw new ExperimentError(400, "kind must be 'heap' or 'buffer'");
+  }
+};
+
+const status = () => {
+  const usage = process.memoryUsage();
+  const base = {
+    heapUsedMb: Math.round(usage.heapUsed / MB),
+    rssMb: Math.round(usage.rss / MB),
+  };
+  if (!current) return { active: false, ...base };
+
+  return {
+    active: true,
+    kind: current.kind,
+    allocatedMb: current.chunks.length,
+    targetMb: current.targetMb,
+    rateMbPerSec: current.rateMbPerSec,
+    startedAt: current.startedAt.toISOString(),
+    releaseAt: current.releaseAt.toISOString(),
+    ...base,
+  };
+};
+
+const release = (reason = 'released by operator') => {
+  if (!current) return null;
+
+  const { chunks, interval, timeout, startedAt } = current;
+  clearInterval(interval);
+  clearTimeout(timeout);
+
+  const result = {
+    kind: current.kind,
+    peakMb: chunks.length,
+    targetMb: current.targetMb,
+    heldSeconds: Math.round((Date.now() - startedAt.getTime()) / 1000),
+    reason,
+  };
+  current = null;
+
+  logger.warn(`CHAOS: Memory pressure released (${result.peakMb} MB ${result.kind})`, { reason });
+  return result;
+};
+
+const start = (options) => {
+  validate(options);
+  if (current) {
+    throw new ExperimentError(409, `Memory pressure already active (${current.chunks.length}/${current.targetMb} MB)`);
+  }
+
+  const { targetMb, rateMbPerSec = 10, timeoutSeconds = 300, kind = 'heap' } = options;
+  const now = new Date();
+  const state = {
+    kind,
+    targetMb,
+    rateMbPerSec,
+    chunks: [],
+    startedAt: now,
+    releaseAt: new Date(now.getTime() + timeoutSeconds * 1000),
+    budget: 0,
+  };
+
+  // Accumulate a fractional budget so low rates (e.g. 0.5 MB/s) still work
+  state.interval = setInterval(() => {
+    state.budget += (rateMbPerSec * TICK_MS) / 1000;
+    while (state.budget >= 1 && state.chunks.length < targetMb) {
+      state.chunks.push(allocateChunk(kind));
+      state.budget -= 1;
+    }
+    if (state.chunks.length >= targetMb) {
+      clearInterval(state.interval);
+      logger.warn(`CHAOS: Memory pressure reached target of ${targetMb} MB`);
+    }
+  }, TICK_MS);
+  state.interval.unref();
+
+  state.timeout = setTimeout(() => release('timeout'), timeoutSeconds * 1000);
+  state.timeout.unref();
+
+  current = state;
+  logger.warn(`CHAOS: Memory pressure started: ${targetMb} MB of ${kind} at ${rateMbPerSec} MB/s, auto-release in ${timeoutSeconds}s`);
+  return status();
+};
+
+// Experiment type: the run duration acts as the timeout
+const experimentType = {
+  description: 'Allocate and hold memory (targetMb, rateMbPerSec, kind: heap|buffer)',
+
+  validate: (parameters) => validate({ ...parameters, timeoutSeconds: 1 }),
+
+  start({ parameters, duration }) {
+    start({ ...parameters, timeoutSeconds: Math.min(duration + 5, MAX_TIMEOUT_SECONDS) });
+    return {
+      status,
+      stop: () => release('experiment ended') || { reason: 'already released' },
+    };
+  },
+};
+
+module.exports = { start, release, status, experimentType };
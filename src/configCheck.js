@@ -0,0 +1,49 @@
+/**
+ * Config Checks
+ *
+ * What the loaders of SLOs (src/slo.yaml), alert rules (src/alerts.yaml)
+ * and chaos experiments have in common: the rule for names and durations
+ * written like 30s, 5m or 7d.
+ */
+
+const YAML = require('yamljs');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-_]{0,62}$/i;
+const NAME_RULE = 'name must be 1-63 letters, digits, dashes or underscores';
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+const isValidName = (name) => typeof name === 'string' && NAME_PATTERN.test(name);
+
+// '30s' -> milliseconds, NaN when it is not a whole number of one of `units`
+const parseDuration = (text, units = 'smhd') => {
+  const match = /^(\d+)([smhd])$/.exec(String(text));
+  return match && units.includes(match[2]) ? Number(match[1]) * UNITS[match[2]] : NaN;
+};
+
+/**
+ * Read the `key` list of a YAML file. Every item needs a valid name used
+ * only once; check(item, fail) does the rest and returns what to keep.
+ * fail(message) throws with the file and the item in the message, so a bad
+ * config stops the pod at startup.
+ */
+const loadList = (file, key, label, check) => {
+  const { [key]: items = [] } = YAML.load(file) || {};
+  const names = new Set();
+
+  return items.map((item, index) => {
+    const fail = (message) => {
+      throw new Error(`${file}: ${label} ${item.name || index + 1}: ${message}`);
+    };
+    if (!isValidName(item.name)) fail(NAME_RULE);
+    if (names.has(item.name)) fail('name is used twice');
+    names.add(item.name);
+    return check(item, fail);
+  });
+};
+
+module.exports = { NAME_RULE, isValidName, parseDuration, loadList };
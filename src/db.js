@@ -1,5 +1,6 @@
 const { Sequelize } = require('sequelize');
-const logger = require('./logger');
+const logger = require('./logger').child({ module: 'db' });
+const { instrumentSequelize } = require('./chaos/dependencies');
 
 const isPostgres = !!process.env.POSTGRES_DB;
 
@@ -10,17 +11,41 @@ const sequelize = new Sequelize(
   {
     host: process.env.POSTGRES_HOST || 'localhost',
     dialect: isPostgres ? 'postgres' : 'sqlite',
-    storage: isPostgres ? undefined : './database.sqlite',
+    storage: isPostgres ? undefined : process.env.SQLITE_STORAGE || './database.sqlite',
     logging: (msg) => logger.debug(msg),
   }
 );
 
+// Chaos can simulate the database being down or slow via a query hook
+instrumentSequelize(sequelize);
+
+// sync() creates missing tables but never changes existing ones, so columns
+// added to a model later are added here and older databases keep working.
+// Such columns must allow NULL or have a default.
+const addMissingColumns = async () => {
+  const queryInterface = sequelize.getQueryInterface();
+  for (const model of Object.values(sequelize.models)) {
+    const table = model.getTableName();
+    const existing = await queryInterface.describeTable(table);
+    for (const attribute of Object.values(model.getAttributes())) {
+      if (existing[attribute.field]) continue;
+      await queryInterface.addColumn(table, attribute.field, {
+        type: attribute.type,
+        allowNull: attribute.allowNull !== false,
+        defaultValue: attribute.defaultValue,
+      });
+      logger.info(`Database: added column ${table}.${attribute.field}`);
+    }
+  }
+};
+
 const connectDB = async () => {
   try {
     await sequelize.authenticate();
     logger.info('Database connection has been established successfully.');
     // Sync models
     await sequelize.sync(); 
+    await addMissingColumns();
     logger.info('Database models synchronized.');
   } catch (error) {
     logger.error('Unable to connect to the database:', error);
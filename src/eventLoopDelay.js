@@ -0,0 +1,43 @@
+/**
+ * Event Loop Delay
+ *
+ * One monitorEventLoopDelay for the whole process, shared by everything
+ * that reports the delay (metrics history, the event_loop_lag_ms alert
+ * signal). Each of them reads at its own pace, so every read first hands
+ * the p99 of what the monitor saw since the last read, by anyone, to all
+ * readers and starts the monitor afresh. A reader gets the worst of those
+ * p99s since its own previous read.
+ */
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+const monitor = monitorEventLoopDelay({ resolution: 20 });
+monitor.enable();
+
+// Worst p99 in ms each reader has not collected yet
+const pending = new Map();
+
+const drain = () => {
+  if (monitor.count === 0) return;
+  const p99 = monitor.percentile(99) / 1e6;
+  monitor.reset();
+  pending.forEach((worst, reader) => pending.set(reader, Math.max(worst, p99)));
+};
+
+/**
+ * A reader: a function returning the p99 event loop delay in ms since it
+ * was last called (or created).
+ */
+const createReader = () => {
+  drain();
+  const reader = () => {
+    drain();
+    const worst = pending.get(reader);
+    pending.set(reader, 0);
+    return worst;
+  };
+  pending.set(reader, 0);
+  return reader;
+};
+
+module.exports = { createReader };
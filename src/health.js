@@ -0,0 +1,63 @@
+/**
+ * Health Check Registry
+ *
+ * Dependencies register a check (an async function that throws or rejects
+ * when the dependency is unusable) with a timeout and a criticality:
+ *   - critical:     a failure makes /ready return 503, so Kubernetes stops
+ *                   routing traffic to this pod
+ *   - non-critical: a failure is reported as degraded, traffic keeps flowing
+ * /health reports every check's status and latency but always answers 200:
+ * restarting the pod does not fix a dependency.
+ */
+
+const logger = require('./logger').child({ module: 'health' });
+const { withTimeout, TimeoutError, DEPENDENCY_TIMEOUT_MS } = require('./timeout');
+
+const checks = new Map();
+
+const registerCheck = (name, check, { timeoutMs = DEPENDENCY_TIMEOUT_MS, critical = true } = {}) => {
+  checks.set(name, { check, timeoutMs, critical });
+};
+
+const unregisterCheck = (name) => checks.delete(name);
+
+const runCheck = async (name, { check, timeoutMs, critical }) => {
+  const start = process.hrtime.bigint();
+  const result = { status: 'ok', critical };
+
+  try {
+    await withTimeout(Promise.resolve().then(check), timeoutMs, name);
+  } catch (err) {
+    result.status = err instanceof TimeoutError ? 'timeout' : 'unavailable';
+    result.error = err.message;
+  }
+
+  result.latencyMs = parseFloat((Number(process.hrtime.bigint() - start) / 1e6).toFixed(2));
+  return result;
+};
+
+/**
+ * Run every registered check concurrently.
+ * Resolves with { results, degraded, failedCritical } where `degraded`
+ * lists every failing check and `failedCritical` the critical ones.
+ */
+const runChecks = async () => {
+  const entries = Array.from(checks.entries());
+  const outcomes = await Promise.all(entries.map(([name, entry]) => runCheck(name, entry)));
+
+  const results = {};
+  entries.forEach(([name], index) => {
+    results[name] = outcomes[index];
+  });
+
+  const degraded = Object.keys(results).filter((name) => results[name].status !== 'ok');
+  const failedCritical = degraded.filter((name) => results[name].critical);
+
+  if (failedCritical.length > 0) {
+    logger.warn('Critical health checks failing', { checks: failedCritical });
+  }
+
+  return { results, degraded, failedCritical };
+};
+
+module.exports = { registerCheck, unregisterCheck, runChecks };
@@ -0,0 +1,42 @@
+/**
+ * CPU burner run inside a worker thread (one per requested core).
+ *
+ * Works in 100ms slices: busy for cpuPercent of each slice, then blocked
+ * in Atomics.wait for the rest, so the thread holds roughly the requested
+ * utilisation on its core without touching the main event loop.
+ */
+const { parentPort, workerData } = require('worker_threads');
+
+const SLICE_MS = 100;
+const REPORT_EVERY_MS = 1000;
+
+const { duration, cpuPercent } = workerData;
+const busyMs = (SLICE_MS * cpuPercent) / 100;
+const idle = new Int32Array(new SharedArrayBuffer(4));
+
+const startTime = Date.now();
+const endTime = startTime + duration * 1000;
+let iterations = 0;
+let lastReport = startTime;
+
+while (Date.now() < endTime) {
+  const sliceStart = Date.now();
+
+  while (Date.now() - sliceStart < busyMs) {
+    for (let i = 0; i < 10000; i++) {
+      Math.sqrt(Math.random() * 999999);
+      Math.pow(Math.random(), Math.random());
+    }
+    iterations++;
+  }
+
+  const rest = Math.min(SLICE_MS - (Date.now() - sliceStart), endTime - Date.now());
+  if (rest > 0) Atomics.wait(idle, 0, 0, rest);
+
+  if (Date.now() - lastReport >= REPORT_EVERY_MS) {
+    lastReport = Date.now();
+    parentPort.postMessage({ type: 'progress', iterations });
+  }
+}
+
+parentPort.postMessage({ type: 'done', iterations });
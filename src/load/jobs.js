@@ -0,0 +1,139 @@
+/**
+ * CPU Load Jobs
+ *
+ * Each job burns CPU in worker threads (one per requested core) so the main
+ * event loop stays free to answer /health, /ready and /metrics while the
+ * HPA reacts. Jobs are kept in memory on the pod that runs them; the most
+ * recent ones stay queryable after they finish.
+ */
+
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+const logger = require('../logger').child({ module: 'load' });
+
+const HOSTNAME = process.env.HOSTNAME || 'unknown';
+const MAX_DURATION = parseInt(process.env.MAX_LOAD_DURATION, 10) || 300; // seconds
+const CORES = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+// Allow some oversubscription so a single pod can still be pushed past 100%
+const MAX_ACTIVE_WORKERS = CORES * 2;
+const HISTORY_SIZE = 50;
+
+const jobs = new Map(); // insertion order = start order
+const workers = new Map(); // job id -> Worker[]
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const activeWorkerCount = () =>
+  Array.from(workers.values()).reduce((sum, list) => sum + list.length, 0);
+
+const describeJob = (job) => {
+  const end = job.endedAt ? new Date(job.endedAt).getTime() : Date.now();
+  const elapsed = (end - new Date(job.startedAt).getTime()) / 1000;
+  return {
+    ...job,
+    elapsed: parseFloat(elapsed.toFixed(2)),
+    progress: job.status === 'completed' ? 100 : Math.min(99, Math.round((elapsed / job.duration) * 100)),
+  };
+};
+
+const finishJob = (job, status, error) => {
+  if (job.status !== 'running') return;
+
+  (workers.get(job.id) || []).forEach((worker) => worker.terminate());
+  workers.delete(job.id);
+
+  job.status = status;
+  job.endedAt = new Date().toISOString();
+  if (error) job.error = error;
+
+  logger.log(status === 'completed' ? 'info' : 'warn', `[LOAD] Job ${job.id} ${status}: ${job.iterations} iterations on ${job.cores} core(s)`, { error });
+};
+
+const pruneHistory = () => {
+  for (const [id, job] of jobs) {
+    if (jobs.size <= HISTORY_SIZE) break;
+    if (job.status !== 'running') jobs.delete(id);
+  }
+};
+
+/**
+ * Start a job. Out-of-range options are clamped, like the original
+ * /load endpoint did. Returns null when the pod is already running as many
+ * worker threads as it allows.
+ */
+const startJob = ({ cores, cpuPercent, duration }) => {
+  const options = {
+    cores: clamp(parseInt(cores, 10) || 1, 1, CORES),
+    cpuPercent: clamp(parseInt(cpuPercent, 10) || 100, 1, 100),
+    duration: clamp(parseInt(duration, 10) || 5, 1, MAX_DURATION),
+  };
+
+  if (activeWorkerCount() + options.cores > MAX_ACTIVE_WORKERS) {
+    return null;
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'running',
+    hostname: HOSTNAME,
+    ...options,
+    iterations: 0,
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+  };
+  jobs.set(job.id, job);
+  pruneHistory();
+
+  const perWorker = new Array(options.cores).fill(0);
+  let finished = 0;
+
+  const list = perWorker.map((_, index) => {
+    const worker = new Worker(path.join(__dirname, 'cpuWorker.js'), {
+      workerData: { duration: options.duration, cpuPercent: options.cpuPercent },
+    });
+    worker.unref();
+    let done = false;
+
+    worker.on('message', (message) => {
+      perWorker[index] = message.iterations;
+      job.iterations = perWorker.reduce((sum, n) => sum + n, 0);
+      if (message.type === 'done') {
+        done = true;
+        if (++finished === options.cores) finishJob(job, 'completed');
+      }
+    });
+    worker.on('error', (err) => finishJob(job, 'failed', err.message));
+    // Terminated or gone without an error event: the job would otherwise
+    // wait for its 'done' forever. A no-op once the job has finished.
+    worker.on('exit', (code) => {
+      if (!done) finishJob(job, 'failed', `Worker exited with code ${code} before finishing`);
+    });
+    return worker;
+  });
+  workers.set(job.id, list);
+
+  logger.info(`[LOAD] Job ${job.id} started: ${options.cores} core(s) at ${options.cpuPercent}% for ${options.duration}s on ${HOSTNAME}`);
+  return describeJob(job);
+};
+
+const getJob = (id) => {
+  const job = jobs.get(id);
+  return job ? describeJob(job) : null;
+};
+
+const listJobs = () => Array.from(jobs.values()).reverse().map(describeJob);
+
+const cancelJob = (id) => {
+  const job = jobs.get(id);
+  if (!job) return null;
+  finishJob(job, 'cancelled');
+  return describeJob(job);
+};
+
+const cancelAll = () => {
+  for (const job of jobs.values()) finishJob(job, 'cancelled');
+};
+
+module.exports = { startJob, getJob, listJobs, cancelJob, cancelAll, MAX_DURATION, CORES };
@@ -0,0 +1,263 @@
+/**
+ * HTTP Traffic Generator
+ *
+ * Sends requests to a target URL following a rate profile, with at most
+ * `concurrency` requests in flight, and reports throughput, error rate and
+ * latency percentiles when the run ends. Every run is stored in the
+ * LoadTest table so results can be compared across releases.
+ *
+ * Rate profiles (requests per second):
+ *   constant  { rps }
+ *   ramp      { startRps, endRps }                        linear over the run
+ *   spike     { baseRps, spikeRps, spikeAt, spikeDuration } seconds into the run
+ */
+
+const logger = require('../logger').child({ module: 'load' });
+const LoadTest = require('../models/LoadTest');
+const { version: packageVersion } = require('../../package.json');
+
+const HOSTNAME = process.env.HOSTNAME || 'unknown';
+const VERSION = process.env.APP_VERSION || packageVersion;
+const TICK_MS = 100;
+const MAX_RPS = 1000;
+const MAX_CONCURRENCY = 200;
+const MAX_DURATION = 600; // seconds
+const MAX_SAMPLES = 100000;
+const REQUEST_TIMEOUT_MS = 10000;
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE'];
+
+const activeRuns = new Map(); // LoadTest id -> { cancel }
+
+class TrafficError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'TrafficError';
+    this.status = status;
+  }
+}
+
+const isRate = (value) => typeof value === 'number' && value >= 0 && value <= MAX_RPS;
+
+const validateProfile = (profile) => {
+  const fail = (message) => {
+    throw new TrafficError(400, `profile: ${message}`);
+  };
+  if (!profile || typeof profile !== 'object') fail('required');
+
+  switch (profile.type) {
+    case 'constant':
+      if (!isRate(profile.rps) || profile.rps === 0) fail(`rps must be in (0, ${MAX_RPS}]`);
+      break;
+    case 'ramp':
+      if (!isRate(profile.startRps) || !isRate(profile.endRps)) fail(`startRps and endRps must be in [0, ${MAX_RPS}]`);
+      break;
+    case 'spike':
+      if (!isRate(profile.baseRps) || !isRate(profile.spikeRps)) fail(`baseRps and spikeRps must be in [0, ${MAX_RPS}]`);
+      if (!(profile.spikeAt >= 0) || !(profile.spikeDuration > 0)) fail('spikeAt must be >= 0 and spikeDuration > 0');
+      break;
+    default:
+      fail("type must be 'constant', 'ramp' or 'spike'");
+  }
+};
+
+const validate = ({ targetUrl, method = 'GET', profile, concurrency = 10, duration = 30 }) => {
+  let url;
+  try {
+    url = new URL(targetUrl);
+  } catch (err) {
+    throw new TrafficError(400, 'targetUrl must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new TrafficError(400, 'targetUrl must be an absolute http(s) URL');
+  }
+  if (!METHODS.includes(String(method).toUpperCase())) {
+    throw new TrafficError(400, `method must be one of: ${METHODS.join(', ')}`);
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    throw new TrafficError(400, `concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`);
+  }
+  if (!Number.isInteger(duration) || duration < 1 || duration > MAX_DURATION) {
+    throw new TrafficError(400, `duration must be an integer between 1 and ${MAX_DURATION} seconds`);
+  }
+  validateProfile(profile);
+};
+
+// Target rate at `t` seconds into a run of `duration` seconds
+const rateAt = (profile, t, duration) => {
+  switch (profile.type) {
+    case 'ramp':
+      return profile.startRps + (profile.endRps - profile.startRps) * Math.min(t / duration, 1);
+    case 'spike':
+      return t >= profile.spikeAt && t < profile.spikeAt + profile.spikeDuration ? profile.spikeRps : profile.baseRps;
+    default:
+      return profile.rps;
+  }
+};
+
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return parseFloat(sorted[Math.max(0, index)].toFixed(2));
+};
+
+const summarize = (stats, elapsedSeconds) => {
+  const sorted = Float64Array.from(stats.latencies).sort();
+  const completed = stats.succeeded + stats.failed;
+  return {
+    requests: completed,
+    succeeded: stats.succeeded,
+    failed: stats.failed,
+    skipped: stats.skipped,
+    throughput: parseFloat((completed / Math.max(elapsedSeconds, 0.001)).toFixed(2)),
+    errorRate: completed ? parseFloat((stats.failed / completed).toFixed(4)) : 0,
+    latencyMs: {
+      p50: percentile(sorted, 50),
+      p95: percentile(sorted, 95),
+      p99: percentile(sorted, 99),
+      min: sorted.length ? parseFloat(sorted[0].toFixed(2)) : null,
+      max: sorted.length ? parseFloat(sorted[sorted.length - 1].toFixed(2)) : null,
+    },
+    statusCodes: stats.statusCodes,
+    elapsedSeconds: parseFloat(elapsedSeconds.toFixed(2)),
+  };
+};
+
+// Reservoir sampling keeps percentiles honest without unbounded memory
+const recordLatency = (stats, ms) => {
+  stats.seen++;
+  if (stats.latencies.length < MAX_SAMPLES) {
+    stats.latencies.push(ms);
+  } else {
+    const slot = Math.floor(Math.random() * stats.seen);
+    if (slot < MAX_SAMPLES) stats.latencies[slot] = ms;
+  }
+};
+
+const sendOne = async (run, stats) => {
+  const started = process.hrtime.bigint();
+  let key;
+  try {
+    const response = await fetch(run.targetUrl, {
+      method: run.method,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    // Drain the body so the timing covers the full response
+    await response.arrayBuffer();
+    key = String(response.status);
+    if (response.status >= 500) stats.failed++;
+    else stats.succeeded++;
+  } catch (err) {
+    key = err.name === 'TimeoutError' ? 'timeout' : 'network_error';
+    stats.failed++;
+  }
+  stats.statusCodes[key] = (stats.statusCodes[key] || 0) + 1;
+  recordLatency(stats, Number(process.hrtime.bigint() - started) / 1e6);
+};
+
+const execute = (run) =>
+  new Promise((resolve) => {
+    const stats = { succeeded: 0, failed: 0, skipped: 0, seen: 0, latencies: [], statusCodes: {} };
+    const startTime = Date.now();
+    let inFlight = 0;
+    let budget = 0;
+    let stopping = false;
+    let outcome = 'completed';
+
+    const finish = () => {
+      if (inFlight > 0) return;
+      resolve({ outcome, results: summarize(stats, (Date.now() - startTime) / 1000) });
+    };
+
+    const stop = (reason) => {
+      if (stopping) return;
+      stopping = true;
+      outcome = reason;
+      clearInterval(interval);
+      finish();
+    };
+
+    const interval = setInterval(() => {
+      const t = (Date.now() - startTime) / 1000;
+      if (t >= run.duration) return stop('completed');
+
+      budget += (rateAt(run.profile, t, run.duration) * TICK_MS) / 1000;
+      while (budget >= 1) {
+        budget -= 1;
+        // Over the concurrency limit the request is not sent, and counted
+        if (inFlight >= run.concurrency) {
+          stats.skipped++;
+          continue;
+        }
+        inFlight++;
+        sendOne(run, stats).finally(() => {
+          inFlight--;
+          if (stopping) finish();
+        });
+      }
+    }, TICK_MS);
+
+    activeRuns.set(run.id, { cancel: () => stop('cancelled') });
+  });
+
+/**
+ * Validate, persist and start a run. Resolves with the stored LoadTest
+ * as soon as traffic starts; the report is written when the run ends.
+ */
+const startRun = async (options) => {
+  validate(options);
+
+  const run = await LoadTest.create({
+    targetUrl: options.targetUrl,
+    method: (options.method || 'GET').toUpperCase(),
+    profile: options.profile,
+    concurrency: options.concurrency || 10,
+    duration: options.duration || 30,
+    hostname: HOSTNAME,
+    version: VERSION,
+    status: 'running',
+    startedAt: new Date(),
+  });
+
+  logger.info(`[LOAD] Traffic run ${run.id} started: ${run.method} ${run.targetUrl}`, {
+    profile: run.profile,
+    concurrency: run.concurrency,
+    duration: run.duration,
+  });
+
+  execute(run)
+    .then(({ outcome, results }) => run.update({ status: outcome, endedAt: new Date(), results }))
+    .catch((err) => {
+      logger.error(`[LOAD] Traffic run ${run.id} failed`, { error: err.message });
+      return run.update({ status: 'failed', endedAt: new Date(), results: { error: err.message } });
+    })
+    .then(() => logger.info(`[LOAD] Traffic run ${run.id} ${run.status}`, run.results))
+    .catch((err) => logger.error(`[LOAD] Could not save traffic run ${run.id}`, { error: err.message }))
+    .finally(() => activeRuns.delete(run.id));
+
+  return run;
+};
+
+const cancelRun = async (id) => {
+  const run = await LoadTest.findByPk(id);
+  if (!run) throw new TrafficError(404, `Traffic run ${id} not found`);
+
+  const active = activeRuns.get(run.id);
+  if (!active) throw new TrafficError(409, `Traffic run ${id} is not running on ${HOSTNAME}`);
+  active.cancel();
+  return run;
+};
+
+const getRun = async (id) => {
+  const run = await LoadTest.findByPk(id);
+  if (!run) throw new TrafficError(404, `Traffic run ${id} not found`);
+  return run;
+};
+
+const listRuns = ({ limit = 20 } = {}) =>
+  LoadTest.findAll({ order: [['createdAt', 'DESC']], limit: Math.min(parseInt(limit, 10) || 20, 100) });
+
+const cancelAll = () => {
+  for (const { cancel } of activeRuns.values()) cancel();
+};
+
+module.exports = { TrafficError, startRun, cancelRun, getRun, listRuns, cancelAll, rateAt, percentile };
@@ -0,0 +1,103 @@
+/**
+ * Log Levels
+ *
+ * The level every entry must reach to be written, and per-module overrides
+ * of it, changeable at runtime (PUT /api/logs/levels) so a misbehaving pod
+ * can be switched to debug without a restart. Modules tag their entries
+ * with `module` through logger.child({ module }); entries without one
+ * follow the global level.
+ *
+ * Start-up levels come from LOG_LEVEL and LOG_MODULE_LEVELS
+ * ("db=debug,alerts=warn"). Changes apply to this pod only and are lost when
+ * it restarts.
+ */
+
+const winston = require('winston');
+
+const LEVELS = winston.config.npm.levels;
+// What a module name may look like, and how many overrides one pod keeps
+const MODULE_PATTERN = /^[a-z][a-z0-9_-]{0,39}$/i;
+const MAX_MODULE_LEVELS = 50;
+
+// Raised for unknown levels and bad module names; `status` is the HTTP
+// status to return
+class LogLevelError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LogLevelError';
+    this.status = 400;
+  }
+}
+
+const check = (level) => {
+  if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+    throw new LogLevelError(`level must be one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+  return level;
+};
+
+const checkModule = (module, levels) => {
+  if (typeof module !== 'string' || !MODULE_PATTERN.test(module)) {
+    throw new LogLevelError('module must be 1-40 letters, digits, dashes or underscores, starting with a letter');
+  }
+  if (!levels.has(module) && levels.size >= MAX_MODULE_LEVELS) {
+    throw new LogLevelError(`At most ${MAX_MODULE_LEVELS} modules can have a level of their own`);
+  }
+  return module;
+};
+
+const parseModuleLevels = (value) => {
+  const levels = new Map();
+  String(value || '').split(',').map((pair) => pair.trim()).filter(Boolean).forEach((pair) => {
+    const [name, level] = pair.split('=').map((part) => part.trim());
+    if (!name || !level) throw new LogLevelError(`LOG_MODULE_LEVELS: expected module=level, got '${pair}'`);
+    levels.set(checkModule(name, levels), check(level));
+  });
+  return levels;
+};
+
+let globalLevel = check(process.env.LOG_LEVEL || 'info');
+const moduleLevels = parseModuleLevels(process.env.LOG_MODULE_LEVELS);
+let logger = null;
+
+// Transports only see what passes the logger's own level, so that has to
+// be the most verbose level in use; filter() then holds back the rest
+const sync = () => {
+  if (!logger) return;
+  logger.level = [globalLevel, ...moduleLevels.values()]
+    .reduce((loudest, level) => (LEVELS[level] > LEVELS[loudest] ? level : loudest));
+};
+
+// First format of the logger: drops entries below their module's level
+const filter = winston.format((info) => {
+  const limit = moduleLevels.get(info.module) || globalLevel;
+  return LEVELS[info.level] <= LEVELS[limit] ? info : false;
+});
+
+const attach = (target) => {
+  logger = target;
+  sync();
+};
+
+const getLevels = () => ({ level: globalLevel, modules: Object.fromEntries(moduleLevels) });
+
+// Without a module, changes the global level and keeps module overrides
+const setLevel = (level, module) => {
+  check(level);
+  if (module !== undefined) {
+    moduleLevels.set(checkModule(module, moduleLevels), level);
+  } else {
+    globalLevel = level;
+  }
+  sync();
+  return getLevels();
+};
+
+// The module follows the global level again; false if it had no override
+const clearModuleLevel = (module) => {
+  const removed = moduleLevels.delete(module);
+  sync();
+  return removed;
+};
+
+module.exports = { LEVELS, LogLevelError, filter, attach, getLevels, setLevel, clearModuleLevel };
@@ -0,0 +1,191 @@
+/**
+ * Log Queries
+ *
+ * Searches combined.log newest first. The file is read backward from the
+ * end in fixed-size chunks, so the cost of a query depends on how far back
+ * it has to look, not on how big the file has grown. Each query scans at
+ * most LOG_QUERY_SCAN_BYTES; a page that stops early still returns a cursor
+ * to carry on from.
+ *
+ * Cursors are byte offsets into the file: the start of the oldest line a
+ * page looked at. Pass one back as `cursor` to get the next (older) page.
+ * Only the current file is searched, not the ones rotated out of it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LOG_DIR } = require('./logRotation');
+
+const LOG_FILE = path.join(LOG_DIR, 'combined.log');
+const CHUNK_BYTES = 64 * 1024;
+const SCAN_BYTES = parseInt(process.env.LOG_QUERY_SCAN_BYTES, 10) || 16 * 1024 * 1024;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+const PARAMETERS = ['level', 'since', 'until', 'q', 'limit', 'cursor'];
+// Metadata fields are matched through meta.<field> parameters
+const META_PREFIX = 'meta.';
+
+class LogQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LogQueryError';
+    this.status = 400;
+  }
+}
+
+const parseDate = (value, name) => {
+  if (value === undefined) return null;
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw new LogQueryError(`${name} must be an ISO 8601 date`);
+  }
+  return date;
+};
+
+/**
+ * Turn request query parameters into filters:
+ * - level: comma-separated levels (`error,warn`)
+ * - since / until: ISO 8601 time range
+ * - q: case-insensitive text anywhere in the entry
+ * - limit: entries per page (default 100, max 1000)
+ * - cursor: nextCursor of the previous page
+ * - meta.<field>: a metadata field the entry must equal (`meta.hostname=pod-a`)
+ *
+ * Anything else is refused, so a misspelt parameter is not mistaken for a
+ * metadata filter that matches nothing.
+ */
+const parseFilters = (query) => {
+  const filters = {
+    since: parseDate(query.since, 'since'),
+    until: parseDate(query.until, 'until'),
+    search: query.q ? String(query.q).toLowerCase() : null,
+    limit: DEFAULT_LIMIT,
+    cursor: null,
+    levels: null,
+    fields: {},
+  };
+
+  if (query.level) {
+    filters.levels = String(query.level).split(',').map((level) => level.trim()).filter(Boolean);
+    const unknown = filters.levels.filter((level) => !LEVELS.includes(level));
+    if (unknown.length) throw new LogQueryError(`Unknown level: ${unknown.join(', ')}`);
+  }
+
+  if (query.limit !== undefined) {
+    filters.limit = parseInt(query.limit, 10);
+    if (!(filters.limit >= 1 && filters.limit <= MAX_LIMIT)) {
+      throw new LogQueryError(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    filters.cursor = Number(query.cursor);
+    if (!Number.isInteger(filters.cursor) || filters.cursor < 0) throw new LogQueryError('cursor is not valid');
+  }
+
+  Object.entries(query)
+    .filter(([name]) => !PARAMETERS.includes(name))
+    .forEach(([name, value]) => {
+      const field = name.startsWith(META_PREFIX) ? name.slice(META_PREFIX.length) : '';
+      if (!field) {
+        throw new LogQueryError(`Unknown parameter '${name}'; use ${PARAMETERS.join(', ')} or ${META_PREFIX}<field> to match metadata`);
+      }
+      if (typeof value !== 'string') throw new LogQueryError(`${name} must be given once, as text`);
+      filters.fields[field] = value;
+    });
+
+  return filters;
+};
+
+/**
+ * Lines of `file` ending before byte `end`, last line first, as
+ * { text, offset }. Splits on bytes so multi-byte characters that straddle
+ * a chunk boundary stay intact.
+ */
+async function* readBackward(file, end, chunkBytes = CHUNK_BYTES) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    let position = end;
+    let leftover = Buffer.alloc(0);
+    while (position > 0) {
+      const size = Math.min(chunkBytes, position);
+      position -= size;
+      const chunk = Buffer.alloc(size);
+      await handle.read(chunk, 0, size, position);
+
+      const buffer = Buffer.concat([chunk, leftover]);
+      let lineEnd = buffer.length;
+      for (let i = buffer.length - 1; i >= 0; i--) {
+        if (buffer[i] !== 0x0a) continue;
+        if (lineEnd > i + 1) yield { text: buffer.toString('utf8', i + 1, lineEnd), offset: position + i + 1 };
+        lineEnd = i;
+      }
+      leftover = buffer.subarray(0, lineEnd);
+    }
+    if (leftover.length) yield { text: leftover.toString('utf8'), offset: 0 };
+  } finally {
+    await handle.close();
+  }
+}
+
+const parseLine = (text) => {
+  try {
+    const entry = JSON.parse(text);
+    if (entry && typeof entry === 'object') return entry;
+  } catch (err) {
+    // Not written by winston's JSON format; keep it as a plain message
+  }
+  return { message: text };
+};
+
+// Whether an entry passes the filters; `since` is left to queryLogs, which
+// stops reading at the first entry before it
+const matches = (entry, text, filters) => {
+  if (filters.levels && !filters.levels.includes(entry.level)) return false;
+  if (filters.since || filters.until) {
+    const time = new Date(entry.timestamp);
+    if (Number.isNaN(time.getTime())) return false;
+    if (filters.until && time > filters.until) return false;
+  }
+  if (filters.search && !text.toLowerCase().includes(filters.search)) return false;
+  return Object.entries(filters.fields).every(([name, value]) => entry[name] !== undefined && String(entry[name]) === value);
+};
+
+/**
+ * One page of entries matching `filters` (see parseFilters), newest first:
+ * { entries, nextCursor }. nextCursor is null once there is nothing older
+ * left to look at.
+ */
+const queryLogs = async (filters, { file = LOG_FILE, scanBytes = SCAN_BYTES, chunkBytes } = {}) => {
+  let size;
+  try {
+    ({ size } = await fs.promises.stat(file));
+  } catch (err) {
+    if (err.code === 'ENOENT') return { entries: [], nextCursor: null };
+    throw err;
+  }
+
+  // A cursor from before the file was rotated may point past its end
+  const end = filters.cursor === null ? size : Math.min(filters.cursor, size);
+  const entries = [];
+
+  for await (const { text, offset } of readBackward(file, end, chunkBytes)) {
+    const page = () => ({ entries, nextCursor: offset > 0 ? offset : null });
+    const entry = parseLine(text);
+
+    // The file is in time order: everything further back is older still
+    if (filters.since && new Date(entry.timestamp) < filters.since) return { entries, nextCursor: null };
+
+    if (matches(entry, text, filters)) {
+      entries.push(entry);
+      if (entries.length === filters.limit) return page();
+    }
+    if (end - offset >= scanBytes) return page();
+  }
+
+  return { entries, nextCursor: null };
+};
+
+module.exports = { LogQueryError, LEVELS, parseFilters, parseLine, matches, queryLogs };
@@ -0,0 +1,151 @@
+/**
+ * Log File Rotation
+ *
+ * A winston transport writing LOG_DIR/<name>.log. The file is rotated when
+ * it reaches LOG_MAX_SIZE_MB or every LOG_ROTATE_HOURS, whichever comes
+ * first: it is renamed to <name>-<time>.log, gzipped unless LOG_COMPRESS is
+ * false, and rotated files older than LOG_RETENTION_DAYS are deleted.
+ *
+ * Failures are reported on stderr rather than through the logger, which
+ * would only end up back here.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const winston = require('winston');
+
+const MESSAGE = Symbol.for('message');
+const HOUR = 60 * 60 * 1000;
+const LOG_DIR = process.env.LOG_DIR || path.join(__dirname, '..');
+const MAX_SIZE = (parseFloat(process.env.LOG_MAX_SIZE_MB) || 50) * 1024 * 1024;
+const INTERVAL = (parseFloat(process.env.LOG_ROTATE_HOURS) || 24) * HOUR;
+const RETENTION = (parseFloat(process.env.LOG_RETENTION_DAYS) || 14) * 24 * HOUR;
+const COMPRESS = process.env.LOG_COMPRESS !== 'false';
+
+const report = (what, err) => console.error(`Log rotation: ${what}: ${err.message}`);
+
+class RotatingFileTransport extends winston.Transport {
+  /**
+   * @param {object} options - name (file is <name>.log), dir, maxSize in
+   *   bytes, interval and retention in ms, compress, plus the usual
+   *   transport options such as level
+   */
+  constructor({
+    name, dir = LOG_DIR, maxSize = MAX_SIZE, interval = INTERVAL, retention = RETENTION, compress = COMPRESS, ...options
+  }) {
+    super(options);
+    this.name = name;
+    this.dir = dir;
+    this.maxSize = maxSize;
+    this.interval = interval;
+    this.retention = retention;
+    this.compress = compress;
+    this.filename = path.join(dir, `${name}.log`);
+    // Compressions and prunes still running; see settled()
+    this.pending = new Set();
+
+    fs.mkdirSync(dir, { recursive: true });
+    let stats = null;
+    try {
+      stats = fs.statSync(this.filename);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    // A file left over from an earlier period is rotated before writing on
+    this.open(stats ? stats.size : 0, stats ? stats.mtimeMs : Date.now());
+    if (stats && stats.size > 0 && this.period(stats.mtimeMs) !== this.period(Date.now())) this.rotate();
+    this.track(this.prune());
+  }
+
+  track(promise) {
+    const done = promise.finally(() => this.pending.delete(done));
+    this.pending.add(done);
+  }
+
+  period(time) {
+    return Math.floor(time / this.interval);
+  }
+
+  open(size = 0, openedAt = Date.now()) {
+    this.size = size;
+    this.openedPeriod = this.period(openedAt);
+    // Opened now rather than when the stream gets round to it: the stream
+    // must hold this file, not whatever has the name by then
+    this.stream = fs.createWriteStream(this.filename, { fd: fs.openSync(this.filename, 'a') });
+    this.stream.on('error', (err) => report(`writing ${this.filename}`, err));
+  }
+
+  log(info, callback) {
+    const line = `${info[MESSAGE]}\n`;
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && (this.size + bytes > this.maxSize || this.period(Date.now()) !== this.openedPeriod)) {
+      this.rotate();
+    }
+    this.size += bytes;
+    this.stream.write(line);
+    callback();
+  }
+
+  // The open stream keeps writing to the renamed file until it is ended,
+  // so nothing written before the switch is lost
+  rotate() {
+    let rotated = path.join(this.dir, `${this.name}-${new Date().toISOString().replace(/[:.]/g, '-')}.log`);
+    for (let n = 1; fs.existsSync(rotated) || fs.existsSync(`${rotated}.gz`); n += 1) {
+      rotated = rotated.replace(/(\.\d+)?\.log$/, `.${n}.log`);
+    }
+    try {
+      fs.renameSync(this.filename, rotated);
+    } catch (err) {
+      report(`renaming ${this.filename}`, err);
+      return;
+    }
+
+    const previous = this.stream;
+    this.open();
+    this.track(new Promise((resolve) => previous.end(resolve))
+      .then(() => this.compress && this.gzip(rotated))
+      .then(() => this.prune()));
+  }
+
+  async gzip(file) {
+    try {
+      await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(`${file}.gz`));
+      await fs.promises.unlink(file);
+    } catch (err) {
+      report(`compressing ${file}`, err);
+    }
+  }
+
+  // Rotated files of this log past the retention period
+  async prune(now = Date.now()) {
+    const rotated = new RegExp(`^${this.name}-.+\\.log(\\.gz)?$`);
+    try {
+      const files = (await fs.promises.readdir(this.dir)).filter((file) => rotated.test(file));
+      for (const file of files) {
+        const target = path.join(this.dir, file);
+        try {
+          const { mtimeMs } = await fs.promises.stat(target);
+          if (now - mtimeMs > this.retention) await fs.promises.unlink(target);
+        } catch (err) {
+          // Another prune got there first
+          if (err.code !== 'ENOENT') throw err;
+        }
+      }
+    } catch (err) {
+      report(`pruning ${this.dir}`, err);
+    }
+  }
+
+  // Resolves once rotated files are compressed and old ones pruned
+  settled() {
+    return Promise.all(this.pending);
+  }
+
+  close() {
+    this.stream.end();
+  }
+}
+
+module.exports = { LOG_DIR, RotatingFileTransport };
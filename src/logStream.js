@@ -0,0 +1,106 @@
+/**
+ * Live Log Stream
+ *
+ * A winston transport hands every entry, as written to combined.log, to the
+ * clients following GET /api/logs/stream (Server-Sent Events). The last
+ * LOG_STREAM_BUFFER entries are kept so a client that reconnects with
+ * Last-Event-ID gets what it missed; if it was away so long the buffer has
+ * moved on, it is sent a `gap` event with the number of entries lost.
+ *
+ * Event ids are `<boot id>.<sequence>`: an id from another pod or from
+ * before a restart cannot be resumed, and the client just carries on with
+ * new entries.
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+const { parseLine, matches } = require('./logQuery');
+
+const MESSAGE = Symbol.for('message');
+const BUFFER_SIZE = parseInt(process.env.LOG_STREAM_BUFFER, 10) || 1000;
+const HEARTBEAT_MS = 15000;
+// A client that stops reading is dropped before its backlog eats memory; it
+// resumes from its last event id when it reconnects
+const MAX_BACKLOG_BYTES = 1024 * 1024;
+
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+const buffer = [];
+// Response -> function that delivers an event to it
+const subscribers = new Map();
+let sequence = 0;
+
+const publish = (text) => {
+  const event = { sequence: ++sequence, text, entry: parseLine(text) };
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+  subscribers.forEach((subscriber) => subscriber(event));
+};
+
+// Added to the logger next to the file transports
+class StreamTransport extends winston.Transport {
+  log(info, callback) {
+    publish(info[MESSAGE]);
+    callback();
+  }
+}
+
+const lastSequence = (lastEventId) => {
+  const [bootId, value] = String(lastEventId || '').split('.');
+  const last = Number(value);
+  return bootId === BOOT_ID && Number.isInteger(last) ? last : null;
+};
+
+const send = (res, { sequence: id, text }) => {
+  res.write(`id: ${BOOT_ID}.${id}\ndata: ${text}\n\n`);
+};
+
+/**
+ * Follow the log on `res` until the client goes away, sending entries that
+ * pass `filters` (see logQuery.parseFilters).
+ */
+const follow = (req, res, filters) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx (the ingress) from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const wanted = (event) => matches(event.entry, event.text, filters);
+
+  const last = lastSequence(req.header('last-event-id'));
+  if (last !== null) {
+    const missed = buffer.length > 0 ? buffer[0].sequence - last - 1 : 0;
+    if (missed > 0) res.write(`event: gap\ndata: ${JSON.stringify({ missed })}\n\n`);
+    buffer.filter((event) => event.sequence > last && wanted(event)).forEach((event) => send(res, event));
+  }
+
+  const subscriber = (event) => {
+    if (!wanted(event)) return;
+    if (res.writableLength > MAX_BACKLOG_BYTES) {
+      res.end();
+      return;
+    }
+    send(res, event);
+  };
+  // Comments keep proxies from closing a quiet stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  heartbeat.unref();
+
+  subscribers.set(res, subscriber);
+  res.on('close', () => {
+    subscribers.delete(res);
+    clearInterval(heartbeat);
+  });
+};
+
+// End every stream; clients reconnect, to another pod when this one is
+// shutting down
+const closeAll = () => {
+  [...subscribers.keys()].forEach((res) => res.end());
+};
+
+module.exports = { StreamTransport, follow, closeAll };
@@ -1,15 +1,41 @@
+const os = require('os');
 const winston = require('winston');
+const { trace, isSpanContextValid } = require('@opentelemetry/api');
+const logLevels = require('./logLevels');
+const { RotatingFileTransport } = require('./logRotation');
+const { StreamTransport } = require('./logStream');
+const requestContext = require('./requestContext');
 
+// Ties each entry to the request being handled and its trace in Jaeger
+const correlate = winston.format((info) => {
+  const context = requestContext.current();
+  if (context) info.requestId = context.requestId;
+
+  const span = trace.getActiveSpan();
+  const spanContext = span && span.spanContext();
+  if (spanContext && isSpanContextValid(spanContext)) {
+    info.traceId = spanContext.traceId;
+    info.spanId = spanContext.spanId;
+  }
+  return info;
+});
+
+// Levels are set through logLevels, which also filters by module
 const logger = winston.createLogger({
-  level: 'info',
   format: winston.format.combine(
+    logLevels.filter(),
+    correlate(),
     winston.format.timestamp(),
     winston.format.json()
   ),
-  defaultMeta: { service: 'anti-gravity-service' },
+  // hostname tells pods apart when logs are searched or shipped together
+  defaultMeta: { service: 'anti-gravity-service', hostname: process.env.HOSTNAME || os.hostname() },
   transports: [
-    new winston.transports.File({ filename: 'error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'combined.log' }),
+    // Rotated by size and age; see logRotation.js
+    new RotatingFileTransport({ name: 'error', level: 'error' }),
+    new RotatingFileTransport({ name: 'combined' }),
+    // Live tail for GET /api/logs/stream
+    new StreamTransport(),
   ],
 });
 
@@ -21,4 +47,6 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 }
 
+logLevels.attach(logger);
+
 module.exports = logger;
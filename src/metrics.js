@@ -0,0 +1,162 @@
+/**
+ * Prometheus Metrics
+ *
+ * One registry for the whole app, served at /metrics. Request metrics are
+ * recorded at app level, so every router and static files are counted, and
+ * labelled with the matched route template (`/load/jobs/:id`) rather than
+ * the raw path, so the number of series stays fixed however many distinct
+ * URLs are requested. Requests that never reached a route (404s, rate
+ * limits, injected faults) share route="unmatched".
+ *
+ * Other modules can watch every recorded request through onRequest() (the
+ * SLOs are computed that way) instead of timing requests a second time.
+ */
+
+const client = require('prom-client');
+
+const UNMATCHED = 'unmatched';
+// Request latency buckets, in seconds. SLO latency thresholds must be one of
+// these so Prometheus can evaluate them from the histogram too.
+const DURATION_BUCKETS = [0.001, 0.005, 0.015, 0.05, 0.1, 0.5, 1, 5];
+
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Total number of HTTP requests',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duration of HTTP requests in seconds',
+  labelNames: ['method', 'route'],
+  buckets: DURATION_BUCKETS,
+  registers: [register]
+});
+
+const activeConnections = new client.Gauge({
+  name: 'active_connections',
+  help: 'Number of active connections',
+  registers: [register]
+});
+
+const loadTestsTotal = new client.Counter({
+  name: 'load_tests_total',
+  help: 'Total number of load test requests',
+  registers: [register]
+});
+
+// ============================================================================
+// BUSINESS METRICS
+// ============================================================================
+
+const loginsTotal = new client.Counter({
+  name: 'auth_logins_total',
+  help: 'Successful sign-ins by method (password, two_factor, sso)',
+  labelNames: ['method'],
+  registers: [register]
+});
+
+const loginFailuresTotal = new client.Counter({
+  name: 'auth_login_failures_total',
+  help: 'Refused sign-ins by reason (invalid_credentials, invalid_code, locked_out, disabled, sso)',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+const registrationsTotal = new client.Counter({
+  name: 'auth_registrations_total',
+  help: 'Self-service account registrations',
+  registers: [register]
+});
+
+const chaosActionsTotal = new client.Counter({
+  name: 'chaos_actions_total',
+  help: 'Chaos actions accepted through the API, by action',
+  labelNames: ['action'],
+  registers: [register]
+});
+
+// Requests each SLO counted, and how many of them were good (src/slo.js)
+const sloRequestsTotal = new client.Counter({
+  name: 'slo_requests_total',
+  help: 'Requests counted towards an SLO',
+  labelNames: ['slo'],
+  registers: [register]
+});
+
+const sloGoodRequestsTotal = new client.Counter({
+  name: 'slo_good_requests_total',
+  help: 'Requests that met an SLO',
+  labelNames: ['slo'],
+  registers: [register]
+});
+
+// The route template a request matched. Static files are marked by the
+// static middleware (see app.js); a router-level middleware that answered
+// (e.g. auth on /api/users) gives its mount path.
+const routeOf = (req, res) => {
+  if (res.locals.metricsRoute) return res.locals.metricsRoute;
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  if (req.baseUrl) return `${req.baseUrl}/*`;
+  return UNMATCHED;
+};
+
+const listeners = [];
+
+// listener({ method, route, status, seconds, streaming }) after each request
+const onRequest = (listener) => {
+  listeners.push(listener);
+};
+
+const middleware = (req, res, next) => {
+  const end = httpRequestDuration.startTimer();
+  activeConnections.inc();
+
+  let recorded = false;
+  const record = () => {
+    if (recorded) return;
+    recorded = true;
+    activeConnections.dec();
+
+    const route = routeOf(req, res);
+    httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+    // Streams stay open for minutes and would swamp the latency buckets
+    const streaming = String(res.get('Content-Type') || '').startsWith('text/event-stream');
+    const seconds = streaming ? undefined : end({ method: req.method, route });
+
+    const request = { method: req.method, route, status: res.statusCode, seconds, streaming };
+    listeners.forEach((listener) => listener(request));
+  };
+  res.on('finish', record);
+  res.on('close', record);
+
+  next();
+};
+
+// Route middleware: count a chaos action once it has been accepted
+const countChaosAction = (action) => (req, res, next) => {
+  res.on('finish', () => {
+    if (res.statusCode < 400) chaosActionsTotal.inc({ action });
+  });
+  next();
+};
+
+module.exports = {
+  register,
+  middleware,
+  onRequest,
+  countChaosAction,
+  loadTestsTotal,
+  loginsTotal,
+  loginFailuresTotal,
+  registrationsTotal,
+  sloRequestsTotal,
+  sloGoodRequestsTotal,
+  UNMATCHED,
+  DURATION_BUCKETS,
+};
@@ -0,0 +1,306 @@
+/**
+ * Metrics History
+ *
+ * Every METRICS_SAMPLE_MS each pod samples its heap, RSS, CPU, event loop
+ * delay and request rate into the database, so charts survive restarts and
+ * cover every pod instead of whichever one answered the last poll.
+ *
+ * Raw samples are kept for METRICS_RAW_RETENTION_HOURS. As each 5-minute
+ * bucket completes, the pod also writes a rollup of it (averages, and the
+ * worst event loop delay), kept for METRICS_ROLLUP_RETENTION_DAYS. Queries
+ * read raw samples while the range and step allow and rollups beyond that,
+ * with the buckets still being filled rolled up from their raw samples.
+ */
+
+const { Op } = require('sequelize');
+const logger = require('./logger').child({ module: 'metrics' });
+const metrics = require('./metrics');
+const eventLoopDelay = require('./eventLoopDelay');
+const MetricSample = require('./models/MetricSample');
+const { withTimeout } = require('./timeout');
+
+const HOSTNAME = process.env.HOSTNAME || 'unknown';
+const SAMPLE_MS = parseInt(process.env.METRICS_SAMPLE_MS, 10) || 10000;
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const ROLLUP_MS = 5 * MINUTE;
+const RAW_RETENTION = (parseInt(process.env.METRICS_RAW_RETENTION_HOURS, 10) || 6) * HOUR;
+const ROLLUP_RETENTION = (parseInt(process.env.METRICS_ROLLUP_RETENTION_DAYS, 10) || 30) * DAY;
+const PRUNE_MS = 10 * MINUTE;
+const MAX_POINTS = 1000;
+// Points a query returns when it does not name a step
+const DEFAULT_POINTS = 120;
+const MB = 1024 * 1024;
+const FIELDS = ['heapUsedMb', 'rssMb', 'cpuPercent', 'eventLoopLagMs', 'requestsPerSec'];
+
+// Raised for invalid history queries; `status` is the HTTP status to return
+class MetricsHistoryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MetricsHistoryError';
+    this.status = 400;
+  }
+}
+
+// ============================================================================
+// SAMPLING
+// ============================================================================
+
+const readLoopDelay = eventLoopDelay.createReader();
+
+let requests = 0;
+let lastCpu = process.cpuUsage();
+let lastSampleAt = Date.now();
+// The 5-minute bucket being filled: { start, samples }
+let bucket = null;
+let sampleTimer = null;
+let pruneTimer = null;
+let failing = false;
+
+metrics.onRequest(() => {
+  requests += 1;
+});
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Everything since the previous sample
+const takeSample = (now = Date.now()) => {
+  const elapsedMs = Math.max(now - lastSampleAt, 1);
+  const cpu = process.cpuUsage(lastCpu);
+  const memory = process.memoryUsage();
+
+  const sample = {
+    hostname: HOSTNAME,
+    sampledAt: new Date(now),
+    resolution: Math.round(SAMPLE_MS / 1000),
+    heapUsedMb: round(memory.heapUsed / MB),
+    rssMb: round(memory.rss / MB),
+    cpuPercent: round(((cpu.user + cpu.system) / 1000 / elapsedMs) * 100),
+    eventLoopLagMs: round(readLoopDelay()),
+    requestsPerSec: round(requests / (elapsedMs / 1000)),
+  };
+
+  lastCpu = process.cpuUsage();
+  lastSampleAt = now;
+  requests = 0;
+  return sample;
+};
+
+const summarize = ({ start, samples }, hostname = HOSTNAME) => {
+  const average = (field) => round(samples.reduce((sum, sample) => sum + sample[field], 0) / samples.length);
+  return {
+    hostname,
+    sampledAt: new Date(start),
+    resolution: ROLLUP_MS / 1000,
+    heapUsedMb: average('heapUsedMb'),
+    rssMb: average('rssMb'),
+    cpuPercent: average('cpuPercent'),
+    eventLoopLagMs: Math.max(...samples.map((sample) => sample.eventLoopLagMs)),
+    requestsPerSec: average('requestsPerSec'),
+  };
+};
+
+const insert = (rows) => withTimeout(MetricSample.bulkCreate(rows), undefined, 'Database');
+
+// The rollup of a finished bucket, or of a partly filled one on stop(). A
+// pod restarted under the same hostname goes on filling the bucket stop()
+// rolled up, so the bucket's saved samples are read back and the earlier
+// rollup is replaced rather than joined by a second one.
+const writeRollup = async (finished) => {
+  const samples = new Map(finished.samples.map((row) => [row.sampledAt.getTime(), row]));
+  const saved = await findSamples({ from: finished.start, to: finished.start + ROLLUP_MS - 1, hostname: HOSTNAME }, false);
+  saved.forEach((row) => samples.set(new Date(row.sampledAt).getTime(), row));
+
+  const rollup = summarize({ start: finished.start, samples: Array.from(samples.values()) });
+  await withTimeout(MetricSample.destroy({
+    where: { hostname: HOSTNAME, sampledAt: rollup.sampledAt, resolution: rollup.resolution },
+  }), undefined, 'Database');
+  await insert([rollup]);
+};
+
+const save = async (write) => {
+  try {
+    await write();
+    if (failing) logger.info('Metrics history: samples are being saved again');
+    failing = false;
+  } catch (err) {
+    // Lost, not queued: a long outage would otherwise pile them up
+    if (!failing) logger.warn('Metrics history: could not save samples', { error: err.message });
+    failing = true;
+  }
+};
+
+/**
+ * Take a sample and save it, with the rollup of the previous 5-minute
+ * bucket once a sample lands in the next one.
+ */
+const record = (now = Date.now()) => {
+  const sample = takeSample(now);
+  const start = Math.floor(now / ROLLUP_MS) * ROLLUP_MS;
+  const finished = bucket && bucket.start !== start ? bucket : null;
+
+  if (finished) bucket = null;
+  if (!bucket) bucket = { start, samples: [] };
+  bucket.samples.push(sample);
+
+  return save(async () => {
+    await insert([sample]);
+    if (finished) await writeRollup(finished);
+  });
+};
+
+const prune = async (now = Date.now()) => {
+  try {
+    await withTimeout(MetricSample.destroy({
+      where: {
+        [Op.or]: [
+          { resolution: { [Op.lt]: ROLLUP_MS / 1000 }, sampledAt: { [Op.lt]: new Date(now - RAW_RETENTION) } },
+          { sampledAt: { [Op.lt]: new Date(now - ROLLUP_RETENTION) } },
+        ],
+      },
+    }), undefined, 'Database');
+  } catch (err) {
+    logger.warn('Metrics history: could not prune old samples', { error: err.message });
+  }
+};
+
+const start = () => {
+  if (sampleTimer) return;
+  sampleTimer = setInterval(record, SAMPLE_MS);
+  pruneTimer = setInterval(prune, PRUNE_MS);
+  sampleTimer.unref();
+  pruneTimer.unref();
+};
+
+// Stop sampling and save the partly filled bucket, so a planned restart
+// leaves no hole in the rollups
+const stop = async () => {
+  clearInterval(sampleTimer);
+  clearInterval(pruneTimer);
+  sampleTimer = null;
+  pruneTimer = null;
+  if (!bucket) return;
+  const partial = bucket;
+  bucket = null;
+  await save(() => writeRollup(partial));
+};
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Check GET /api/metrics/history parameters: from and to (ISO 8601, the
+ * last hour by default), step in seconds and an optional hostname.
+ */
+const parseQuery = (query, now = Date.now()) => {
+  const to = query.to ? Date.parse(query.to) : now;
+  const from = query.from ? Date.parse(query.from) : to - HOUR;
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    throw new MetricsHistoryError('from and to must be ISO 8601 dates');
+  }
+  if (from >= to) throw new MetricsHistoryError('from must be before to');
+  if (to - from > ROLLUP_RETENTION) {
+    throw new MetricsHistoryError(`The range can cover at most ${ROLLUP_RETENTION / DAY} days`);
+  }
+
+  let stepMs;
+  if (query.step === undefined) {
+    stepMs = Math.max(Math.ceil((to - from) / DEFAULT_POINTS / SAMPLE_MS) * SAMPLE_MS, SAMPLE_MS);
+  } else {
+    const step = Number(query.step);
+    if (!Number.isInteger(step) || step < 1) throw new MetricsHistoryError('step must be a whole number of seconds');
+    stepMs = step * 1000;
+  }
+  if ((to - from) / stepMs > MAX_POINTS) {
+    throw new MetricsHistoryError(`step is too small for this range (at most ${MAX_POINTS} points)`);
+  }
+
+  return { from, to, stepMs, ...(query.hostname && { hostname: String(query.hostname) }) };
+};
+
+// One point per step with data: memory, CPU and request rate averaged per
+// pod, then memory and CPU averaged across pods, request rates added up and
+// the worst event loop delay kept
+const aggregate = (rows, stepMs) => {
+  const steps = new Map();
+  rows.forEach((row) => {
+    const at = Math.floor(new Date(row.sampledAt).getTime() / stepMs) * stepMs;
+    if (!steps.has(at)) steps.set(at, new Map());
+    const pods = steps.get(at);
+    if (!pods.has(row.hostname)) pods.set(row.hostname, []);
+    pods.get(row.hostname).push(row);
+  });
+
+  return Array.from(steps.keys()).sort((a, b) => a - b).map((at) => {
+    const pods = Array.from(steps.get(at).values()).map((samples) => {
+      const pod = {};
+      FIELDS.forEach((field) => {
+        pod[field] = samples.reduce((sum, sample) => sum + sample[field], 0) / samples.length;
+      });
+      pod.eventLoopLagMs = Math.max(...samples.map((sample) => sample.eventLoopLagMs));
+      return pod;
+    });
+    const mean = (field) => round(pods.reduce((sum, pod) => sum + pod[field], 0) / pods.length);
+
+    return {
+      at: new Date(at).toISOString(),
+      heapUsedMb: mean('heapUsedMb'),
+      rssMb: mean('rssMb'),
+      cpuPercent: mean('cpuPercent'),
+      eventLoopLagMs: round(Math.max(...pods.map((pod) => pod.eventLoopLagMs))),
+      requestsPerSec: round(pods.reduce((sum, pod) => sum + pod.requestsPerSec, 0)),
+      pods: pods.length,
+    };
+  });
+};
+
+const findSamples = ({ from, to, hostname }, rollups) => withTimeout(MetricSample.findAll({
+  where: {
+    resolution: rollups ? ROLLUP_MS / 1000 : { [Op.lt]: ROLLUP_MS / 1000 },
+    sampledAt: { [Op.gte]: new Date(from), [Op.lte]: new Date(to) },
+    ...(hostname && { hostname }),
+  },
+  order: [['sampledAt', 'ASC']],
+  raw: true,
+}), undefined, 'Database');
+
+// Rollups of the buckets pods are still filling (or have only just
+// finished and not written yet), made from their raw samples
+const openBuckets = async (filters, rollups, now) => {
+  const since = Math.floor(now / ROLLUP_MS) * ROLLUP_MS - ROLLUP_MS;
+  if (filters.to < since) return [];
+  const written = new Set(rollups.map((row) => `${row.hostname}|${new Date(row.sampledAt).getTime()}`));
+  const buckets = new Map();
+  (await findSamples({ ...filters, from: Math.max(filters.from, since) }, false)).forEach((row) => {
+    const start = Math.floor(new Date(row.sampledAt).getTime() / ROLLUP_MS) * ROLLUP_MS;
+    const key = `${row.hostname}|${start}`;
+    if (start < filters.from || written.has(key)) return;
+    if (!buckets.has(key)) buckets.set(key, { hostname: row.hostname, start, samples: [] });
+    buckets.get(key).samples.push(row);
+  });
+  return Array.from(buckets.values()).map((bucket) => summarize(bucket, bucket.hostname));
+};
+
+/**
+ * History for parseQuery() filters: { from, to, step, resolution, points }
+ * where resolution says whether raw samples or rollups were used. Rollups
+ * are topped up with the buckets not rolled up yet, so the last few
+ * minutes are not missing.
+ */
+const queryHistory = async ({ from, to, stepMs, hostname }, now = Date.now()) => {
+  const raw = from >= now - RAW_RETENTION && stepMs < ROLLUP_MS;
+  let rows = await findSamples({ from, to, hostname }, !raw);
+  if (!raw) rows = rows.concat(await openBuckets({ from, to, hostname }, rows, now));
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    step: stepMs / 1000,
+    resolution: raw ? 'raw' : '5m',
+    points: aggregate(rows, stepMs),
+  };
+};
+
+module.exports = { MetricsHistoryError, parseQuery, queryHistory, record, prune, start, stop };
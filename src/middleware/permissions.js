@@ -0,0 +1,30 @@
+// What each User.role may do. Read-only endpoints stay open; anything that
+// starts, stops or changes chaos or load, changes log levels, or manages
+// users, needs a permission. Use after the auth middleware, which sets
+// req.user.
+const ROLE_PERMISSIONS = {
+  admin: ['chaos:run', 'load:run', 'logs:read', 'logs:manage', 'users:manage'],
+  viewer: ['logs:read'],
+};
+
+const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+// API key requests carry user.scopes; the key needs the scope and its
+// owner's role still needs the permission
+const can = (user, permission) =>
+  Boolean(user) &&
+  permissionsFor(user.role).includes(permission) &&
+  (!user.scopes || user.scopes.includes(permission));
+
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ msg: 'No token, authorization denied' });
+  }
+  if (!can(req.user, permission)) {
+    const subject = req.user.scopes ? 'API key scope' : 'Permission';
+    return res.status(403).json({ msg: `${subject} denied: ${permission} required` });
+  }
+  next();
+};
+
+module.exports = { ROLE_PERMISSIONS, permissionsFor, can, requirePermission };
@@ -0,0 +1,179 @@
+/**
+ * Rate Limiting
+ *
+ * Counters live in Redis so the limit holds across every replica and
+ * survives a pod being killed; with per-process counters the HPA would
+ * multiply it by the replica count. Callers are budgeted by who they are:
+ * anonymous requests per client IP, signed-in users per user and API keys
+ * per key, each with its own limit. Login and starting load get stricter
+ * limits of their own on top.
+ *
+ * While Redis is unreachable each pod falls back to counting in memory, so
+ * limits keep applying (per pod) in degraded mode.
+ */
+
+const { rateLimit, MemoryStore, ipKeyGenerator } = require('express-rate-limit');
+const redis = require('../redis');
+const logger = require('../logger').child({ module: 'rateLimit' });
+const apiKeys = require('../auth/apiKeys');
+const { verifyAccessToken } = require('../auth/tokens');
+const { withTimeout } = require('../timeout');
+
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000;
+
+// Requests per window for each kind of caller
+const POLICIES = {
+  anonymous: parseInt(process.env.RATE_LIMIT_ANONYMOUS, 10) || 300,
+  authenticated: parseInt(process.env.RATE_LIMIT_AUTHENTICATED, 10) || 1000,
+  apiKey: parseInt(process.env.RATE_LIMIT_API_KEY, 10) || 5000,
+};
+
+// How each caller type is named in 429 responses
+const CALLER_NAMES = { anonymous: 'client', authenticated: 'user', apiKey: 'API key' };
+
+const LOGIN_LIMIT = parseInt(process.env.RATE_LIMIT_LOGIN, 10) || 20;
+const LOAD_LIMIT = parseInt(process.env.RATE_LIMIT_LOAD, 10) || 10;
+
+// Fixed window: the first hit starts the window's expiry
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+/**
+ * express-rate-limit store backed by the shared Redis client, with an
+ * in-memory store standing in while Redis is unavailable.
+ */
+class RedisStore {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.localKeys = false;
+    this.fallback = new MemoryStore();
+    this.degraded = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.fallback.init(options);
+  }
+
+  setDegraded(degraded, err) {
+    if (degraded === this.degraded) return;
+    this.degraded = degraded;
+    if (degraded) {
+      logger.warn(`Rate limiter ${this.prefix} counting in memory: Redis unavailable`, { error: err && err.message });
+    } else {
+      logger.info(`Rate limiter ${this.prefix} back on Redis`);
+    }
+  }
+
+  async increment(key) {
+    if (redis.isReady) {
+      try {
+        const [totalHits, ttl] = await withTimeout(redis.eval(INCREMENT_SCRIPT, {
+          keys: [`${this.prefix}${key}`],
+          arguments: [String(this.windowMs)],
+        }), undefined, 'Redis');
+        this.setDegraded(false);
+        return { totalHits: Number(totalHits), resetTime: new Date(Date.now() + Number(ttl)) };
+      } catch (err) {
+        this.setDegraded(true, err);
+      }
+    } else {
+      this.setDegraded(true);
+    }
+    return this.fallback.increment(key);
+  }
+
+  async decrement(key) {
+    if (!this.degraded && redis.isReady) {
+      await withTimeout(redis.decr(`${this.prefix}${key}`), undefined, 'Redis').catch(() => {});
+      return;
+    }
+    await this.fallback.decrement(key);
+  }
+
+  async resetKey(key) {
+    await this.fallback.resetKey(key);
+    if (redis.isReady) {
+      await withTimeout(redis.del(`${this.prefix}${key}`), undefined, 'Redis').catch(() => {});
+    }
+  }
+}
+
+/**
+ * Who is calling, for budgeting: { type, key }. Credentials are checked
+ * here (signature for tokens, lookup for API keys) so a made-up credential
+ * cannot buy a fresh budget; the API key result is kept on the request for
+ * the auth middleware. Worked out once per request.
+ */
+const identify = async (req) => {
+  if (req.rateLimitCaller) return req.rateLimitCaller;
+
+  let caller = null;
+  const token = req.header('x-auth-token');
+  const apiKey = req.header('x-api-key');
+
+  if (token) {
+    try {
+      caller = { type: 'authenticated', key: `user:${verifyAccessToken(token).user.id}` };
+    } catch (err) {
+      // Invalid tokens are budgeted as anonymous; auth rejects them later
+    }
+  } else if (apiKey) {
+    try {
+      req.apiKeyAuthentication = await apiKeys.authenticate(apiKey);
+    } catch (err) {
+      // The auth middleware tries again and reports the database trouble
+    }
+    if (req.apiKeyAuthentication) caller = { type: 'apiKey', key: `key:${req.apiKeyAuthentication.key.id}` };
+  }
+
+  req.rateLimitCaller = caller || { type: 'anonymous', key: `ip:${ipKeyGenerator(req.ip)}` };
+  return req.rateLimitCaller;
+};
+
+/**
+ * A limiter named `name` (its Redis key prefix). `limit` is a number, or
+ * per caller type like POLICIES.
+ */
+const createLimiter = (name, limit, { windowMs = WINDOW_MS, skip } = {}) => {
+  const limitFor = async (req) => (typeof limit === 'number' ? limit : limit[(await identify(req)).type]);
+
+  return rateLimit({
+    windowMs,
+    limit: limitFor,
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: new RedisStore(`ratelimit:${name}:`),
+    keyGenerator: async (req) => (await identify(req)).key,
+    skip,
+    handler: async (req, res) => {
+      const { type } = await identify(req);
+      const minutes = Math.round(windowMs / 60000);
+      res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Rate limit of ${await limitFor(req)} requests per ${minutes} minutes exceeded for this ${CALLER_NAMES[type]}. Try again later.`,
+        retryAfter: Number(res.getHeader('Retry-After')) || undefined,
+      });
+    },
+  });
+};
+
+// Every request except the probes and scrapes monitoring depends on
+const globalLimiter = createLimiter('global', POLICIES, {
+  skip: (req) => ['/health', '/ready', '/metrics'].includes(req.path),
+});
+
+// Login attempts per client, on top of the per-account lockout
+const loginLimiter = createLimiter('login', LOGIN_LIMIT);
+
+// Starting CPU load jobs and traffic runs, per caller
+const loadLimiter = createLimiter('load', LOAD_LIMIT);
+
+module.exports = { POLICIES, createLimiter, globalLimiter, loginLimiter, loadLimiter, RedisStore };
@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db');
+
+// One row per alert that fired, updated when it resolves. Pending alerts
+// that cleared in time are never written.
+const Alert = sequelize.define('Alert', {
+  rule: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  severity: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  // e.g. { dependency: 'redis' } for rules that watch several things
+  labels: {
+    type: DataTypes.JSON,
+    defaultValue: {},
+  },
+  hostname: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  state: {
+    type: DataTypes.ENUM('firing', 'resolved'),
+    allowNull: false,
+  },
+  // Signal reading when it fired, then the last one before it resolved
+  value: {
+    type: DataTypes.FLOAT,
+  },
+  threshold: {
+    type: DataTypes.FLOAT,
+  },
+  description: {
+    type: DataTypes.STRING,
+  },
+  // The condition first held at activeAt; it fired `for` later
+  activeAt: {
+    type: DataTypes.DATE,
+  },
+  firedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+  },
+  // Webhook delivery reports, one per target per notification
+  notifications: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+  },
+}, {
+  indexes: [{ fields: ['firedAt'] }],
+});
+
+module.exports = Alert;
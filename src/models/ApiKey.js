@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db');
+
+// A user's API key for automation. Only a SHA-256 hash of the key is
+// stored; the key itself is shown once, when it is created.
+const ApiKey = sequelize.define('ApiKey', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  // First characters of the key, so people can tell their keys apart
+  prefix: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  keyHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+  },
+  // Permissions the key may use (a subset of its owner's role)
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+  },
+}, {
+  indexes: [{ fields: ['userId'] }],
+});
+
+module.exports = ApiKey;
@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db');
+
+// A named, repeatable chaos experiment definition. Runs of it are
+// recorded separately in ExperimentRun so results survive the pod.
+const Experiment = sequelize.define('Experiment', {
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  parameters: {
+    type: DataTypes.JSON,
+    defaultValue: {},
+  },
+  // Seconds the experiment stays active before it completes on its own
+  duration: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 60,
+  },
+  // Pod hostname the experiment may run on, or '*' for whichever pod
+  // receives the start request
+  target: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: '*',
+  },
+  description: {
+    type: DataTypes.STRING,
+  },
+});
+
+module.exports = Experiment;
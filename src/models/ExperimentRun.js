@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db');
+
+const ExperimentRun = sequelize.define('ExperimentRun', {
+  experiment: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  // Snapshot of the definition at start time, so editing or deleting the
+  // experiment later does not rewrite history
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  parameters: {
+    type: DataTypes.JSON,
+    defaultValue: {},
+  },
+  duration: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  hostname: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'running', 'completed', 'aborted'),
+    defaultValue: 'pending',
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+  },
+  endedAt: {
+    type: DataTypes.DATE,
+  },
+  results: {
+    type: DataTypes.JSON,
+    defaultValue: {},
+  },
+});
+
+module.exports = ExperimentRun;
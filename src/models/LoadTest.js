@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db');
+
+// One HTTP traffic generator run and its latency report, kept so load
+// tests can be compared across releases
+const LoadTest = sequelize.define('LoadTest', {
+  targetUrl: {
+    type: DataTypes.STRING(2048),
+    allowNull: false,
+  },
+  method: {
+    type: DataTypes.STRING,
+    defaultValue: 'GET',
+  },
+  // { type: 'constant' | 'ramp' | 'spike', ...rates }
+  profile: {
+    type: DataTypes.JSON,
+    allowNull: false,
+  },
+  concurrency: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  duration: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  hostname: {
+    type: DataTypes.STRING,
+  },
+  // Application version that generated the traffic
+  version: {
+    type: DataTypes.STRING,
+  },
+  status: {
+    type: DataTypes.ENUM('running', 'completed', 'cancelled', 'failed'),
+    defaultValue: 'running',
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+  },
+  endedAt: {
+    type: DataTypes.DATE,
+  },
+  results: {
+    type: DataTypes.JSON,
+    defaultValue: {},
+  },
+});
+
+module.exports = LoadTest;
@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db');
+
+// Resource usage of one pod at one point in time (see metricsHistory.js).
+// `resolution` is how many seconds the row covers: the sample interval for
+// raw samples, 300 for the 5-minute rollups kept after those are pruned.
+const MetricSample = sequelize.define('MetricSample', {
+  hostname: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  sampledAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  resolution: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  heapUsedMb: {
+    type: DataTypes.FLOAT,
+  },
+  rssMb: {
+    type: DataTypes.FLOAT,
+  },
+  // Of one core, so a pod using two full cores reads 200
+  cpuPercent: {
+    type: DataTypes.FLOAT,
+  },
+  // p99 over the period
+  eventLoopLagMs: {
+    type: DataTypes.FLOAT,
+  },
+  requestsPerSec: {
+    type: DataTypes.FLOAT,
+  },
+}, {
+  timestamps: false,
+  indexes: [{ fields: ['resolution', 'sampledAt'] }],
+});
+
+module.exports = MetricSample;
@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db');
+
+// Process lifecycle events (boots, chaos kills, graceful shutdowns) used to
+// build the restart timeline and time-to-recovery figures
+const PodEvent = sequelize.define('PodEvent', {
+  type: {
+    type: DataTypes.ENUM('boot', 'kill', 'shutdown'),
+    allowNull: false,
+  },
+  hostname: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  occurredAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  // boot: how the previous process on this host ended, when known
+  // kill/shutdown: what ended this one
+  reason: {
+    type: DataTypes.STRING,
+  },
+  details: {
+    type: DataTypes.JSON,
+    defaultValue: {},
+  },
+}, {
+  indexes: [{ fields: ['hostname', 'occurredAt'] }],
+});
+
+module.exports = PodEvent;
@@ -0,0 +1,35 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db');
+
+// One refresh token (stored as a SHA-256 hash, never in clear). Every token
+// issued by rotating another shares its familyId, i.e. one login session.
+const RefreshToken = sequelize.define('RefreshToken', {
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  familyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  // Set when the token is exchanged for a new one
+  rotatedAt: {
+    type: DataTypes.DATE,
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+  },
+}, {
+  indexes: [{ fields: ['familyId'] }, { fields: ['userId'] }],
+});
+
+module.exports = RefreshToken;
@@ -16,6 +16,36 @@ const User = sequelize.define('User', {
     type: DataTypes.ENUM('admin', 'viewer'),
     defaultValue: 'viewer',
   },
+  // Set while an admin has disabled the account; null when active
+  disabledAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // Subject (sub claim) at the OIDC provider for users who sign in with SSO
+  oidcSubject: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true,
+  },
+  // Two-factor authentication: the encrypted TOTP secret (set at setup),
+  // when it was confirmed (enforced from then on), the last accepted time
+  // step (no replays) and hashes of the unused recovery codes
+  totpSecret: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  totpEnabledAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  totpLastStep: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  recoveryCodes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
 }, {
   hooks: {
     beforeCreate: async (user) => {
@@ -37,4 +67,16 @@ User.prototype.validPassword = async function(password) {
   return await bcrypt.compare(password, this.password);
 };
 
+// Registration only creates viewers, so the first admin comes from the
+// environment (ADMIN_USERNAME / ADMIN_PASSWORD). An existing account with
+// that name is promoted; its password is left alone.
+User.ensureAdmin = async (username, password) => {
+  const [user, created] = await User.findOrCreate({
+    where: { username },
+    defaults: { password, role: 'admin' },
+  });
+  if (!created && user.role !== 'admin') await user.update({ role: 'admin' });
+  return user;
+};
+
 module.exports = User;
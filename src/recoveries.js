@@ -0,0 +1,139 @@
+/**
+ * Restart History and MTTR
+ *
+ * Every process records a boot event once the database is reachable, and
+ * chaos records a kill event just before it terminates a process. An
+ * incident starts at a kill and ends at the next boot on the same host
+ * (Kubernetes restarts the container in place, so the pod name is kept);
+ * the gap is its time to recovery. Graceful shutdowns are recorded too, so
+ * a boot can tell a planned restart from a crash.
+ */
+
+const { Op } = require('sequelize');
+const logger = require('./logger').child({ module: 'recoveries' });
+const redis = require('./redis');
+const PodEvent = require('./models/PodEvent');
+const { withTimeout } = require('./timeout');
+const { version: packageVersion } = require('../package.json');
+
+const HOSTNAME = process.env.HOSTNAME || 'unknown';
+const VERSION = process.env.APP_VERSION || packageVersion;
+const WINDOW_EVENTS = 1000;
+const MAX_LIMIT = 500;
+// A boot with no exit recorded before it: the process died without running
+// any of our code (crash, OOMKill, SIGKILL after the grace period)
+const UNKNOWN_EXIT = 'unknown (crash, OOMKill or SIGKILL)';
+
+const record = (type, reason, details = {}) =>
+  PodEvent.create({ type, hostname: HOSTNAME, occurredAt: new Date(), reason, details });
+
+const recordBoot = async () => {
+  const previous = await PodEvent.findOne({
+    where: { hostname: HOSTNAME },
+    order: [['occurredAt', 'DESC']],
+  });
+
+  let previousExit = null;
+  if (previous) previousExit = previous.type === 'boot' ? UNKNOWN_EXIT : previous.reason;
+
+  const event = await record('boot', previousExit, {
+    pid: process.pid,
+    version: VERSION,
+    processStartedAt: new Date(Date.now() - process.uptime() * 1000).toISOString(),
+  });
+
+  try {
+    // Counts restarts across the whole deployment; survives pod restarts
+    await withTimeout(redis.incr('survivor_count'), undefined, 'Redis');
+  } catch (err) {
+    // Reported through the redis health check
+  }
+
+  logger.info(`Boot recorded for ${HOSTNAME}`, { previousExit });
+  return event;
+};
+
+// Called right before a chaos action exits the process. Bounded so a slow
+// or unavailable database cannot keep the process alive.
+const recordKill = async (reason, details) => {
+  try {
+    await withTimeout(record('kill', reason, details), undefined, 'Database');
+  } catch (err) {
+    logger.warn('Could not record kill event', { error: err.message });
+  }
+};
+
+const recordShutdown = (signal) => record('shutdown', `graceful shutdown (${signal})`);
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+// Pair each kill with the first boot that follows it on the same host
+const buildIncidents = (events) => {
+  const incidents = [];
+  const open = new Map(); // hostname -> incident
+
+  events.forEach((event) => {
+    if (event.type === 'kill') {
+      const incident = {
+        hostname: event.hostname,
+        cause: event.reason,
+        killedAt: event.occurredAt,
+        recoveredAt: null,
+        timeToRecoverySeconds: null,
+      };
+      incidents.push(incident);
+      open.set(event.hostname, incident);
+    } else if (event.type === 'boot' && open.has(event.hostname)) {
+      const incident = open.get(event.hostname);
+      incident.recoveredAt = event.occurredAt;
+      incident.timeToRecoverySeconds = round((event.occurredAt - incident.killedAt) / 1000);
+      open.delete(event.hostname);
+    }
+  });
+
+  return incidents;
+};
+
+const summarize = (events, incidents) => {
+  const durations = incidents
+    .map((incident) => incident.timeToRecoverySeconds)
+    .filter((value) => value !== null);
+  const boots = events.filter((event) => event.type === 'boot');
+
+  return {
+    incidents: incidents.length,
+    recovered: durations.length,
+    unrecovered: incidents.length - durations.length,
+    mttrSeconds: durations.length ? round(durations.reduce((sum, n) => sum + n, 0) / durations.length) : null,
+    fastestSeconds: durations.length ? Math.min(...durations) : null,
+    slowestSeconds: durations.length ? Math.max(...durations) : null,
+    restarts: boots.filter((event) => event.reason !== null).length,
+    crashes: boots.filter((event) => event.reason === UNKNOWN_EXIT).length,
+  };
+};
+
+/**
+ * Timeline (newest first) plus per-incident recovery times and MTTR,
+ * computed over the most recent events, optionally since a given date.
+ */
+const getRecoveries = async ({ since, limit = 50 } = {}) => {
+  const where = {};
+  if (since) where.occurredAt = { [Op.gte]: since };
+
+  const events = (await PodEvent.findAll({
+    where,
+    order: [['occurredAt', 'DESC']],
+    limit: WINDOW_EVENTS,
+  })).reverse();
+
+  const incidents = buildIncidents(events);
+  const max = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_LIMIT);
+
+  return {
+    stats: summarize(events, incidents),
+    incidents: incidents.reverse().slice(0, max),
+    timeline: events.reverse().slice(0, max),
+  };
+};
+
+module.exports = { recordBoot, recordKill, recordShutdown, getRecoveries, UNKNOWN_EXIT };
@@ -1,5 +1,6 @@
 const { createClient } = require('redis');
-const logger = require('./logger');
+const logger = require('./logger').child({ module: 'redis' });
+const { instrumentRedis } = require('./chaos/dependencies');
 
 // URL can be set via env var, defaults to localhost for local dev
 // In docker-compose, hostname is 'redis'
@@ -25,4 +26,5 @@ client.on('connect', () => logger.info('Redis Client Connected'));
   }
 })();
 
-module.exports = client;
+// Chaos can simulate Redis being down or slow through this wrapper
+module.exports = instrumentRedis(client);
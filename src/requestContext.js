@@ -0,0 +1,33 @@
+/**
+ * Request Context
+ *
+ * Gives every request an id, taken from an incoming X-Request-Id (so ids
+ * set by the ingress or a calling service carry through) or generated, and
+ * echoes it in the response. The id is kept in AsyncLocalStorage for the
+ * rest of the request, so the logger can stamp it on every entry written
+ * while handling it, however deep in async code, without it being passed
+ * around.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const HEADER = 'X-Request-Id';
+// Anything else is replaced: the id ends up in log lines and headers
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+const middleware = (req, res, next) => {
+  const incoming = req.header(HEADER);
+  const requestId = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set(HEADER, requestId);
+  storage.run({ requestId }, next);
+};
+
+// { requestId } of the request being handled, or undefined outside one
+const current = () => storage.getStore();
+
+module.exports = { HEADER, middleware, current };
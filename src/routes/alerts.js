@@ -0,0 +1,48 @@
+const express = require('express');
+const { ConnectionError } = require('sequelize');
+const alerts = require('../alerts');
+const { AlertError } = require('../alerts/errors');
+const logger = require('../logger').child({ module: 'alerts' });
+const { TimeoutError } = require('../timeout');
+
+const router = express.Router();
+
+const HOSTNAME = process.env.HOSTNAME || 'unknown';
+
+const handleError = (res, err) => {
+  if (err instanceof AlertError) {
+    return res.status(err.status).json({ error: 'Bad Request', message: err.message });
+  }
+  if (err instanceof ConnectionError || err instanceof TimeoutError) {
+    return res.status(503).json({ error: 'Service Unavailable', message: 'Alert history is unavailable (database unreachable)' });
+  }
+  logger.error('Alert history error', { error: err.message, stack: err.stack });
+  res.status(500).json({ error: 'Internal Server Error', message: 'Alert history could not be read' });
+};
+
+// @route   GET api/alerts
+// @desc    Pending and firing alerts on this pod, and where notifications go
+// @access  Public
+router.get('/', (req, res) => {
+  res.json({ hostname: HOSTNAME, active: alerts.listActive(), webhooks: alerts.listTargets() });
+});
+
+// @route   GET api/alerts/rules
+// @desc    Alert rules and their state on this pod (inactive, pending, firing)
+// @access  Public
+router.get('/rules', (req, res) => {
+  res.json(alerts.listRules());
+});
+
+// @route   GET api/alerts/history?state=&limit=
+// @desc    Alerts that fired on any pod, newest first, with webhook deliveries
+// @access  Public
+router.get('/history', async (req, res) => {
+  try {
+    res.json(await alerts.getHistory({ state: req.query.state, limit: req.query.limit }));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+module.exports = router;
@@ -1,62 +1,32 @@
 const express = require('express');
-const client = require('prom-client');
-const logger = require('../logger');
+const rootLogger = require('../logger');
+const logger = rootLogger.child({ module: 'api' });
+const metrics = require('../metrics');
 const redis = require('../redis');
+const health = require('../health');
+const shutdown = require('../shutdown');
+const recoveries = require('../recoveries');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { loadLimiter } = require('../middleware/rateLimit');
+const { withTimeout } = require('../timeout');
+const dependencies = require('../chaos/dependencies');
+const loadJobs = require('../load/jobs');
+const traffic = require('../load/traffic');
+const logQuery = require('../logQuery');
+const logStream = require('../logStream');
+const logLevels = require('../logLevels');
+const slo = require('../slo');
+const metricsHistory = require('../metricsHistory');
 
 const router = express.Router();
-const register = new client.Registry();
-
-// Add default metrics
-client.collectDefaultMetrics({ register });
-
-// Custom metrics
-const httpRequestsTotal = new client.Counter({
-  name: 'http_requests_total',
-  help: 'Total number of HTTP requests',
-  labelNames: ['method', 'path', 'status'],
-  registers: [register]
-});
-
-const httpRequestDuration = new client.Histogram({
-  name: 'http_request_duration_seconds',
-  help: 'Duration of HTTP requests in seconds',
-  labelNames: ['method', 'path'],
-  buckets: [0.001, 0.005, 0.015, 0.05, 0.1, 0.5, 1, 5],
-  registers: [register]
-});
-
-const loadTestsTotal = new client.Counter({
-  name: 'load_tests_total',
-  help: 'Total number of load test requests',
-  registers: [register]
-});
-
-const activeConnections = new client.Gauge({
-  name: 'active_connections',
-  help: 'Number of active connections',
-  registers: [register]
-});
-
-// Middleware to track metrics
-router.use((req, res, next) => {
-  const start = Date.now();
-  activeConnections.inc();
-  
-  res.on('finish', () => {
-    const duration = (Date.now() - start) / 1000;
-    httpRequestsTotal.inc({ method: req.method, path: req.path, status: res.statusCode });
-    httpRequestDuration.observe({ method: req.method, path: req.path }, duration);
-    activeConnections.dec();
-  });
-  
-  next();
-});
-
-const fs = require('fs');
-const path = require('path');
 
 const HOSTNAME = process.env.HOSTNAME || 'unknown';
 
+// Starting or cancelling load needs load:run; progress and reports stay
+// open. Starting it is also rate limited per caller.
+const canRunLoad = [auth, requirePermission('load:run')];
+
 router.get('/api', (req, res) => {
   res.json({
     application: 'Anti-Gravity DevOps Platform',
@@ -69,120 +39,321 @@ router.get('/api', (req, res) => {
       dashboard: '/ - Visual Dashboard',
       api: '/api - System info (JSON)',
       health: '/health - Kubernetes health probes',
-      load: '/load?duration=5 - CPU stress test (duration in seconds)',
+      load: '/load?duration=5&cores=1&cpu=100 - Start a CPU stress job (returns a job id)',
+      loadJobs: '/load/jobs/:id - Load job progress, results and cancellation (DELETE)',
+      traffic: '/load/traffic - HTTP traffic generator runs with latency percentiles',
       metrics: '/metrics - Prometheus metrics',
-      logs: '/api/logs - Recent server logs'
+      metricsHistory: '/api/metrics/history?from=&to=&step= - Heap, RSS, CPU, event loop lag and request rate over time',
+      chaos: '/chaos/experiments - Chaos experiment definitions and runs',
+      logs: '/api/logs?level=&since=&until=&q=&cursor= - Search server logs, newest first',
+      logStream: '/api/logs/stream?level=&q= - Follow server logs live (Server-Sent Events)',
+      logLevels: '/api/logs/levels - Log level of this pod, globally and per module (change with PUT)',
+      recoveries: '/api/recoveries - Restart timeline and time-to-recovery (MTTR)',
+      alerts: '/api/alerts - Active alerts, rules (/rules) and history (/history)',
+      slo: '/api/slo - SLO error budgets and burn rates (/api/slo/rules for Prometheus)',
+      apiKeys: '/api/keys - Scoped API keys for automation (x-api-key header)',
+      users: '/api/users - User administration (admin only)'
     }
   });
 });
 
-router.get('/api/logs', (req, res) => {
-  const logFile = path.join(__dirname, '../../combined.log');
-  
-  if (fs.existsSync(logFile)) {
-    // Read last 100 lines - simplified approach for demo
-    const data = fs.readFileSync(logFile, 'utf8');
-    const lines = data.split('\n').filter(line => line.length > 0).slice(-100).reverse();
-    res.json(lines.map(line => {
-      try {
-        return JSON.parse(line);
-      } catch (e) {
-        return { message: line, timestamp: new Date().toISOString() };
-      }
-    }));
-  } else {
-    res.json([{ message: 'No logs found yet.', timestamp: new Date().toISOString() }]);
+// Newest first, filtered and paged; see src/logQuery.js for the parameters
+router.get('/api/logs', auth, requirePermission('logs:read'), async (req, res) => {
+  let filters;
+  try {
+    filters = logQuery.parseFilters(req.query);
+  } catch (err) {
+    return res.status(err.status || 400).json({ error: 'Bad Request', message: err.message });
+  }
+
+  try {
+    res.json(await logQuery.queryLogs(filters));
+  } catch (err) {
+    logger.error('Could not read logs', { error: err.message });
+    res.status(500).json({ error: 'Internal Server Error', message: 'Logs could not be read' });
   }
 });
 
+// Live tail as Server-Sent Events; takes the query API's level, q and
+// metadata filters, and resumes from Last-Event-ID
+router.get('/api/logs/stream', auth, requirePermission('logs:read'), (req, res) => {
+  let filters;
+  try {
+    filters = logQuery.parseFilters(req.query);
+  } catch (err) {
+    return res.status(err.status || 400).json({ error: 'Bad Request', message: err.message });
+  }
+  logStream.follow(req, res, filters);
+});
 
-router.get('/health', async (req, res) => {
-  let survivorCount = 0;
+// Global and per-module log levels of the pod that answers
+router.get('/api/logs/levels', auth, requirePermission('logs:read'), (req, res) => {
+  res.json({ hostname: HOSTNAME, ...logLevels.getLevels() });
+});
+
+// Change a level without a restart: { level } for every module, or
+// { level, module } for one. Applies to this pod until it restarts.
+router.put('/api/logs/levels', auth, requirePermission('logs:manage'), (req, res) => {
+  const { level, module } = req.body || {};
+  let levels;
   try {
-    // Increment a counter that survives pod restarts
-    survivorCount = await redis.incr('survivor_count');
-  } catch (e) {
-    // Ignore redis errors
+    levels = logLevels.setLevel(level, module);
+  } catch (err) {
+    return res.status(err.status || 400).json({ error: 'Bad Request', message: err.message });
   }
+  // warn and without a module, so no module's own level can hide the change
+  rootLogger.warn(`Log level of ${module ? `module ${module}` : 'all modules'} set to ${level} by user ${req.user.id}`);
+  res.json({ hostname: HOSTNAME, ...levels });
+});
+
+// Drop a module's override; it follows the global level again
+router.delete('/api/logs/levels/:module', auth, requirePermission('logs:manage'), (req, res) => {
+  if (!logLevels.clearModuleLevel(req.params.module)) {
+    return res.status(404).json({ error: 'Not Found', message: `Module ${req.params.module} has no level of its own on ${HOSTNAME}` });
+  }
+  rootLogger.warn(`Log level override of module ${req.params.module} removed by user ${req.user.id}`);
+  res.json({ hostname: HOSTNAME, ...logLevels.getLevels() });
+});
+
+// Restart timeline, per-incident time to recovery and MTTR across all pods
+router.get('/api/recoveries', async (req, res) => {
+  let since;
+  if (req.query.since) {
+    since = new Date(req.query.since);
+    if (Number.isNaN(since.getTime())) {
+      return res.status(400).json({ error: 'Bad Request', message: 'since must be an ISO 8601 date' });
+    }
+  }
+
+  let limit;
+  if (req.query.limit !== undefined) {
+    limit = Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: 'Bad Request', message: 'limit must be a positive whole number' });
+    }
+  }
+
+  try {
+    res.json(await recoveries.getRecoveries({ since, limit }));
+  } catch (err) {
+    logger.error('Could not load restart history', { error: err.message });
+    res.status(503).json({ error: 'Service Unavailable', message: 'Restart history is unavailable' });
+  }
+});
+
+// Error budget left and burn rates for each SLO in src/slo.yaml, and the
+// budget recent chaos runs used
+router.get('/api/slo', async (req, res) => {
+  try {
+    res.json(await slo.getStatus());
+  } catch (err) {
+    logger.error('Could not compute SLO status', { error: err.message });
+    res.status(503).json({ error: 'Service Unavailable', message: 'SLO data is unavailable' });
+  }
+});
+
+// The same SLOs as Prometheus recording rules, for a rule_files entry
+router.get('/api/slo/rules', (req, res) => {
+  res.type('text/yaml').send(slo.recordingRules());
+});
+
+// Resource usage sampled by every pod, kept across restarts; see
+// src/metricsHistory.js for the parameters
+router.get('/api/metrics/history', async (req, res) => {
+  let query;
+  try {
+    query = metricsHistory.parseQuery(req.query);
+  } catch (err) {
+    return res.status(err.status || 400).json({ error: 'Bad Request', message: err.message });
+  }
+
+  try {
+    res.json(await metricsHistory.queryHistory(query));
+  } catch (err) {
+    logger.error('Could not read metrics history', { error: err.message });
+    res.status(503).json({ error: 'Service Unavailable', message: 'Metrics history is unavailable' });
+  }
+});
+
+// Simulated dependency faults are listed so nobody mistakes a chaos
+// experiment for a real outage
+const simulatedFaults = () => {
+  const simulated = dependencies.listFaults();
+  return Object.keys(simulated).length > 0 ? { simulated } : {};
+};
+
+router.get('/health', async (req, res) => {
+  let survivorCount = 0;
+
+  const readSurvivors = async () => {
+    try {
+      // Incremented once per boot (see recoveries.js); survives pod restarts
+      survivorCount = parseInt(await withTimeout(redis.get('survivor_count'), undefined, 'Redis'), 10) || 0;
+    } catch (e) {
+      // Reported through the redis health check
+    }
+  };
+
+  const [, report] = await Promise.all([readSurvivors(), health.runChecks()]);
+
+  const statuses = {};
+  Object.keys(report.results).forEach((name) => {
+    statuses[name] = report.results[name].status;
+  });
 
   const healthStatus = {
-    status: 'healthy',
+    status: report.degraded.length > 0 ? 'degraded' : 'healthy',
     hostname: HOSTNAME,
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     survivorCount: survivorCount, // Show this in the UI to prove persistence
     memory: {
       used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + ' MB',
-      total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + ' MB'
+      total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + ' MB',
+      rss: Math.round(process.memoryUsage().rss / 1024 / 1024) + ' MB'
     },
     checks: {
       server: 'running',
-      memory: process.memoryUsage().heapUsed < 500 * 1024 * 1024 ? 'ok' : 'warning'
-    }
+      memory: process.memoryUsage().heapUsed < 500 * 1024 * 1024 ? 'ok' : 'warning',
+      ...statuses
+    },
+    dependencies: report.results,
+    degraded: report.degraded,
+    ...simulatedFaults()
   };
   
+  // Liveness must stay 200: restarting the pod does not fix a dependency
   res.status(200).json(healthStatus);
 });
 
-router.get('/load', (req, res) => {
-  const duration = Math.min(parseInt(req.query.duration) || 5, 30);
-  const startTime = Date.now();
-  const endTime = startTime + (duration * 1000);
-  
-  loadTestsTotal.inc();
-  
-  logger.info(`[LOAD] Starting CPU stress test for ${duration} seconds on ${HOSTNAME}`);
-  
-  let iterations = 0;
-  while (Date.now() < endTime) {
-    for (let i = 0; i < 1000000; i++) {
-      Math.sqrt(Math.random() * 999999);
-      Math.pow(Math.random(), Math.random());
-    }
-    iterations++;
+// CPU load runs in worker threads, so this returns immediately with a job
+// id and the pod keeps answering probes and scrapes while it burns CPU.
+router.get('/load', canRunLoad, loadLimiter, (req, res) => {
+  const job = loadJobs.startJob({
+    duration: req.query.duration,
+    cores: req.query.cores,
+    cpuPercent: req.query.cpu,
+  });
+
+  if (!job) {
+    return res.status(429).json({
+      error: 'Too Many Load Jobs',
+      message: `${HOSTNAME} is already running its maximum number of load workers; cancel a job or try again later`
+    });
   }
-  
-  const actualDuration = ((Date.now() - startTime) / 1000).toFixed(2);
-  
-  logger.info(`[LOAD] Completed CPU stress test: ${iterations} iterations in ${actualDuration}s`);
-  
-  res.json({
-    status: 'completed',
+
+  metrics.loadTestsTotal.inc();
+
+  res.status(202).json({
+    status: job.status,
+    jobId: job.id,
     hostname: HOSTNAME,
-    requestedDuration: duration,
-    actualDuration: parseFloat(actualDuration),
-    iterations: iterations,
-    message: `CPU stress test completed. This simulates the "gravity" that pulls down your system. The HPA (Anti-Gravity) will scale up pods to resist this load.`
+    requestedDuration: job.duration,
+    cores: job.cores,
+    cpuPercent: job.cpuPercent,
+    links: { self: `/load/jobs/${job.id}` },
+    message: `CPU stress test started. This simulates the "gravity" that pulls down your system. The HPA (Anti-Gravity) will scale up pods to resist this load.`
   });
 });
 
+router.get('/load/jobs', (req, res) => {
+  res.json(loadJobs.listJobs());
+});
+
+router.get('/load/jobs/:id', (req, res) => {
+  const job = loadJobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Not Found', message: `Load job ${req.params.id} not found on ${HOSTNAME}` });
+  }
+  res.json(job);
+});
+
+router.delete('/load/jobs/:id', canRunLoad, (req, res) => {
+  const job = loadJobs.cancelJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Not Found', message: `Load job ${req.params.id} not found on ${HOSTNAME}` });
+  }
+  res.json(job);
+});
+
+const handleTrafficError = (res, err) => {
+  if (err instanceof traffic.TrafficError) {
+    return res.status(err.status).json({ error: 'Load Test Error', message: err.message });
+  }
+  logger.error('[LOAD] Traffic generator error', { error: err.message });
+  res.status(500).json({ error: 'Internal Server Error', message: err.message });
+};
+
+// HTTP traffic generator: { targetUrl, method, profile, concurrency, duration }
+router.post('/load/traffic', canRunLoad, loadLimiter, async (req, res) => {
+  try {
+    const run = await traffic.startRun(req.body || {});
+    metrics.loadTestsTotal.inc();
+    res.status(202).json(run);
+  } catch (err) {
+    handleTrafficError(res, err);
+  }
+});
+
+router.get('/load/traffic', async (req, res) => {
+  try {
+    res.json(await traffic.listRuns({ limit: req.query.limit }));
+  } catch (err) {
+    handleTrafficError(res, err);
+  }
+});
+
+router.get('/load/traffic/:id', async (req, res) => {
+  try {
+    res.json(await traffic.getRun(req.params.id));
+  } catch (err) {
+    handleTrafficError(res, err);
+  }
+});
+
+router.delete('/load/traffic/:id', canRunLoad, async (req, res) => {
+  try {
+    res.json(await traffic.cancelRun(req.params.id));
+  } catch (err) {
+    handleTrafficError(res, err);
+  }
+});
+
 router.get('/metrics', async (req, res) => {
   try {
-    res.set('Content-Type', register.contentType);
-    res.end(await register.metrics());
+    res.set('Content-Type', metrics.register.contentType);
+    res.end(await metrics.register.metrics());
   } catch (error) {
     logger.error('[METRICS] Error generating metrics:', error);
     res.status(500).end(error.message);
   }
 });
 
-router.get('/ready', (req, res) => {
-  res.status(200).json({
-    ready: true,
+// Readiness fails (503) only when a critical dependency is down, so the
+// pod leaves the Service endpoints until it can serve again. A pod that is
+// shutting down is never ready, whatever its dependencies say.
+router.get('/ready', async (req, res) => {
+  if (shutdown.isDraining()) {
+    return res.status(503).json({
+      ready: false,
+      hostname: HOSTNAME,
+      timestamp: new Date().toISOString(),
+      draining: true
+    });
+  }
+
+  const report = await health.runChecks();
+  const ready = report.failedCritical.length === 0;
+
+  res.status(ready ? 200 : 503).json({
+    ready,
     hostname: HOSTNAME,
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    checks: report.results,
+    degraded: report.degraded,
+    ...(!ready && { failedCritical: report.failedCritical }),
+    ...simulatedFaults()
   });
 });
 
-// Chaos Endpoints
-router.post('/chaos/kill', (req, res) => {
-  logger.warn('CHAOS: Killing process via API request');
-  res.json({ status: 'dying', message: 'Goodbye cruel world! (Process terminating)' });
-  
-  // Delay slightly to allow response to be sent
-  setTimeout(() => {
-    process.exit(1);
-  }, 100);
-});
-
 module.exports = router;
@@ -1,109 +1,468 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
-const logger = require('../logger');
+const { permissionsFor } = require('../middleware/permissions');
+const logger = require('../logger').child({ module: 'auth' });
+const metrics = require('../metrics');
+const { ConnectionError } = require('sequelize');
+const { withTimeout, TimeoutError } = require('../timeout');
+const dependencies = require('../chaos/dependencies');
+const tokens = require('../auth/tokens');
+const lockout = require('../auth/lockout');
+const oidc = require('../auth/oidc');
+const twoFactor = require('../auth/twoFactor');
+const { POLICY, validatePassword } = require('../auth/passwordPolicy');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-key';
+// Without the database nothing here can work. Answer 503 quickly so clients
+// can tell "try again later" apart from bad credentials or a server bug.
+const isDatabaseUnavailable = (err) => err instanceof ConnectionError || err instanceof TimeoutError;
+
+const degraded = (res) =>
+  res.status(503).json({
+    msg: 'Authentication is temporarily unavailable (database unreachable). Please try again shortly.',
+    degraded: true,
+  });
+
+router.use((req, res, next) => (dependencies.isDown('database') ? degraded(res) : next()));
+
+// 400 listing every rule the password breaks, so the form can show them all
+const rejectPassword = (res, problems) =>
+  res.status(400).json({ msg: problems.join('. '), errors: problems });
+
+const tooManyAttempts = (res, seconds) => {
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    msg: `Too many failed login attempts. Try again in ${seconds} second${seconds === 1 ? '' : 's'}.`,
+    retryAfter: seconds,
+  });
+};
+
+// Access token, refresh token and what the user may do
+const sendSession = async (res, user, session) => {
+  res.json({
+    ...(session || await tokens.issueSession(user)),
+    role: user.role,
+    permissions: permissionsFor(user.role),
+  });
+};
 
 // @route   POST api/auth/register
-// @desc    Register user
+// @desc    Register user (always a viewer; admins are promoted, not self-made)
 // @access  Public
 router.post('/register', async (req, res) => {
   const { username, password, role } = req.body;
 
+  if (role && role !== 'viewer') {
+    return res.status(403).json({ msg: 'Only viewer accounts can be self-registered' });
+  }
+  if (!username || typeof username !== 'string') {
+    return res.status(400).json({ msg: 'Username is required' });
+  }
+
+  const problems = validatePassword(password, { username });
+  if (problems.length > 0) return rejectPassword(res, problems);
+
   try {
-    let user = await User.findOne({ where: { username } });
+    let user = await withTimeout(User.findOne({ where: { username } }), undefined, 'Database');
 
     if (user) {
       return res.status(400).json({ msg: 'User already exists' });
     }
 
-    user = await User.create({
+    user = await withTimeout(User.create({
       username,
       password,
-      role: role || 'viewer'
-    });
+      role: 'viewer'
+    }), undefined, 'Database');
 
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    jwt.sign(
-      payload,
-      JWT_SECRET,
-      { expiresIn: 360000 },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token, role: user.role });
-      }
-    );
+    await sendSession(res, user);
     
+    metrics.registrationsTotal.inc();
     logger.info(`New user registered: ${username}`);
   } catch (err) {
+    if (isDatabaseUnavailable(err)) return degraded(res);
     logger.error('Registration error', err.message);
     res.status(500).send('Server error');
   }
 });
 
+// A failed attempt counts towards the lockout; once it blocks further
+// attempts the client is told how long to wait
+const invalidCredentials = async (res, attempt) => {
+  metrics.loginFailuresTotal.inc({ reason: 'invalid_credentials' });
+  const { retryAfter } = await lockout.recordFailure(attempt);
+  if (retryAfter > 0) res.set('Retry-After', String(retryAfter));
+  return res.status(400).json({ msg: 'Invalid Credentials', ...(retryAfter > 0 && { retryAfter }) });
+};
+
 // @route   POST api/auth/login
-// @desc    Authenticate user & get token
+// @desc    Authenticate user & get token (throttled per username and IP)
 // @access  Public
 router.post('/login', async (req, res) => {
   const { username, password } = req.body;
 
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    metrics.loginFailuresTotal.inc({ reason: 'invalid_credentials' });
+    return res.status(400).json({ msg: 'Invalid Credentials' });
+  }
+
+  const attempt = { username, ip: req.ip };
+  const wait = await lockout.begin(attempt);
+  if (wait > 0) {
+    metrics.loginFailuresTotal.inc({ reason: 'locked_out' });
+    return tooManyAttempts(res, wait);
+  }
+
   try {
-    let user = await User.findOne({ where: { username } });
+    let user = await withTimeout(User.findOne({ where: { username } }), undefined, 'Database');
 
-    if (!user) {
-      return res.status(400).json({ msg: 'Invalid Credentials' });
+    if (!user || !(await user.validPassword(password))) {
+      return invalidCredentials(res, attempt);
     }
 
-    const isMatch = await user.validPassword(password);
+    await lockout.release(attempt);
 
-    if (!isMatch) {
-      return res.status(400).json({ msg: 'Invalid Credentials' });
+    if (user.disabledAt) {
+      metrics.loginFailuresTotal.inc({ reason: 'disabled' });
+      return res.status(403).json({ msg: 'Account is disabled. Contact an administrator.' });
     }
 
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    jwt.sign(
-      payload,
-      JWT_SECRET,
-      { expiresIn: 360000 },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token, role: user.role });
-      }
-    );
+    // Enrolled users finish at POST /api/auth/2fa/verify, which clears the
+    // lockout count once the second factor passes too
+    if (twoFactor.isEnrolled(user)) {
+      return res.json({ twoFactorRequired: true, challenge: twoFactor.issueChallenge(user) });
+    }
+
+    await lockout.recordSuccess(attempt);
+    await sendSession(res, user);
     
+    metrics.loginsTotal.inc({ method: 'password' });
     logger.info(`User logged in: ${username}`);
   } catch (err) {
+    // Not the caller's fault, so it does not count against them
+    await lockout.release(attempt);
+    if (isDatabaseUnavailable(err)) return degraded(res);
     logger.error('Login error', err.message);
     res.status(500).send('Server error');
   }
 });
 
+// @route   POST api/auth/password
+// @desc    Change your password { currentPassword, newPassword }; ends your
+//          other sessions and returns a new one
+// @access  Private (session token)
+router.post('/password', auth, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  let attempt = null;
+
+  if (!req.token) {
+    return res.status(400).json({ msg: 'Changing a password needs a session token' });
+  }
+
+  try {
+    const user = await withTimeout(User.findByPk(req.user.id), undefined, 'Database');
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    attempt = { username: user.username, ip: req.ip };
+    const wait = await lockout.begin(attempt);
+    if (wait > 0) return tooManyAttempts(res, wait);
+    if (typeof currentPassword !== 'string' || !(await user.validPassword(currentPassword))) {
+      await lockout.recordFailure(attempt);
+      return res.status(400).json({ msg: 'Current password is incorrect' });
+    }
+    await lockout.release(attempt);
+
+    const problems = validatePassword(newPassword, { username: user.username });
+    if (problems.length > 0) return rejectPassword(res, problems);
+
+    await withTimeout(user.update({ password: newPassword }), undefined, 'Database');
+    await tokens.revokeUserSessions(user.id);
+    await sendSession(res, user);
+
+    logger.info(`User changed password: ${user.username}`);
+  } catch (err) {
+    if (attempt) await lockout.release(attempt);
+    if (isDatabaseUnavailable(err)) return degraded(res);
+    logger.error('Password change error', err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/auth/password-policy
+// @desc    The rules new passwords must follow
+// @access  Public
+router.get('/password-policy', (req, res) => {
+  res.json(POLICY);
+});
+
+// ============================================================================
+// TWO-FACTOR AUTHENTICATION (TOTP)
+// ============================================================================
+
+// Enrollment changes how you sign in, so it needs a signed-in session
+const sessionOnly = (req, res, next) => {
+  if (!req.token) {
+    return res.status(403).json({ msg: 'Two-factor settings need a session token, not an API key' });
+  }
+  next();
+};
+
+const twoFactorFailed = (res, err, action) => {
+  if (err instanceof twoFactor.TwoFactorError) return res.status(err.status).json({ msg: err.message });
+  if (isDatabaseUnavailable(err)) return degraded(res);
+  logger.error(`Two-factor ${action} error`, err.message);
+  res.status(500).send('Server error');
+};
+
+const currentUser = async (req) => {
+  const user = await withTimeout(User.findByPk(req.user.id), undefined, 'Database');
+  if (!user) throw new twoFactor.TwoFactorError(404, 'User not found');
+  return user;
+};
+
+// @route   POST api/auth/2fa/verify
+// @desc    Second login step: { challenge, code } or { challenge, recoveryCode }
+// @access  Public (challenge from POST api/auth/login)
+router.post('/2fa/verify', async (req, res) => {
+  const { challenge, code, recoveryCode } = req.body;
+  let attempt = null;
+
+  try {
+    const user = await twoFactor.readChallenge(challenge);
+    attempt = { username: user.username, ip: req.ip };
+    const wait = await lockout.begin(attempt);
+    if (wait > 0) {
+      metrics.loginFailuresTotal.inc({ reason: 'locked_out' });
+      return tooManyAttempts(res, wait);
+    }
+
+    if (!(await twoFactor.verify(user, { code, recoveryCode }))) {
+      metrics.loginFailuresTotal.inc({ reason: 'invalid_code' });
+      await lockout.recordFailure(attempt);
+      return res.status(400).json({ msg: 'Invalid code' });
+    }
+    await lockout.release(attempt);
+    if (user.disabledAt) {
+      metrics.loginFailuresTotal.inc({ reason: 'disabled' });
+      return res.status(403).json({ msg: 'Account is disabled. Contact an administrator.' });
+    }
+
+    await lockout.recordSuccess(attempt);
+    await sendSession(res, user);
+    metrics.loginsTotal.inc({ method: 'two_factor' });
+    logger.info(`User logged in with two-factor authentication: ${user.username}`);
+  } catch (err) {
+    if (attempt) await lockout.release(attempt);
+    twoFactorFailed(res, err, 'verification');
+  }
+});
+
+// @route   POST api/auth/2fa/setup
+// @desc    Start enrollment: a new TOTP secret and its otpauth:// URI (QR code)
+// @access  Private (session token)
+router.post('/2fa/setup', auth, sessionOnly, async (req, res) => {
+  try {
+    res.json(await twoFactor.setup(await currentUser(req)));
+  } catch (err) {
+    twoFactorFailed(res, err, 'setup');
+  }
+});
+
+// @route   POST api/auth/2fa/enable
+// @desc    Confirm enrollment with a code { code }; returns the recovery codes once
+// @access  Private (session token)
+router.post('/2fa/enable', auth, sessionOnly, async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactor.enable(await currentUser(req), req.body.code);
+    res.json({ msg: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.', recoveryCodes });
+  } catch (err) {
+    twoFactorFailed(res, err, 'enable');
+  }
+});
+
+// @route   POST api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes { code }; the old ones stop working
+// @access  Private (session token)
+router.post('/2fa/recovery-codes', auth, sessionOnly, async (req, res) => {
+  try {
+    const user = await currentUser(req);
+    if (!twoFactor.isEnrolled(user)) throw new twoFactor.TwoFactorError(400, 'Two-factor authentication is not enabled');
+    if (!(await twoFactor.verifyForSettings(user, { code: req.body.code }))) throw new twoFactor.TwoFactorError(400, 'Invalid code');
+    res.json({ recoveryCodes: await twoFactor.issueRecoveryCodes(user) });
+  } catch (err) {
+    twoFactorFailed(res, err, 'recovery code');
+  }
+});
+
+// @route   POST api/auth/2fa/disable
+// @desc    Turn two-factor off { password, code | recoveryCode }
+// @access  Private (session token)
+router.post('/2fa/disable', auth, sessionOnly, async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  try {
+    const user = await currentUser(req);
+    if (!twoFactor.isEnrolled(user)) throw new twoFactor.TwoFactorError(400, 'Two-factor authentication is not enabled');
+    if (typeof password !== 'string' || !(await user.validPassword(password))) {
+      throw new twoFactor.TwoFactorError(400, 'Password is incorrect');
+    }
+    if (!(await twoFactor.verifyForSettings(user, { code, recoveryCode }))) throw new twoFactor.TwoFactorError(400, 'Invalid code');
+
+    await twoFactor.disable(user);
+    res.json({ msg: 'Two-factor authentication disabled' });
+  } catch (err) {
+    twoFactorFailed(res, err, 'disable');
+  }
+});
+
+// ============================================================================
+// SINGLE SIGN-ON (OIDC)
+// ============================================================================
+
+const OIDC_FLOW_COOKIE = 'oidc_flow';
+const OIDC_COOKIE_PATH = '/api/auth/oidc';
+
+// Where the browser lands after SSO; the client picks the session (or the
+// error) out of the URL fragment, which never reaches server logs
+const finishSso = (res, params) => {
+  res.clearCookie(OIDC_FLOW_COOKIE, { path: OIDC_COOKIE_PATH });
+  res.redirect(`${process.env.OIDC_POST_LOGIN_URL || '/login'}#${new URLSearchParams(params)}`);
+};
+
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || '').split(';').map((part) => part.trim().split('='))
+    .find(([key]) => key === name);
+  return pair ? decodeURIComponent(pair.slice(1).join('=')) : undefined;
+};
+
+const ssoFailed = (res, err) => {
+  if (isDatabaseUnavailable(err)) return degraded(res);
+  metrics.loginFailuresTotal.inc({ reason: 'sso' });
+  if (err instanceof oidc.OidcError) {
+    logger.warn('SSO sign-in failed', { error: err.message });
+    return finishSso(res, { error: err.message });
+  }
+  logger.error('SSO error', err.message);
+  finishSso(res, { error: 'Single sign-on failed' });
+};
+
+// @route   GET api/auth/oidc/config
+// @desc    Whether SSO is available, for the login page
+// @access  Public
+router.get('/oidc/config', (req, res) => {
+  res.json({ enabled: oidc.isEnabled(), providerName: oidc.config().providerName });
+});
+
+// @route   GET api/auth/oidc/login
+// @desc    Redirect to the identity provider (authorization code + PKCE)
+// @access  Public
+router.get('/oidc/login', async (req, res) => {
+  if (!oidc.isEnabled()) {
+    return res.status(404).json({ msg: 'Single sign-on is not configured' });
+  }
+
+  try {
+    const { url, cookie, maxAgeMs } = await oidc.startLogin();
+    res.cookie(OIDC_FLOW_COOKIE, cookie, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      maxAge: maxAgeMs,
+      path: OIDC_COOKIE_PATH,
+    });
+    res.redirect(url);
+  } catch (err) {
+    ssoFailed(res, err);
+  }
+});
+
+// @route   GET api/auth/oidc/callback
+// @desc    Identity provider redirect target: create or update the user and
+//          hand a session (or, with two-factor on, a challenge) to the client
+// @access  Public
+router.get('/oidc/callback', async (req, res) => {
+  const { code, state, error, error_description: description } = req.query;
+
+  if (error) {
+    return ssoFailed(res, new oidc.OidcError(400, `Identity provider refused the sign-in: ${description || error}`));
+  }
+
+  try {
+    const user = await oidc.completeLogin({ code, state, cookie: readCookie(req, OIDC_FLOW_COOKIE) });
+    // The IdP stands in for the password only; enrolled users still finish
+    // at POST /api/auth/2fa/verify
+    if (twoFactor.isEnrolled(user)) {
+      return finishSso(res, { challenge: twoFactor.issueChallenge(user) });
+    }
+    const { token, refreshToken } = await tokens.issueSession(user);
+    metrics.loginsTotal.inc({ method: 'sso' });
+    logger.info(`User logged in with SSO: ${user.username}`);
+    finishSso(res, { token, refreshToken });
+  } catch (err) {
+    ssoFailed(res, err);
+  }
+});
+
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh pair (rotation)
+// @access  Public (refresh token in body)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { user, session } = await tokens.rotateRefreshToken(req.body.refreshToken);
+    await sendSession(res, user, session);
+  } catch (err) {
+    if (err instanceof tokens.TokenError) return res.status(err.status).json({ msg: err.message });
+    if (isDatabaseUnavailable(err)) return degraded(res);
+    logger.error('Token refresh error', err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/logout
+// @desc    Revoke the current access token and end its refresh session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  if (!req.token) {
+    return res.status(400).json({ msg: 'Logout needs a session token; revoke API keys with DELETE /api/keys/:id' });
+  }
+
+  try {
+    await tokens.revokeRefreshToken(req.body.refreshToken);
+  } catch (err) {
+    if (isDatabaseUnavailable(err)) return degraded(res);
+    logger.error('Logout error', err.message);
+    return res.status(500).send('Server error');
+  }
+
+  try {
+    await tokens.revokeAccessToken(req.token);
+  } catch (err) {
+    logger.warn('Could not revoke access token', { error: err.message });
+    return res.json({ msg: 'Logged out; the access token stays valid until it expires (revocation list unavailable)' });
+  }
+
+  logger.info(`User logged out: ${req.user.id}`);
+  res.json({ msg: 'Logged out' });
+});
+
 // @route   GET api/auth/me
 // @desc    Get current user
 // @access  Private
 router.get('/me', auth, async (req, res) => {
   try {
-    const user = await User.findByPk(req.user.id, {
-      attributes: { exclude: ['password'] } 
-    });
-    res.json(user);
+    const user = await withTimeout(User.findByPk(req.user.id, {
+      attributes: { exclude: ['password', 'totpSecret', 'totpLastStep', 'recoveryCodes'] } 
+    }), undefined, 'Database');
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    res.json({ ...user.toJSON(), permissions: permissionsFor(user.role), twoFactorEnabled: twoFactor.isEnrolled(user) });
   } catch (err) {
+    if (isDatabaseUnavailable(err)) return degraded(res);
     logger.error('Auth check error', err.message);
     res.status(500).send('Server Error');
   }
@@ -0,0 +1,240 @@
+const express = require('express');
+const logger = require('../logger').child({ module: 'chaos' });
+const metrics = require('../metrics');
+const chaos = require('../chaos');
+const recoveries = require('../recoveries');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+
+const router = express.Router();
+
+// Reads are open; anything that starts, stops or changes chaos needs chaos:run
+const canRunChaos = [auth, requirePermission('chaos:run')];
+
+// Accepted actions feed chaos_actions_total, for the dashboard
+const counted = metrics.countChaosAction;
+
+const handleError = (res, err) => {
+  if (err instanceof chaos.ExperimentError) {
+    return res.status(err.status).json({ error: 'Chaos Error', message: err.message });
+  }
+  logger.error('CHAOS: Unexpected error', { error: err.message, stack: err.stack });
+  res.status(500).json({ error: 'Internal Server Error', message: err.message });
+};
+
+// @route   POST /chaos/kill
+// @desc    Terminate the process immediately (ad-hoc, no experiment record)
+router.post('/kill', canRunChaos, counted('kill'), (req, res) => {
+  logger.warn('CHAOS: Killing process via API request');
+  res.json({ status: 'dying', message: 'Goodbye cruel world! (Process terminating)' });
+
+  // Delay slightly to allow response to be sent
+  setTimeout(() => {
+    recoveries.recordKill('chaos: POST /chaos/kill', { exitCode: 1 })
+      .finally(() => process.exit(1));
+  }, 100);
+});
+
+// @route   GET /chaos/types
+// @desc    List experiment types this pod can run
+router.get('/types', (req, res) => {
+  res.json(chaos.listTypes());
+});
+
+// @route   GET /chaos/experiments
+// @desc    List experiment definitions
+router.get('/experiments', async (req, res) => {
+  try {
+    res.json(await chaos.listExperiments());
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST /chaos/experiments
+// @desc    Define a named experiment { name, type, parameters, duration, target }
+router.post('/experiments', canRunChaos, async (req, res) => {
+  try {
+    const experiment = await chaos.defineExperiment(req.body || {});
+    res.status(201).json(experiment);
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   GET /chaos/experiments/:name
+// @desc    Experiment definition with its most recent runs
+router.get('/experiments/:name', async (req, res) => {
+  try {
+    const experiment = await chaos.findExperiment(req.params.name);
+    const runs = await chaos.listRuns(req.params.name);
+    res.json({ ...experiment.toJSON(), runs });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   DELETE /chaos/experiments/:name
+// @desc    Remove an experiment definition (run history is kept)
+router.delete('/experiments/:name', canRunChaos, async (req, res) => {
+  try {
+    await chaos.deleteExperiment(req.params.name);
+    res.status(204).end();
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST /chaos/experiments/:name/start
+// @desc    Start a new run of the experiment on this pod
+router.post('/experiments/:name/start', canRunChaos, counted('experiment_start'), async (req, res) => {
+  try {
+    const run = await chaos.startExperiment(req.params.name);
+    res.status(202).json(run);
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST /chaos/experiments/:name/stop
+// @desc    Abort the active run of the experiment
+router.post('/experiments/:name/stop', canRunChaos, counted('experiment_stop'), async (req, res) => {
+  try {
+    const run = await chaos.stopExperiment(req.params.name, req.body && req.body.reason);
+    res.json(run);
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   GET /chaos/experiments/:name/runs
+// @desc    Run history, newest first
+router.get('/experiments/:name/runs', async (req, res) => {
+  try {
+    await chaos.findExperiment(req.params.name);
+    res.json(await chaos.listRuns(req.params.name));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   GET /chaos/experiments/:name/runs/:id
+// @desc    A single run, with live progress while it is active
+router.get('/experiments/:name/runs/:id', async (req, res) => {
+  try {
+    res.json(await chaos.getRun(req.params.name, req.params.id));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// ============================================================================
+// FAULT INJECTION
+// ============================================================================
+
+// @route   GET /chaos/faults
+// @desc    List active fault injection rules with hit counters
+router.get('/faults', (req, res) => {
+  res.json(chaos.faults.listRules());
+});
+
+// @route   POST /chaos/faults
+// @desc    Add a rule { method, path, probability, delayMs | delayMinMs+delayMaxMs, status }
+router.post('/faults', canRunChaos, counted('fault_add'), (req, res) => {
+  try {
+    res.status(201).json(chaos.faults.addRule(req.body || {}));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   PATCH /chaos/faults/:id
+// @desc    Turn a rule on or off { enabled }
+router.patch('/faults/:id', canRunChaos, counted('fault_update'), (req, res) => {
+  try {
+    res.json(chaos.faults.setEnabled(req.params.id, req.body && req.body.enabled));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   DELETE /chaos/faults/:id
+// @desc    Remove a rule
+router.delete('/faults/:id', canRunChaos, counted('fault_remove'), (req, res) => {
+  try {
+    res.json(chaos.faults.removeRule(req.params.id));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   DELETE /chaos/faults
+// @desc    Remove every rule (panic button)
+router.delete('/faults', canRunChaos, counted('fault_remove'), (req, res) => {
+  res.json({ removed: chaos.faults.clearRules() });
+});
+
+// ============================================================================
+// MEMORY PRESSURE
+// ============================================================================
+
+// @route   GET /chaos/memory
+// @desc    Current memory pressure simulation and process memory
+router.get('/memory', (req, res) => {
+  res.json(chaos.memory.status());
+});
+
+// @route   POST /chaos/memory
+// @desc    Start allocating { targetMb, rateMbPerSec, timeoutSeconds, kind: heap|buffer }
+router.post('/memory', canRunChaos, counted('memory_pressure'), (req, res) => {
+  try {
+    res.status(202).json(chaos.memory.start(req.body || {}));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST /chaos/memory/release
+// @desc    Free everything the simulation holds
+router.post('/memory/release', canRunChaos, counted('memory_release'), (req, res) => {
+  const result = chaos.memory.release();
+  if (!result) {
+    return res.status(409).json({ error: 'Chaos Error', message: 'No memory pressure is active' });
+  }
+  res.json(result);
+});
+
+// ============================================================================
+// DEPENDENCY OUTAGES
+// ============================================================================
+
+// @route   GET /chaos/dependencies
+// @desc    Simulated Redis / database faults currently active on this pod
+router.get('/dependencies', (req, res) => {
+  res.json({
+    available: chaos.dependencies.DEPENDENCIES,
+    active: chaos.dependencies.listFaults(),
+  });
+});
+
+// @route   PUT /chaos/dependencies/:name
+// @desc    Make redis or database act down or slow { mode: down|slow, delayMs }
+router.put('/dependencies/:name', canRunChaos, counted('dependency_fault'), (req, res) => {
+  try {
+    res.json(chaos.dependencies.setFault(req.params.name, req.body || {}));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   DELETE /chaos/dependencies/:name
+// @desc    Restore normal behaviour for a dependency
+router.delete('/dependencies/:name', canRunChaos, counted('dependency_restore'), (req, res) => {
+  const cleared = chaos.dependencies.clearFault(req.params.name);
+  if (!cleared) {
+    return res.status(404).json({ error: 'Chaos Error', message: `No simulated fault on '${req.params.name}'` });
+  }
+  res.json({ dependency: req.params.name, cleared });
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const { ConnectionError } = require('sequelize');
+const auth = require('../middleware/auth');
+const apiKeys = require('../auth/apiKeys');
+const logger = require('../logger').child({ module: 'auth' });
+const { TimeoutError } = require('../timeout');
+
+const router = express.Router();
+
+// Keys are managed from a signed-in session; a key cannot mint or list keys
+const sessionOnly = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ msg: 'API keys cannot manage API keys; sign in instead' });
+  }
+  next();
+};
+
+router.use(auth, sessionOnly);
+
+const handleError = (res, err) => {
+  if (err instanceof apiKeys.ApiKeyError) {
+    return res.status(err.status).json({ msg: err.message });
+  }
+  if (err instanceof ConnectionError || err instanceof TimeoutError) {
+    return res.status(503).json({ msg: 'API keys are temporarily unavailable (database unreachable). Please try again shortly.' });
+  }
+  logger.error('API key error', { error: err.message, stack: err.stack });
+  res.status(500).send('Server error');
+};
+
+// @route   GET api/keys
+// @desc    List your API keys (admins: ?all=true for everyone's)
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    res.json(await apiKeys.listKeys(req.user, { all: req.query.all === 'true' }));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST api/keys
+// @desc    Create a key { name, scopes, expiresInDays }; the key is only shown here
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    res.status(201).json(await apiKeys.createKey(req.user, req.body));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   DELETE api/keys/:id
+// @desc    Revoke a key (yours, or anyone's as admin)
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    res.json(await apiKeys.revokeKey(req.user, req.params.id));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const { ConnectionError } = require('sequelize');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const tokens = require('../auth/tokens');
+const { validatePassword, generatePassword } = require('../auth/passwordPolicy');
+const logger = require('../logger').child({ module: 'users' });
+const { withTimeout, TimeoutError } = require('../timeout');
+
+const router = express.Router();
+
+const ROLES = ['admin', 'viewer'];
+const PUBLIC_ATTRIBUTES = ['id', 'username', 'role', 'disabledAt', 'totpEnabledAt', 'createdAt', 'updatedAt'];
+
+router.use(auth, requirePermission('users:manage'));
+
+const handleError = (res, err) => {
+  if (err instanceof ConnectionError || err instanceof TimeoutError) {
+    return res.status(503).json({ msg: 'User management is temporarily unavailable (database unreachable). Please try again shortly.' });
+  }
+  logger.error('User management error', { error: err.message, stack: err.stack });
+  res.status(500).send('Server error');
+};
+
+const describeUser = (user) => {
+  const result = {};
+  PUBLIC_ATTRIBUTES.forEach((attribute) => {
+    result[attribute] = user[attribute];
+  });
+  return result;
+};
+
+const findUser = (id) => withTimeout(User.findByPk(id), undefined, 'Database');
+
+// @route   GET api/users
+// @desc    List users
+// @access  Admin (users:manage)
+router.get('/', async (req, res) => {
+  try {
+    const users = await withTimeout(User.findAll({
+      attributes: PUBLIC_ATTRIBUTES,
+      order: [['username', 'ASC']],
+    }), undefined, 'Database');
+    res.json(users);
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   PATCH api/users/:id
+// @desc    Change role { role } and/or disable or re-enable { disabled }
+// @access  Admin (users:manage)
+router.patch('/:id', async (req, res) => {
+  const { role, disabled } = req.body;
+
+  if (role === undefined && disabled === undefined) {
+    return res.status(400).json({ msg: 'Nothing to change: send role and/or disabled' });
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    return res.status(400).json({ msg: `role must be one of: ${ROLES.join(', ')}` });
+  }
+  if (disabled !== undefined && typeof disabled !== 'boolean') {
+    return res.status(400).json({ msg: 'disabled must be a boolean' });
+  }
+  // Another admin has to do it, so a lone admin can't lock everyone out
+  if (String(req.params.id) === String(req.user.id) && (role === 'viewer' || disabled === true)) {
+    return res.status(400).json({ msg: 'You cannot demote or disable your own account' });
+  }
+
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const roleChanged = role !== undefined && role !== user.role;
+    const disabling = disabled === true && !user.disabledAt;
+    const changes = {};
+    if (roleChanged) changes.role = role;
+    if (disabled !== undefined && disabled !== Boolean(user.disabledAt)) {
+      changes.disabledAt = disabled ? new Date() : null;
+    }
+
+    if (Object.keys(changes).length > 0) {
+      await withTimeout(user.update(changes), undefined, 'Database');
+      // Tokens carry the role, so existing sessions must not outlive the change
+      if (roleChanged || disabling) await tokens.revokeUserSessions(user.id);
+      logger.info(`User ${user.username} updated by admin ${req.user.id}`, {
+        role: changes.role,
+        disabled: changes.disabledAt === undefined ? undefined : Boolean(changes.disabledAt),
+      });
+    }
+
+    res.json(describeUser(user));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST api/users/:id/reset-password
+// @desc    Set a new password { password }, or generate a temporary one that
+//          is returned once. Ends the user's sessions.
+// @access  Admin (users:manage)
+router.post('/:id/reset-password', async (req, res) => {
+  const { password } = req.body;
+
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    if (password !== undefined) {
+      const problems = validatePassword(password, { username: user.username });
+      if (problems.length > 0) return res.status(400).json({ msg: problems.join('. '), errors: problems });
+    }
+
+    const newPassword = password || generatePassword();
+    await withTimeout(user.update({ password: newPassword }), undefined, 'Database');
+    await tokens.revokeUserSessions(user.id);
+    logger.info(`Password of ${user.username} reset by admin ${req.user.id}`);
+
+    res.json({
+      msg: `Password reset for ${user.username}; existing sessions were ended`,
+      ...(!password && { temporaryPassword: newPassword }),
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+/**
+ * Graceful Shutdown
+ *
+ * On SIGTERM (rolling update, scale-down, node drain) the pod:
+ *   1. starts failing /ready so Kubernetes removes it from the Service
+ *   2. stops accepting new connections, asks keep-alive clients to leave
+ *      and ends long-lived responses (onDrain), such as log streams
+ *   3. waits up to SHUTDOWN_DRAIN_MS for in-flight requests to finish
+ *   4. runs cleanup hooks (chaos, load, Redis, database, tracing), newest
+ *      registration first, each bounded by a timeout
+ *   5. exits
+ * Keep SHUTDOWN_DRAIN_MS below terminationGracePeriodSeconds in
+ * k8s/deployment.yaml, or the kubelet will SIGKILL the pod mid-drain.
+ */
+
+const logger = require('./logger').child({ module: 'shutdown' });
+const { withTimeout } = require('./timeout');
+
+const DRAIN_MS = parseInt(process.env.SHUTDOWN_DRAIN_MS, 10) || 20000;
+const HOOK_TIMEOUT_MS = 5000;
+const POLL_MS = 100;
+
+const hooks = [];
+const drainHooks = [];
+let draining = false;
+let inFlight = 0;
+let shutdownPromise = null;
+
+const isDraining = () => draining;
+
+const onShutdown = (name, hook) => {
+  hooks.push({ name, hook });
+};
+
+// Runs as soon as draining starts. For responses that never finish on
+// their own (streams), which would otherwise hold the drain open until
+// SHUTDOWN_DRAIN_MS. Hooks must be synchronous.
+const onDrain = (name, hook) => {
+  drainHooks.push({ name, hook });
+};
+
+// Counts in-flight requests and tells clients not to reuse the connection
+// once draining has started
+const trackRequests = (req, res, next) => {
+  inFlight++;
+  let counted = true;
+  const done = () => {
+    if (!counted) return;
+    counted = false;
+    inFlight--;
+  };
+  res.on('finish', done);
+  res.on('close', done);
+
+  if (draining) res.set('Connection', 'close');
+  next();
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const waitForRequests = async (server, drainMs) => {
+  const deadline = Date.now() + drainMs;
+  while (inFlight > 0 && Date.now() < deadline) {
+    // Keep-alive sockets that finished their request would otherwise
+    // hold server.close() open
+    if (server && server.closeIdleConnections) server.closeIdleConnections();
+    await sleep(POLL_MS);
+  }
+  return inFlight;
+};
+
+const runHooks = async (signal) => {
+  for (const { name, hook } of [...hooks].reverse()) {
+    try {
+      await withTimeout(Promise.resolve().then(() => hook({ signal })), HOOK_TIMEOUT_MS, `Shutdown hook '${name}'`);
+      logger.info(`Shutdown: ${name} closed`);
+    } catch (err) {
+      logger.error(`Shutdown: ${name} failed to close cleanly`, { error: err.message });
+    }
+  }
+};
+
+/**
+ * Drain and clean up. Safe to call more than once (a second SIGTERM or a
+ * SIGINT during the drain returns the same promise).
+ */
+const shutdown = ({ server, signal = 'manual', drainMs = DRAIN_MS, exit = process.exit } = {}) => {
+  if (shutdownPromise) return shutdownPromise;
+
+  draining = true;
+  logger.warn(`${signal} received: draining (${inFlight} request(s) in flight, up to ${drainMs}ms)`);
+
+  drainHooks.forEach(({ name, hook }) => {
+    try {
+      hook({ signal });
+    } catch (err) {
+      logger.error(`Shutdown: ${name} failed to end`, { error: err.message });
+    }
+  });
+
+  shutdownPromise = (async () => {
+    if (server) {
+      server.close((err) => {
+        if (err) logger.warn('HTTP server close reported an error', { error: err.message });
+      });
+    }
+
+    const remaining = await waitForRequests(server, drainMs);
+    if (remaining > 0) {
+      logger.warn(`Drain period over with ${remaining} request(s) still in flight; closing them`);
+      if (server && server.closeAllConnections) server.closeAllConnections();
+    } else {
+      logger.info('All in-flight requests completed');
+      if (server && server.closeIdleConnections) server.closeIdleConnections();
+    }
+
+    await runHooks(signal);
+    logger.info('Shutdown complete');
+    exit(0);
+  })();
+
+  return shutdownPromise;
+};
+
+// Install signal handlers for a listening server
+const attach = (server) => {
+  ['SIGTERM', 'SIGINT'].forEach((signal) => {
+    process.on(signal, () => shutdown({ server, signal }));
+  });
+};
+
+module.exports = { attach, shutdown, onShutdown, onDrain, isDraining, trackRequests };
@@ -0,0 +1,337 @@
+/**
+ * Service Level Objectives
+ *
+ * SLOs are declared in src/slo.yaml (or the file SLO_CONFIG names) and
+ * computed from the requests the metrics middleware records: every request
+ * an SLO covers is good or bad for it. The counts go to Redis in per-minute
+ * and per-hour buckets, so all replicas add to the same totals and a pod
+ * that is killed loses at most its last few seconds of counts.
+ *
+ * From those buckets come the error budget left over each SLO's window, the
+ * burn rates over the multi-window pairs of the SRE workbook, and how much
+ * budget the most recent chaos runs used. The same counts are exported as
+ * slo_requests_total / slo_good_requests_total, and recordingRules() turns
+ * the definitions into Prometheus recording rules over them.
+ */
+
+const path = require('path');
+const { Op } = require('sequelize');
+const logger = require('./logger').child({ module: 'slo' });
+const redis = require('./redis');
+const metrics = require('./metrics');
+const ExperimentRun = require('./models/ExperimentRun');
+const { withTimeout } = require('./timeout');
+const { parseDuration, loadList } = require('./configCheck');
+
+const CONFIG_FILE = process.env.SLO_CONFIG || path.join(__dirname, 'slo.yaml');
+const FLUSH_MS = parseInt(process.env.SLO_FLUSH_MS, 10) || 10000;
+// The scrape job the recording rules select
+const PROMETHEUS_JOB = 'anti-gravity';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+// Ranges that start within this use minute buckets, older ones hour buckets
+const MINUTE_RETENTION = 6 * HOUR;
+const MAX_WINDOW = 90 * DAY;
+const RECENT_RUNS = 5;
+
+// Multi-window burn-rate alerting (SRE workbook): a pair is alerting when
+// both windows burn budget faster than the threshold. 14.4 for an hour
+// spends 2% of a 30-day budget.
+const BURN_RATE_WINDOWS = [
+  { long: '1h', short: '5m', threshold: 14.4, severity: 'page' },
+  { long: '6h', short: '30m', threshold: 6, severity: 'page' },
+  { long: '1d', short: '2h', threshold: 3, severity: 'ticket' },
+  { long: '3d', short: '6h', threshold: 1, severity: 'ticket' },
+];
+const RULE_WINDOWS = ['5m', '30m', '1h', '2h', '6h', '1d', '3d'];
+
+// '30d' -> milliseconds, NaN when it is not a number of m, h or d
+const parseWindow = (text) => parseDuration(text, 'mhd');
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Read and check the SLO definitions. A mistake throws, so a bad config
+ * stops the pod at startup rather than reporting wrong numbers.
+ */
+const loadDefinitions = (file = CONFIG_FILE) => {
+  const bucketsMs = metrics.DURATION_BUCKETS.map((seconds) => seconds * 1000);
+
+  return loadList(file, 'slos', 'SLO', (slo, fail) => {
+    if (typeof slo.objective !== 'number' || slo.objective <= 0 || slo.objective >= 1) {
+      fail('objective must be a fraction between 0 and 1, e.g. 0.995');
+    }
+    const windowMs = parseWindow(slo.window);
+    if (!(windowMs >= HOUR && windowMs <= MAX_WINDOW)) {
+      fail('window must be between 1h and 90d, e.g. 30d, 7d or 12h');
+    }
+    if (slo.latencyMs !== undefined && !bucketsMs.includes(slo.latencyMs)) {
+      fail(`latencyMs must be one of the latency histogram buckets: ${bucketsMs.join(', ')}`);
+    }
+
+    return {
+      name: slo.name,
+      description: slo.description || '',
+      objective: slo.objective,
+      window: slo.window,
+      windowMs,
+      latencyMs: slo.latencyMs,
+      routes: slo.routes ? new Set(slo.routes) : null,
+      excludeRoutes: new Set(slo.excludeRoutes || []),
+    };
+  });
+};
+
+const definitions = loadDefinitions();
+
+// ============================================================================
+// COUNTING
+// ============================================================================
+
+// Bucket key -> { total, good, ttl } counted since the last flush
+let pending = new Map();
+let flushing = null;
+
+const bucketPrefix = (slo, resolution) => `slo:${slo.name}:${resolution === HOUR ? 'h' : 'm'}`;
+const bucketKey = (slo, resolution, at) => `${bucketPrefix(slo, resolution)}:${Math.floor(at / resolution)}`;
+
+const covers = (slo, { route }) => (!slo.routes || slo.routes.has(route)) && !slo.excludeRoutes.has(route);
+
+const isGood = (slo, { status, seconds }) =>
+  status < 500 && (slo.latencyMs === undefined || seconds * 1000 <= slo.latencyMs);
+
+const count = (key, good, ttl) => {
+  const bucket = pending.get(key) || { total: 0, good: 0, ttl };
+  bucket.total += 1;
+  if (good) bucket.good += 1;
+  pending.set(key, bucket);
+};
+
+// Streams stay open as long as the client wants; their duration says
+// nothing about how fast the service is
+const record = (request) => {
+  if (request.streaming) return;
+  const now = Date.now();
+  definitions.forEach((slo) => {
+    if (!covers(slo, request)) return;
+    const good = isGood(slo, request);
+
+    metrics.sloRequestsTotal.inc({ slo: slo.name });
+    if (good) metrics.sloGoodRequestsTotal.inc({ slo: slo.name });
+    count(bucketKey(slo, MINUTE, now), good, (MINUTE_RETENTION + 10 * MINUTE) / 1000);
+    count(bucketKey(slo, HOUR, now), good, (slo.windowMs + HOUR) / 1000);
+  });
+};
+
+// One transaction: a failed flush wrote nothing, so its counts can go back
+// into the buffer for the next one
+const writePending = async () => {
+  if (pending.size === 0 || !redis.isReady) return;
+  const batch = pending;
+  pending = new Map();
+
+  try {
+    // Awaited: while chaos slows Redis down, every client call is async
+    const transaction = await redis.multi();
+    batch.forEach(({ total, good, ttl }, key) => {
+      transaction
+        .incrBy(`${key}:total`, total)
+        .incrBy(`${key}:good`, good)
+        .expire(`${key}:total`, ttl)
+        .expire(`${key}:good`, ttl);
+    });
+    await withTimeout(transaction.exec(), undefined, 'Redis');
+  } catch (err) {
+    logger.warn('SLO counts not saved, retrying on the next flush', { error: err.message });
+    batch.forEach(({ total, good, ttl }, key) => {
+      const bucket = pending.get(key) || { total: 0, good: 0, ttl };
+      bucket.total += total;
+      bucket.good += good;
+      pending.set(key, bucket);
+    });
+  }
+};
+
+// Write buffered counts to Redis (one flush at a time)
+const flush = () => {
+  if (!flushing) {
+    flushing = writePending().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+};
+
+definitions.forEach((slo) => {
+  // Export zeros from the start so the recording rules have series to use
+  metrics.sloRequestsTotal.inc({ slo: slo.name }, 0);
+  metrics.sloGoodRequestsTotal.inc({ slo: slo.name }, 0);
+});
+metrics.onRequest(record);
+setInterval(flush, FLUSH_MS).unref();
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+// { total, good } in [from, to): to the minute for recent ranges, to the
+// hour for older ones
+const countBetween = async (slo, from, to, now) => {
+  const resolution = from >= now - MINUTE_RETENTION ? MINUTE : HOUR;
+  const prefix = bucketPrefix(slo, resolution);
+  const keys = [];
+  for (let index = Math.floor(from / resolution); index <= Math.floor(to / resolution); index++) {
+    keys.push(`${prefix}:${index}`);
+  }
+
+  const values = await withTimeout(
+    redis.mGet(keys.flatMap((key) => [`${key}:total`, `${key}:good`])),
+    undefined,
+    'Redis'
+  );
+  const counts = { total: 0, good: 0 };
+  for (let i = 0; i < values.length; i += 2) {
+    counts.total += parseInt(values[i], 10) || 0;
+    counts.good += parseInt(values[i + 1], 10) || 0;
+  }
+  return counts;
+};
+
+// How fast budget is being spent: 1 uses it up exactly over the window
+const burnRate = (slo, { total, good }) => (total > 0 ? (total - good) / total / (1 - slo.objective) : 0);
+
+const describe = async (slo, now) => {
+  const counts = await countBetween(slo, now - slo.windowMs, now, now);
+  const bad = counts.total - counts.good;
+  const allowed = counts.total * (1 - slo.objective);
+
+  const burnRates = await Promise.all(BURN_RATE_WINDOWS
+    .filter(({ long }) => parseWindow(long) <= slo.windowMs)
+    .map(async (pair) => {
+      const [long, short] = await Promise.all([pair.long, pair.short]
+        .map((window) => countBetween(slo, now - parseWindow(window), now, now)));
+      const longRate = burnRate(slo, long);
+      const shortRate = burnRate(slo, short);
+      return {
+        ...pair,
+        longRate: round(longRate),
+        shortRate: round(shortRate),
+        alerting: longRate > pair.threshold && shortRate > pair.threshold,
+      };
+    }));
+
+  return {
+    name: slo.name,
+    description: slo.description,
+    objective: slo.objective,
+    window: slo.window,
+    ...(slo.latencyMs !== undefined && { latencyMs: slo.latencyMs }),
+    sli: {
+      total: counts.total,
+      good: counts.good,
+      ratio: counts.total > 0 ? round(counts.good / counts.total) : null,
+    },
+    // allowed/spent in requests; remaining as a fraction, negative once
+    // the objective is missed
+    errorBudget: {
+      allowed: round(allowed),
+      spent: bad,
+      remaining: allowed > 0 ? round(1 - bad / allowed) : 1,
+    },
+    burnRates,
+  };
+};
+
+// Budget the latest chaos runs used, as a share of each SLO's whole budget
+const runImpact = async (statuses, now) => {
+  const runs = await withTimeout(ExperimentRun.findAll({
+    where: { startedAt: { [Op.ne]: null } },
+    order: [['startedAt', 'DESC']],
+    limit: RECENT_RUNS,
+  }), undefined, 'Database');
+
+  return Promise.all(runs.map(async (run) => {
+    const from = new Date(run.startedAt).getTime();
+    const to = run.endedAt ? new Date(run.endedAt).getTime() : now;
+    const slos = await Promise.all(definitions.map(async (slo, index) => {
+      const counts = await countBetween(slo, from, to, now);
+      const bad = counts.total - counts.good;
+      const { allowed } = statuses[index].errorBudget;
+      return { name: slo.name, total: counts.total, bad, budgetUsed: allowed > 0 ? round(bad / allowed) : 0 };
+    }));
+    return {
+      id: run.id,
+      experiment: run.experiment,
+      type: run.type,
+      hostname: run.hostname,
+      status: run.status,
+      startedAt: run.startedAt,
+      endedAt: run.endedAt,
+      slos,
+    };
+  }));
+};
+
+/**
+ * Every SLO with its error budget and burn rates, and the budget used by
+ * recent chaos runs (null when the database cannot say). Throws when Redis
+ * is unavailable.
+ */
+const getStatus = async () => {
+  if (!redis.isReady) throw new Error('Redis unavailable');
+  await flush();
+
+  const now = Date.now();
+  const slos = await Promise.all(definitions.map((slo) => describe(slo, now)));
+
+  let experiments = null;
+  try {
+    experiments = await runImpact(slos, now);
+  } catch (err) {
+    logger.warn('Could not load chaos runs for the SLO report', { error: err.message });
+  }
+
+  return { generatedAt: new Date(now).toISOString(), slos, experiments };
+};
+
+/**
+ * Prometheus recording rules for the SLIs, error ratio and burn rate over
+ * each alerting window, and the budget left over the SLO window (YAML, for
+ * a rule_files entry).
+ */
+const recordingRules = () => {
+  const lines = [
+    '# Recording rules for the SLOs in src/slo.yaml, from GET /api/slo/rules',
+    'groups:',
+  ];
+  const rule = (record, expr, slo) => lines.push(
+    `      - record: ${record}`,
+    `        expr: '${expr}'`,
+    '        labels:',
+    `          slo: ${slo.name}`
+  );
+
+  definitions.forEach((slo) => {
+    const selector = `job="${PROMETHEUS_JOB}",slo="${slo.name}"`;
+    const budget = round(1 - slo.objective);
+    const windows = new Set([...RULE_WINDOWS.filter((window) => parseWindow(window) <= slo.windowMs), slo.window]);
+
+    lines.push(`  - name: slo-${slo.name}`, '    rules:');
+    rule('slo:objective:ratio', `vector(${slo.objective})`, slo);
+    windows.forEach((window) => {
+      rule(
+        `slo:sli_error:ratio_rate${window}`,
+        `1 - sum(rate(slo_good_requests_total{${selector}}[${window}])) / sum(rate(slo_requests_total{${selector}}[${window}]))`,
+        slo
+      );
+      rule(`slo:burn_rate:rate${window}`, `slo:sli_error:ratio_rate${window}{slo="${slo.name}"} / ${budget}`, slo);
+    });
+    rule('slo:error_budget_remaining:ratio', `1 - slo:burn_rate:rate${slo.window}{slo="${slo.name}"}`, slo);
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = { BURN_RATE_WINDOWS, loadDefinitions, parseWindow, flush, getStatus, recordingRules };
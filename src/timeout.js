@@ -0,0 +1,20 @@
+// Dependency calls (Redis, database) are bounded so a slow backend makes
+// the app answer "degraded" instead of hanging the request.
+const DEPENDENCY_TIMEOUT_MS = parseInt(process.env.DEPENDENCY_TIMEOUT_MS, 10) || 2000;
+
+class TimeoutError extends Error {
+  constructor(label, ms) {
+    super(`${label} did not respond within ${ms}ms`);
+    this.name = 'TimeoutError';
+  }
+}
+
+const withTimeout = (promise, ms = DEPENDENCY_TIMEOUT_MS, label = 'Operation') => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(label, ms)), ms);
+  });
+  return Promise.race([Promise.resolve(promise), timeout]).finally(() => clearTimeout(timer));
+};
+
+module.exports = { withTimeout, TimeoutError, DEPENDENCY_TIMEOUT_MS };
@@ -1,7 +1,8 @@
 const { NodeSDK } = require('@opentelemetry/sdk-node');
 const { getNodeAutoInstrumentations } = require('@opentelemetry/auto-instrumentations-node');
 const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
-const logger = require('./logger');
+const logger = require('./logger').child({ module: 'tracing' });
+const shutdown = require('./shutdown');
 
 // Configure the SDK to export traces to Jaeger via OTLP
 const traceExporter = new OTLPTraceExporter({
@@ -22,12 +23,8 @@ try {
   logger.error('Error initializing OpenTelemetry', error);
 }
 
-// Gracefully shut down the SDK on process exit
-process.on('SIGTERM', () => {
-  sdk.shutdown()
-    .then(() => logger.info('Tracing terminated'))
-    .catch((error) => logger.error('Error terminating tracing', error))
-    .finally(() => process.exit(0));
-});
+// Flush spans once everything else has closed (hooks run newest first and
+// this is registered before anything else)
+shutdown.onShutdown('tracing', () => sdk.shutdown());
 
 module.exports = sdk;
@@ -7,12 +7,63 @@
  */
 
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
 
-// Mock Redis before requiring app
+// Keep the tracked database.sqlite untouched by test runs
+process.env.SQLITE_STORAGE = ':memory:';
+
+// The suite signs in and starts load far more often than a person would;
+// the rate limiters themselves are tested with limiters of their own
+process.env.RATE_LIMIT_ANONYMOUS = '100000';
+process.env.RATE_LIMIT_LOGIN = '100000';
+process.env.RATE_LIMIT_LOAD = '100000';
+
+// Alert notifications go to a stubbed fetch (see Alerting), retried quickly
+process.env.ALERT_WEBHOOK_URLS = 'http://alerts.test/hook?token=secret';
+process.env.ALERT_WEBHOOK_RETRY_MS = '10';
+
+// Mock Redis before requiring app. get/set/incr/del keep values so the token
+// revocation list, login lockout, rate limits and SLO counts behave like the
+// real thing (keys never expire here; eval only knows the rate limiter's
+// script, multi only the commands the SLO counts use).
+const mockRedisStore = new Map();
+const mockIncrBy = (key, increment) => {
+  mockRedisStore.set(key, String((parseInt(mockRedisStore.get(key), 10) || 0) + increment));
+  return Promise.resolve(parseInt(mockRedisStore.get(key), 10));
+};
 jest.mock('../src/redis', () => ({
-  incr: jest.fn().mockResolvedValue(42),
-  get: jest.fn().mockResolvedValue(null),
-  set: jest.fn().mockResolvedValue('OK'),
+  isReady: true,
+  incr: jest.fn((key) => mockIncrBy(key, 1)),
+  incrBy: jest.fn(mockIncrBy),
+  decr: jest.fn((key) => {
+    mockRedisStore.set(key, String((parseInt(mockRedisStore.get(key), 10) || 0) - 1));
+    return Promise.resolve(parseInt(mockRedisStore.get(key), 10));
+  }),
+  eval: jest.fn((script, { keys, arguments: args }) => {
+    mockRedisStore.set(keys[0], String((parseInt(mockRedisStore.get(keys[0]), 10) || 0) + 1));
+    return Promise.resolve([parseInt(mockRedisStore.get(keys[0]), 10), parseInt(args[0], 10)]);
+  }),
+  expire: jest.fn().mockResolvedValue(1),
+  del: jest.fn((keys) => Promise.resolve([].concat(keys).filter((key) => mockRedisStore.delete(key)).length)),
+  ping: jest.fn().mockResolvedValue('PONG'),
+  get: jest.fn((key) => Promise.resolve(mockRedisStore.has(key) ? mockRedisStore.get(key) : null)),
+  mGet: jest.fn((keys) => Promise.resolve(keys.map((key) => (mockRedisStore.has(key) ? mockRedisStore.get(key) : null)))),
+  multi: jest.fn(() => {
+    const queued = [];
+    const transaction = {
+      incrBy: (key, increment) => {
+        queued.push(() => mockIncrBy(key, increment));
+        return transaction;
+      },
+      expire: () => transaction,
+      exec: () => Promise.all(queued.map((command) => command())),
+    };
+    return transaction;
+  }),
+  set: jest.fn((key, value) => {
+    mockRedisStore.set(key, value);
+    return Promise.resolve('OK');
+  }),
   on: jest.fn(),
   connect: jest.fn().mockResolvedValue(undefined),
   disconnect: jest.fn().mockResolvedValue(undefined),
@@ -26,6 +77,69 @@ jest.mock('../src/tracing', () => ({
 
 const app = require('../src/app');
 const redis = require('../src/redis');
+const chaos = require('../src/chaos');
+const loadJobs = require('../src/load/jobs');
+const traffic = require('../src/load/traffic');
+const recoveries = require('../src/recoveries');
+const { sequelize } = require('../src/db');
+const User = require('../src/models/User');
+
+// Chaos and load endpoints need a token with the right role
+let adminToken;
+let viewerToken;
+
+const login = async (username, password) =>
+  (await request(app).post('/api/auth/login').send({ username, password }).expect(200)).body.token;
+
+// Entries the app logs while the calling describe block runs, parsed from
+// their JSON lines; `pick` keeps only part of each
+const captureLogs = (pick = (entry) => entry) => {
+  const { Writable } = require('stream');
+  const winston = require('winston');
+  const logger = require('../src/logger');
+  const captured = [];
+  const capture = new winston.transports.Stream({
+    stream: new Writable({
+      write(chunk, encoding, callback) {
+        captured.push(pick(JSON.parse(chunk)));
+        callback();
+      },
+    }),
+  });
+
+  beforeAll(() => logger.add(capture));
+  afterAll(() => logger.remove(capture));
+  return captured;
+};
+
+// For config loaders (SLOs, alert rules): check(attempt), where
+// attempt(overrides) writes build(overrides) to a scratch YAML file and
+// returns a function that loads it
+const withConfigFile = (load, build, check) => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const YAML = require('yamljs');
+  const file = path.join(os.tmpdir(), `anti-gravity-config-${process.pid}.yaml`);
+  const attempt = (overrides) => {
+    fs.writeFileSync(file, YAML.stringify(build(overrides)));
+    return () => load(file);
+  };
+
+  try {
+    check(attempt);
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+};
+
+beforeAll(async () => {
+  await sequelize.sync();
+  await User.ensureAdmin('test-admin', 'admin-password');
+  await request(app).post('/api/auth/register').send({ username: 'test-viewer', password: 'viewer-password' }).expect(200);
+  adminToken = await login('test-admin', 'admin-password');
+  viewerToken = await login('test-viewer', 'viewer-password');
+});
 
 describe('Anti-Gravity DevOps Platform', () => {
 
@@ -121,13 +235,17 @@ describe('Anti-Gravity DevOps Platform', () => {
       expect(() => new Date(response.body.timestamp)).not.toThrow();
     });
 
-    it('should include survivorCount from Redis', async () => {
+    it('should include survivorCount from Redis without counting the probe', async () => {
+      redis.get.mockResolvedValueOnce('42');
+      redis.incr.mockClear();
+
       const response = await request(app)
         .get('/health')
         .expect(200);
 
       expect(response.body).toHaveProperty('survivorCount', 42);
-      expect(redis.incr).toHaveBeenCalledWith('survivor_count');
+      expect(redis.get).toHaveBeenCalledWith('survivor_count');
+      expect(redis.incr).not.toHaveBeenCalled();
     });
 
     it('should include health checks info', async () => {
@@ -141,7 +259,7 @@ describe('Anti-Gravity DevOps Platform', () => {
     });
 
     it('should handle Redis errors gracefully', async () => {
-      redis.incr.mockRejectedValueOnce(new Error('Redis unavailable'));
+      redis.get.mockRejectedValueOnce(new Error('Redis unavailable'));
 
       const response = await request(app)
         .get('/health')
@@ -151,6 +269,32 @@ describe('Anti-Gravity DevOps Platform', () => {
       expect(response.body.status).toBe('healthy');
       expect(response.body.survivorCount).toBe(0);
     });
+
+    it('should report each dependency check with its latency', async () => {
+      const response = await request(app)
+        .get('/health')
+        .expect(200);
+
+      expect(response.body.checks.database).toBe('ok');
+      expect(response.body.checks.redis).toBe('ok');
+      expect(response.body.dependencies.database).toMatchObject({ status: 'ok', critical: true });
+      expect(response.body.dependencies.redis).toMatchObject({ status: 'ok', critical: false });
+      expect(typeof response.body.dependencies.redis.latencyMs).toBe('number');
+      expect(response.body.degraded).toEqual([]);
+    });
+
+    it('should stay up but report degraded when Redis is unreachable', async () => {
+      redis.ping.mockRejectedValueOnce(new Error('Redis unavailable'));
+
+      const response = await request(app)
+        .get('/health')
+        .expect(200);
+
+      expect(response.body.status).toBe('degraded');
+      expect(response.body.checks.redis).toBe('unavailable');
+      expect(response.body.dependencies.redis.error).toBe('Redis unavailable');
+      expect(response.body.degraded).toEqual(['redis']);
+    });
   });
 
   // ============================================================================
@@ -158,42 +302,183 @@ describe('Anti-Gravity DevOps Platform', () => {
   // ============================================================================
   
   describe('GET /load', () => {
-    it('should complete load test and return status', async () => {
+    const waitForJob = async (id, status) => {
+      for (let i = 0; i < 50; i++) {
+        const response = await request(app).get(`/load/jobs/${id}`).expect(200);
+        if (response.body.status === status) return response.body;
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      throw new Error(`Job ${id} never reached ${status}`);
+    };
+
+    afterEach(() => loadJobs.cancelAll());
+
+    it('should start a load job and return its id immediately', async () => {
       const response = await request(app)
-        .get('/load?duration=1')
+        .get('/load?duration=1').set('x-auth-token', adminToken)
         .expect('Content-Type', /json/)
-        .expect(200);
+        .expect(202);
       
-      expect(response.body.status).toBe('completed');
+      expect(response.body.status).toBe('running');
       expect(response.body).toHaveProperty('hostname');
-      expect(response.body).toHaveProperty('iterations');
-    }, 10000);
+      expect(response.body).toHaveProperty('jobId');
+    });
 
-    it('should respect duration parameter', async () => {
+    it('should respect duration parameter and report results', async () => {
       const duration = 1;
       const response = await request(app)
-        .get(`/load?duration=${duration}`)
-        .expect(200);
+        .get(`/load?duration=${duration}&cpu=50`).set('x-auth-token', adminToken)
+        .expect(202);
       
       expect(response.body.requestedDuration).toBe(duration);
-      expect(response.body.actualDuration).toBeGreaterThanOrEqual(duration - 0.5);
+      expect(response.body.cpuPercent).toBe(50);
+
+      const job = await waitForJob(response.body.jobId, 'completed');
+      expect(job.progress).toBe(100);
+      expect(job.iterations).toBeGreaterThan(0);
+      expect(job.elapsed).toBeGreaterThanOrEqual(duration - 0.5);
     }, 10000);
 
     it('should default to 5 seconds if no duration provided', async () => {
       const response = await request(app)
-        .get('/load?duration=1')
-        .expect(200);
+        .get('/load').set('x-auth-token', adminToken)
+        .expect(202);
       
-      expect(response.body.requestedDuration).toBe(1);
-    }, 10000);
+      expect(response.body.requestedDuration).toBe(5);
+      expect(response.body.cores).toBe(1);
+    });
 
-    it('should cap duration at 30 seconds', async () => {
+    it('should cap duration at the configured maximum', async () => {
       const response = await request(app)
-        .get('/load?duration=1')
-        .expect(200);
+        .get('/load?duration=100000').set('x-auth-token', adminToken)
+        .expect(202);
       
-      expect(response.body).toHaveProperty('requestedDuration');
+      expect(response.body.requestedDuration).toBe(loadJobs.MAX_DURATION);
+    });
+
+    it('should keep answering health checks while load runs', async () => {
+      await request(app).get('/load?duration=3').set('x-auth-token', adminToken).expect(202);
+
+      const start = Date.now();
+      await request(app).get('/health').expect(200);
+      expect(Date.now() - start).toBeLessThan(1000);
+    });
+
+    it('should cancel a running job', async () => {
+      const response = await request(app).get('/load?duration=30').set('x-auth-token', adminToken).expect(202);
+
+      const cancelled = await request(app)
+        .delete(`/load/jobs/${response.body.jobId}`).set('x-auth-token', adminToken)
+        .expect(200);
+      expect(cancelled.body.status).toBe('cancelled');
+
+      const jobs = await request(app).get('/load/jobs').expect(200);
+      expect(jobs.body[0].id).toBe(response.body.jobId);
+    });
+
+    it('should fail a job whose worker exits without finishing', async () => {
+      const EventEmitter = require('events');
+      const { Worker } = require('worker_threads');
+      // Catches the job's worker as it subscribes to its events
+      const started = new Set();
+      const on = jest.spyOn(Worker.prototype, 'on').mockImplementation(function (...args) {
+        started.add(this);
+        return EventEmitter.prototype.on.apply(this, args);
+      });
+
+      let response;
+      try {
+        response = await request(app).get('/load?duration=30').set('x-auth-token', adminToken).expect(202);
+      } finally {
+        on.mockRestore();
+      }
+      await [...started][0].terminate();
+
+      const job = await waitForJob(response.body.jobId, 'failed');
+      expect(job.error).toMatch(/exited with code \d+ before finishing/);
+    });
+
+    it('should return 404 for unknown jobs', async () => {
+      await request(app).get('/load/jobs/does-not-exist').expect(404);
+    });
+  });
+
+  describe('HTTP traffic generator', () => {
+    let server;
+    let targetUrl;
+
+    beforeAll((done) => {
+      server = app.listen(0, '127.0.0.1', () => {
+        targetUrl = `http://127.0.0.1:${server.address().port}/ready`;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      traffic.cancelAll();
+      server.close(done);
+    });
+
+    const waitForRun = async (id) => {
+      for (let i = 0; i < 40; i++) {
+        const response = await request(app).get(`/load/traffic/${id}`).expect(200);
+        if (response.body.status !== 'running') return response.body;
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      throw new Error(`Traffic run ${id} never finished`);
+    };
+
+    it('should send traffic and store a latency report', async () => {
+      const started = await request(app)
+        .post('/load/traffic').set('x-auth-token', adminToken)
+        .send({ targetUrl, profile: { type: 'constant', rps: 20 }, concurrency: 5, duration: 1 })
+        .expect(202);
+      expect(started.body.status).toBe('running');
+
+      const run = await waitForRun(started.body.id);
+      expect(run.status).toBe('completed');
+      expect(run.results.requests).toBeGreaterThan(10);
+      expect(run.results.errorRate).toBe(0);
+      expect(run.results.statusCodes['200']).toBe(run.results.requests);
+      expect(run.results.latencyMs.p50).toBeLessThanOrEqual(run.results.latencyMs.p95);
+      expect(run.results.latencyMs.p95).toBeLessThanOrEqual(run.results.latencyMs.p99);
+
+      const history = await request(app).get('/load/traffic').expect(200);
+      expect(history.body[0].id).toBe(started.body.id);
+    }, 10000);
+
+    it('should cancel a running traffic run', async () => {
+      const started = await request(app)
+        .post('/load/traffic').set('x-auth-token', adminToken)
+        .send({ targetUrl, profile: { type: 'ramp', startRps: 1, endRps: 10 }, concurrency: 2, duration: 30 })
+        .expect(202);
+
+      await request(app).delete(`/load/traffic/${started.body.id}`).set('x-auth-token', adminToken).expect(200);
+      const run = await waitForRun(started.body.id);
+      expect(run.status).toBe('cancelled');
     }, 10000);
+
+    it('should reject invalid targets and profiles', async () => {
+      await request(app)
+        .post('/load/traffic').set('x-auth-token', adminToken)
+        .send({ targetUrl: 'ftp://example.com', profile: { type: 'constant', rps: 1 } })
+        .expect(400);
+      await request(app)
+        .post('/load/traffic').set('x-auth-token', adminToken)
+        .send({ targetUrl, profile: { type: 'tsunami' } })
+        .expect(400);
+    });
+
+    it('should follow the spike profile and compute percentiles', () => {
+      const spike = { type: 'spike', baseRps: 5, spikeRps: 50, spikeAt: 10, spikeDuration: 5 };
+      expect(traffic.rateAt(spike, 9, 30)).toBe(5);
+      expect(traffic.rateAt(spike, 12, 30)).toBe(50);
+      expect(traffic.rateAt({ type: 'ramp', startRps: 0, endRps: 100 }, 15, 30)).toBe(50);
+
+      const sorted = Float64Array.from({ length: 100 }, (_, i) => i + 1);
+      expect(traffic.percentile(sorted, 50)).toBe(50);
+      expect(traffic.percentile(sorted, 99)).toBe(99);
+    });
   });
 
   // ============================================================================
@@ -226,6 +511,43 @@ describe('Anti-Gravity DevOps Platform', () => {
       expect(response.text).toContain('nodejs_');
       expect(response.text).toContain('process_');
     });
+
+    it('should label requests with the route template, not the raw path', async () => {
+      await request(app).get('/load/jobs/no-such-job').expect(404);
+      await request(app).get('/no/such/page/42').expect(404);
+      await request(app).get('/api/auth/me').expect(401);
+
+      const { text } = await request(app).get('/metrics').expect(200);
+      expect(text).toMatch(/http_requests_total\{method="GET",route="\/load\/jobs\/:id",status="404"\} \d+/);
+      expect(text).toMatch(/http_requests_total\{method="GET",route="unmatched",status="404"\} \d+/);
+      expect(text).toMatch(/http_requests_total\{method="GET",route="\/api\/auth\/me",status="401"\} \d+/);
+      expect(text).not.toContain('no-such-job');
+      expect(text).not.toContain('/no/such/page');
+    });
+
+    it('should count sign-ins, refused sign-ins, registrations and chaos actions', async () => {
+      const { text: before } = await request(app).get('/metrics');
+      const count = (text, series) => {
+        const line = text.split('\n').find((entry) => entry.startsWith(`${series} `));
+        return line ? Number(line.split(' ')[1]) : 0;
+      };
+
+      await request(app).post('/api/auth/register').send({ username: 'metrics-user', password: 'metrics-password' }).expect(200);
+      await login('metrics-user', 'metrics-password');
+      await request(app).post('/api/auth/login').send({ username: 'metrics-user', password: 'wrong-password' }).expect(400);
+      await request(app).post('/chaos/faults').set('x-auth-token', adminToken).send({ path: '/nowhere', status: 503 }).expect(201);
+      await request(app).delete('/chaos/faults').set('x-auth-token', adminToken).expect(200);
+      // Refused actions are not counted
+      await request(app).post('/chaos/faults').set('x-auth-token', viewerToken).send({ path: '/nowhere', status: 503 }).expect(403);
+
+      const { text: after } = await request(app).get('/metrics');
+      const delta = (series) => count(after, series) - count(before, series);
+      expect(delta('auth_registrations_total')).toBe(1);
+      expect(delta('auth_logins_total{method="password"}')).toBe(1);
+      expect(delta('auth_login_failures_total{reason="invalid_credentials"}')).toBe(1);
+      expect(delta('chaos_actions_total{action="fault_add"}')).toBe(1);
+      expect(delta('chaos_actions_total{action="fault_remove"}')).toBe(1);
+    });
   });
 
   // ============================================================================
@@ -250,6 +572,34 @@ describe('Anti-Gravity DevOps Platform', () => {
       expect(response.body).toHaveProperty('hostname');
       expect(response.body).toHaveProperty('timestamp');
     });
+
+    it('should stay ready when only a non-critical check fails', async () => {
+      redis.ping.mockRejectedValueOnce(new Error('Redis unavailable'));
+
+      const response = await request(app)
+        .get('/ready')
+        .expect(200);
+
+      expect(response.body.ready).toBe(true);
+      expect(response.body.degraded).toEqual(['redis']);
+    });
+
+    it('should return 503 when a critical check fails or times out', async () => {
+      const health = require('../src/health');
+      health.registerCheck('slow-dependency', () => new Promise(() => {}), { timeoutMs: 50 });
+
+      try {
+        const response = await request(app)
+          .get('/ready')
+          .expect(503);
+
+        expect(response.body.ready).toBe(false);
+        expect(response.body.checks['slow-dependency'].status).toBe('timeout');
+        expect(response.body.failedCritical).toEqual(['slow-dependency']);
+      } finally {
+        health.unregisterCheck('slow-dependency');
+      }
+    });
   });
 
   // ============================================================================
@@ -262,7 +612,7 @@ describe('Anti-Gravity DevOps Platform', () => {
       const mockExit = jest.spyOn(process, 'exit').mockImplementation(() => {});
 
       const response = await request(app)
-        .post('/chaos/kill')
+        .post('/chaos/kill').set('x-auth-token', adminToken)
         .expect('Content-Type', /json/)
         .expect(200);
 
@@ -277,54 +627,1692 @@ describe('Anti-Gravity DevOps Platform', () => {
     });
   });
 
-  // ============================================================================
-  // ERROR HANDLING TESTS
-  // ============================================================================
-  
-  describe('Error Handling', () => {
-    it('should return 404 for unknown routes', async () => {
-      const response = await request(app)
-        .get('/unknown-route')
-        .expect('Content-Type', /json/)
-        .expect(404);
-      
-      expect(response.body).toHaveProperty('error', 'Not Found');
-      expect(response.body).toHaveProperty('availableEndpoints');
+  describe('Access control', () => {
+    it('should reject anonymous chaos and load requests', async () => {
+      const mockExit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+
+      await request(app).post('/chaos/kill').expect(401);
+      await request(app).get('/load?duration=1').expect(401);
+      await request(app).post('/chaos/faults').send({ path: '*', status: 503 }).expect(401);
+
+      await new Promise(resolve => setTimeout(resolve, 150));
+      expect(mockExit).not.toHaveBeenCalled();
+      mockExit.mockRestore();
     });
 
-    it('should return helpful message for 404 errors', async () => {
-      const response = await request(app)
-        .get('/some/random/path')
-        .expect(404);
-      
-      expect(response.body.message).toContain('/some/random/path');
+    it('should forbid viewers from destructive endpoints but allow reads', async () => {
+      const denied = await request(app).post('/chaos/kill').set('x-auth-token', viewerToken).expect(403);
+      expect(denied.body.msg).toMatch(/chaos:run/);
+
+      await request(app).get('/load').set('x-auth-token', viewerToken).expect(403);
+      await request(app).get('/chaos/experiments').expect(200);
+      await request(app).get('/api/logs').set('x-auth-token', viewerToken).expect(200);
+      await request(app).get('/api/logs').expect(401);
+    });
+
+    it('should not let callers register themselves as admin', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'wannabe-admin', password: 'password123', role: 'admin' })
+        .expect(403);
+
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'plain-viewer', password: 'password123' })
+        .expect(200);
+      expect(registered.body.role).toBe('viewer');
+      expect(registered.body.permissions).not.toContain('chaos:run');
+    });
+
+    it('should report the current user permissions', async () => {
+      const me = await request(app).get('/api/auth/me').set('x-auth-token', adminToken).expect(200);
+      expect(me.body.role).toBe('admin');
+      expect(me.body.permissions).toEqual(expect.arrayContaining(['chaos:run', 'load:run']));
+      expect(me.body).not.toHaveProperty('password');
     });
   });
-});
 
-// ============================================================================
-// INTEGRATION TESTS
-// ============================================================================
+  describe('Sessions', () => {
+    const loginAs = (username, password) =>
+      request(app).post('/api/auth/login').send({ username, password }).expect(200);
 
-describe('Integration Tests', () => {
-  it('should handle multiple concurrent requests', async () => {
-    const requests = Array(5).fill(null).map(() => 
-      request(app).get('/health')
-    );
-    
-    const responses = await Promise.all(requests);
-    
-    responses.forEach(response => {
-      expect(response.status).toBe(200);
-      expect(response.body.status).toBe('healthy');
+    it('should issue short-lived access tokens with a refresh token', async () => {
+      const session = await loginAs('test-viewer', 'viewer-password');
+
+      expect(session.body.expiresIn).toBe(900);
+      expect(typeof session.body.refreshToken).toBe('string');
+      const { exp, iat, jti } = jwt.decode(session.body.token);
+      expect(exp - iat).toBe(900);
+      expect(jti).toBeDefined();
+    });
+
+    it('should rotate refresh tokens and revoke the session on reuse', async () => {
+      const session = await loginAs('test-viewer', 'viewer-password');
+
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.body.refreshToken })
+        .expect(200);
+      expect(rotated.body.refreshToken).not.toBe(session.body.refreshToken);
+      await request(app).get('/api/auth/me').set('x-auth-token', rotated.body.token).expect(200);
+
+      // The first token was already exchanged: someone copied it
+      await request(app).post('/api/auth/refresh').send({ refreshToken: session.body.refreshToken }).expect(401);
+      await request(app).post('/api/auth/refresh').send({ refreshToken: rotated.body.refreshToken }).expect(401);
+    });
+
+    it('should revoke the access token and refresh session on logout', async () => {
+      const session = await loginAs('test-viewer', 'viewer-password');
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('x-auth-token', session.body.token)
+        .send({ refreshToken: session.body.refreshToken })
+        .expect(200);
+
+      const me = await request(app).get('/api/auth/me').set('x-auth-token', session.body.token).expect(401);
+      expect(me.body.msg).toBe('Token has been revoked');
+      await request(app).post('/api/auth/refresh').send({ refreshToken: session.body.refreshToken }).expect(401);
+    });
+
+    it('should refuse long-lived tokens without a token id', async () => {
+      const legacy = jwt.sign({ user: { id: 1, role: 'admin' } }, 'dev-secret-key', { expiresIn: 360000 });
+      await request(app).post('/chaos/faults').set('x-auth-token', legacy).send({ path: '*', status: 503 }).expect(401);
     });
   });
 
-  it('should track request metrics correctly', async () => {
-    await request(app).get('/health');
-    await request(app).get('/ready');
-    
-    const metricsResponse = await request(app).get('/metrics');
-    expect(metricsResponse.text).toContain('http_requests_total');
+  describe('API keys', () => {
+    const createKey = (token, body) =>
+      request(app).post('/api/keys').set('x-auth-token', token).send(body);
+
+    afterEach(() => loadJobs.cancelAll());
+
+    it('should show the key once and accept it within its scopes', async () => {
+      const created = await createKey(adminToken, { name: 'ci-load', scopes: ['load:run'], expiresInDays: 30 }).expect(201);
+      expect(created.body.key).toMatch(/^agk_/);
+      expect(created.body.scopes).toEqual(['load:run']);
+
+      await request(app).get('/load?duration=1').set('x-api-key', created.body.key).expect(202);
+      const denied = await request(app).post('/chaos/kill').set('x-api-key', created.body.key).expect(403);
+      expect(denied.body.msg).toMatch(/scope/);
+
+      const listed = await request(app).get('/api/keys').set('x-auth-token', adminToken).expect(200);
+      const listedKey = listed.body.find((key) => key.id === created.body.id);
+      expect(listedKey).not.toHaveProperty('key');
+      expect(listedKey).not.toHaveProperty('keyHash');
+      expect(listedKey.lastUsedAt).not.toBeNull();
+    });
+
+    it('should stop accepting revoked and expired keys', async () => {
+      const revoked = await createKey(adminToken, { name: 'short-lived', scopes: ['logs:read'] }).expect(201);
+      await request(app).get('/api/logs').set('x-api-key', revoked.body.key).expect(200);
+      await request(app).delete(`/api/keys/${revoked.body.id}`).set('x-auth-token', adminToken).expect(200);
+      await request(app).get('/api/logs').set('x-api-key', revoked.body.key).expect(401);
+
+      const expired = await createKey(adminToken, { name: 'expired', scopes: ['logs:read'] }).expect(201);
+      await sequelize.models.ApiKey.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { id: expired.body.id } });
+      await request(app).get('/api/logs').set('x-api-key', expired.body.key).expect(401);
+    });
+
+    it('should only grant scopes the owner has and keep keys from managing keys', async () => {
+      await createKey(viewerToken, { name: 'sneaky', scopes: ['chaos:run'] }).expect(400);
+      await createKey(viewerToken, { name: 'no-scopes', scopes: [] }).expect(400);
+
+      const viewerKey = await createKey(viewerToken, { name: 'reader', scopes: ['logs:read'] }).expect(201);
+      await request(app).get('/api/keys').set('x-api-key', viewerKey.body.key).expect(403);
+      // Viewers cannot revoke other people's keys
+      const adminKey = await createKey(adminToken, { name: 'admin-only', scopes: ['chaos:run'] }).expect(201);
+      await request(app).delete(`/api/keys/${adminKey.body.id}`).set('x-auth-token', viewerToken).expect(404);
+    });
+  });
+
+  describe('Login lockout and password policy', () => {
+    const attempt = (username, password) =>
+      request(app).post('/api/auth/login').send({ username, password });
+
+    // Failures also count against the test client's IP
+    afterEach(() => {
+      [...mockRedisStore.keys()].filter((key) => key.startsWith('login:')).forEach((key) => mockRedisStore.delete(key));
+    });
+
+    it('should back off and then lock a username after repeated failures', async () => {
+      await request(app).post('/api/auth/register').send({ username: 'guessed-user', password: 'guessed-password' }).expect(200);
+
+      for (let i = 0; i < 5; i++) {
+        const free = await attempt('guessed-user', 'wrong-password').expect(400);
+        expect(free.body.retryAfter).toBeUndefined();
+      }
+      const backoff = await attempt('guessed-user', 'wrong-password').expect(400);
+      expect(backoff.body.retryAfter).toBe(1);
+
+      // Even the right password waits out the block
+      const blocked = await attempt('guessed-user', 'guessed-password').expect(429);
+      expect(blocked.headers['retry-after']).toBeDefined();
+      expect(blocked.body.msg).toMatch(/Too many failed login attempts/);
+
+      // Jump to the threshold: the account is locked for the full period
+      mockRedisStore.set('login:failures:user:guessed-user', '9');
+      mockRedisStore.delete('login:blocked:user:guessed-user');
+      const locked = await attempt('guessed-user', 'wrong-password').expect(400);
+      expect(locked.body.retryAfter).toBe(900);
+      await attempt('guessed-user', 'guessed-password').expect(429);
+    });
+
+    it('should let only one of several parallel attempts reach the threshold', async () => {
+      await request(app).post('/api/auth/register').send({ username: 'raced-user', password: 'raced-password' }).expect(200);
+      mockRedisStore.set('login:failures:user:raced-user', '9');
+
+      const attempts = await Promise.all([1, 2, 3, 4, 5].map(() => attempt('raced-user', 'wrong-password')));
+      expect(attempts.map((res) => res.status).sort()).toEqual([400, 429, 429, 429, 429]);
+      await attempt('raced-user', 'raced-password').expect(429);
+    });
+
+    it('should keep counting failures in memory while Redis is down', async () => {
+      await request(app).post('/api/auth/register').send({ username: 'offline-user', password: 'offline-password' }).expect(200);
+      redis.isReady = false;
+      try {
+        for (let i = 0; i < 5; i++) await attempt('offline-user', 'wrong-password').expect(400);
+        const backoff = await attempt('offline-user', 'wrong-password').expect(400);
+        expect(backoff.body.retryAfter).toBe(1);
+        await attempt('offline-user', 'offline-password').expect(429);
+        expect([...mockRedisStore.keys()].filter((key) => key.includes('offline-user'))).toEqual([]);
+      } finally {
+        redis.isReady = true;
+      }
+    });
+
+    it('should reset the username count on success', async () => {
+      await attempt('test-viewer', 'wrong-password').expect(400);
+      expect(mockRedisStore.get('login:failures:user:test-viewer')).toBe('1');
+
+      await attempt('test-viewer', 'viewer-password').expect(200);
+      expect(mockRedisStore.has('login:failures:user:test-viewer')).toBe(false);
+    });
+
+    it('should list every rule a new password breaks', async () => {
+      const policy = await request(app).get('/api/auth/password-policy').expect(200);
+      expect(policy.body.minLength).toBe(10);
+
+      const empty = await request(app).post('/api/auth/register').send({ username: 'weak-user', password: '' }).expect(400);
+      expect(empty.body.errors).toEqual(['Password is required']);
+
+      const weak = await request(app).post('/api/auth/register').send({ username: 'weak-user', password: 'weak-user' }).expect(400);
+      expect(weak.body.errors).toEqual([
+        'Password must be at least 10 characters',
+        'Password must not contain the username',
+      ]);
+    });
+
+    it('should enforce the policy when changing a password', async () => {
+      await request(app).post('/api/auth/register').send({ username: 'changing-user', password: 'original-password' }).expect(200);
+      const token = await login('changing-user', 'original-password');
+      const change = (body) => request(app).post('/api/auth/password').set('x-auth-token', token).send(body);
+
+      await change({ currentPassword: 'not-my-password', newPassword: 'another-password' }).expect(400);
+      const weak = await change({ currentPassword: 'original-password', newPassword: 'short' }).expect(400);
+      expect(weak.body.errors).toContain('Password must be at least 10 characters');
+
+      const changed = await change({ currentPassword: 'original-password', newPassword: 'another-password' }).expect(200);
+      await request(app).get('/api/auth/me').set('x-auth-token', token).expect(401);
+      await request(app).get('/api/auth/me').set('x-auth-token', changed.body.token).expect(200);
+      await login('changing-user', 'another-password');
+    });
+  });
+
+  describe('Rate limiting', () => {
+    const express = require('express');
+    const { createLimiter } = require('../src/middleware/rateLimit');
+
+    const limitedApp = (limiter) => express().use(limiter).get('/', (req, res) => res.json({ ok: true }));
+    const counters = (prefix) => [...mockRedisStore.keys()].filter((key) => key.startsWith(prefix));
+
+    it('should give anonymous callers, users and API keys separate budgets in Redis', async () => {
+      const limited = limitedApp(createLimiter('test-budgets', { anonymous: 2, authenticated: 3, apiKey: 4 }));
+      const created = await request(app).post('/api/keys').set('x-auth-token', adminToken).send({ name: 'rate-limited', scopes: ['logs:read'] }).expect(201);
+      const adminId = jwt.decode(adminToken).user.id;
+
+      await request(limited).get('/').expect(200);
+      await request(limited).get('/').expect(200);
+      const refused = await request(limited).get('/').expect(429);
+      expect(refused.body.error).toBe('Too Many Requests');
+      expect(refused.body.retryAfter).toBeGreaterThan(0);
+      expect(refused.headers['retry-after']).toBeDefined();
+      // A made-up token does not earn a fresh budget
+      await request(limited).get('/').set('x-auth-token', 'not-a-token').expect(429);
+
+      for (let i = 0; i < 3; i++) await request(limited).get('/').set('x-auth-token', adminToken).expect(200);
+      await request(limited).get('/').set('x-auth-token', adminToken).expect(429);
+
+      for (let i = 0; i < 4; i++) await request(limited).get('/').set('x-api-key', created.body.key).expect(200);
+      await request(limited).get('/').set('x-api-key', created.body.key).expect(429);
+
+      expect(mockRedisStore.get(`ratelimit:test-budgets:user:${adminId}`)).toBe('4');
+      expect(mockRedisStore.get(`ratelimit:test-budgets:key:${created.body.id}`)).toBe('5');
+    });
+
+    it('should apply the login and load limits per route', async () => {
+      await login('test-viewer', 'viewer-password');
+      expect(counters('ratelimit:login:ip:')).toHaveLength(1);
+
+      await request(app).get('/load?duration=1').set('x-auth-token', adminToken).expect(202);
+      expect(mockRedisStore.has(`ratelimit:load:user:${jwt.decode(adminToken).user.id}`)).toBe(true);
+      loadJobs.cancelAll();
+    });
+
+    it('should keep limiting in memory while Redis is unavailable', async () => {
+      const limited = limitedApp(createLimiter('test-fallback', 1));
+      redis.isReady = false;
+      try {
+        await request(limited).get('/').expect(200);
+        await request(limited).get('/').expect(429);
+      } finally {
+        redis.isReady = true;
+      }
+      expect(counters('ratelimit:test-fallback:')).toHaveLength(0);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    const totp = require('../src/auth/totp');
+    const THIRTY_SECONDS = 30 * 1000;
+
+    it('should enroll, then require a code or a recovery code at login', async () => {
+      await User.ensureAdmin('mfa-admin', 'second-factor-pw');
+      const token = await login('mfa-admin', 'second-factor-pw');
+      const post = (path, body) => request(app).post(`/api/auth/2fa/${path}`).set('x-auth-token', token).send(body);
+
+      const { body: { secret, otpauthUri } } = await post('setup').expect(200);
+      expect(otpauthUri).toMatch(/^otpauth:\/\/totp\/Anti-Gravity%3Amfa-admin\?secret=/);
+      await post('enable', { code: '000000' }).expect(400);
+      const enabled = await post('enable', { code: totp.generateCode(secret) }).expect(200);
+      expect(enabled.body.recoveryCodes).toHaveLength(10);
+
+      const first = await request(app).post('/api/auth/login').send({ username: 'mfa-admin', password: 'second-factor-pw' }).expect(200);
+      expect(first.body).toMatchObject({ twoFactorRequired: true });
+      expect(first.body.token).toBeUndefined();
+
+      const verify = (body) => request(app).post('/api/auth/2fa/verify').send({ challenge: first.body.challenge, ...body });
+      await verify({ code: '000000' }).expect(400);
+      // The enrollment code was already used; the next step's code is fresh
+      const session = await verify({ code: totp.generateCode(secret, Date.now() + THIRTY_SECONDS) }).expect(200);
+      const me = await request(app).get('/api/auth/me').set('x-auth-token', session.body.token).expect(200);
+      expect(me.body.twoFactorEnabled).toBe(true);
+      expect(me.body).not.toHaveProperty('totpSecret');
+
+      // Recovery codes work once, in any case or spacing
+      const [recoveryCode] = enabled.body.recoveryCodes;
+      await verify({ recoveryCode: recoveryCode.toUpperCase() }).expect(200);
+      await verify({ recoveryCode }).expect(400);
+
+      await post('disable', { password: 'wrong', recoveryCode: enabled.body.recoveryCodes[1] }).expect(400);
+      await post('disable', { password: 'second-factor-pw', recoveryCode: enabled.body.recoveryCodes[1] }).expect(200);
+      await login('mfa-admin', 'second-factor-pw');
+    });
+
+    it('should cap the codes tried per challenge and reset the lockout only after both factors', async () => {
+      await User.ensureAdmin('mfa-guessed', 'second-factor-pw');
+      const token = await login('mfa-guessed', 'second-factor-pw');
+      const post = (path, body) => request(app).post(`/api/auth/2fa/${path}`).set('x-auth-token', token).send(body);
+      const { body: { secret } } = await post('setup').expect(200);
+      await post('enable', { code: totp.generateCode(secret) }).expect(200);
+      const challenge = async () =>
+        (await request(app).post('/api/auth/login').send({ username: 'mfa-guessed', password: 'second-factor-pw' }).expect(200)).body.challenge;
+      const freshCode = totp.generateCode(secret, Date.now() + THIRTY_SECONDS);
+
+      try {
+        const guessed = await challenge();
+        for (let i = 0; i < 5; i++) {
+          await request(app).post('/api/auth/2fa/verify').send({ challenge: guessed, code: '000000' }).expect(400);
+        }
+        const spent = await request(app).post('/api/auth/2fa/verify').send({ challenge: guessed, code: freshCode }).expect(401);
+        expect(spent.body.msg).toMatch(/Too many codes/);
+
+        // The password alone does not clear the failed codes
+        const next = await challenge();
+        expect(mockRedisStore.get('login:failures:user:mfa-guessed')).toBe('5');
+        await request(app).post('/api/auth/2fa/verify').send({ challenge: next, code: freshCode }).expect(200);
+        expect(mockRedisStore.has('login:failures:user:mfa-guessed')).toBe(false);
+      } finally {
+        [...mockRedisStore.keys()].filter((key) => key.startsWith('login:')).forEach((key) => mockRedisStore.delete(key));
+      }
+    });
+
+    it('should accept a code only once when two requests race with it', async () => {
+      const twoFactor = require('../src/auth/twoFactor');
+      await User.ensureAdmin('mfa-raced', 'second-factor-pw');
+      const token = await login('mfa-raced', 'second-factor-pw');
+      const post = (path, body) => request(app).post(`/api/auth/2fa/${path}`).set('x-auth-token', token).send(body);
+      const { body: { secret } } = await post('setup').expect(200);
+      const { body: { recoveryCodes } } = await post('enable', { code: totp.generateCode(secret) }).expect(200);
+
+      // Two copies of the user, as two requests would each load one
+      const copies = () => Promise.all([1, 2].map(() => User.findOne({ where: { username: 'mfa-raced' } })));
+      const code = totp.generateCode(secret, Date.now() + THIRTY_SECONDS);
+      const byCode = await Promise.all((await copies()).map((user) => twoFactor.verify(user, { code })));
+      expect(byCode.sort()).toEqual([false, true]);
+
+      const byRecoveryCode = await Promise.all((await copies()).map((user) => twoFactor.verify(user, { recoveryCode: recoveryCodes[0] })));
+      expect(byRecoveryCode.sort()).toEqual([false, true]);
+      expect((await User.findOne({ where: { username: 'mfa-raced' } })).recoveryCodes).toHaveLength(9);
+    });
+
+    it('should limit the codes tried to change two-factor settings', async () => {
+      await User.ensureAdmin('mfa-settings', 'second-factor-pw');
+      const token = await login('mfa-settings', 'second-factor-pw');
+      const post = (path, body) => request(app).post(`/api/auth/2fa/${path}`).set('x-auth-token', token).send(body);
+      const { body: { secret } } = await post('setup').expect(200);
+      await post('enable', { code: totp.generateCode(secret) }).expect(200);
+
+      try {
+        for (let i = 0; i < 3; i++) await post('recovery-codes', { code: '000000' }).expect(400);
+        for (let i = 0; i < 2; i++) await post('disable', { password: 'second-factor-pw', code: '000000' }).expect(400);
+        const limited = await post('recovery-codes', { code: totp.generateCode(secret, Date.now() + THIRTY_SECONDS) }).expect(429);
+        expect(limited.body.msg).toMatch(/Too many codes tried/);
+        await post('disable', { password: 'second-factor-pw', code: totp.generateCode(secret, Date.now() + THIRTY_SECONDS) }).expect(429);
+      } finally {
+        [...mockRedisStore.keys()].filter((key) => key.startsWith('login:')).forEach((key) => mockRedisStore.delete(key));
+      }
+    });
+
+    it('should refuse forged challenges and API keys', async () => {
+      await request(app).post('/api/auth/2fa/verify').send({ challenge: 'forged', code: '123456' }).expect(401);
+      // An access token is not a challenge
+      await request(app).post('/api/auth/2fa/verify').send({ challenge: adminToken, code: '123456' }).expect(401);
+
+      const key = await request(app).post('/api/keys').set('x-auth-token', adminToken).send({ name: '2fa', scopes: ['logs:read'] }).expect(201);
+      await request(app).post('/api/auth/2fa/setup').set('x-api-key', key.body.key).expect(403);
+    });
+  });
+
+  describe('Single sign-on (OIDC)', () => {
+    const http = require('http');
+    const crypto = require('crypto');
+    const express = require('express');
+    const totp = require('../src/auth/totp');
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    let idp;
+    let issuer;
+    let groups;
+    const authorizations = new Map();
+
+    // A minimal identity provider: discovery, keys and a token endpoint that
+    // checks the PKCE verifier against the challenge from the authorize URL
+    beforeAll((done) => {
+      const mock = express();
+      mock.use(express.urlencoded({ extended: false }));
+      mock.get('/.well-known/openid-configuration', (req, res) => res.json({
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+      }));
+      mock.get('/jwks', (req, res) => res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig' }] }));
+      mock.post('/token', (req, res) => {
+        const authorization = authorizations.get(req.body.code);
+        const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+        if (!authorization || challenge !== authorization.challenge) return res.status(400).json({ error: 'invalid_grant' });
+        res.json({
+          id_token: jwt.sign(
+            { sub: 'idp-user-1', preferred_username: 'sso-user', groups, nonce: authorization.nonce },
+            privateKey,
+            { algorithm: 'RS256', keyid: 'test-key', issuer, audience: 'anti-gravity', expiresIn: 300 }
+          ),
+        });
+      });
+      idp = http.createServer(mock).listen(0, () => {
+        issuer = `http://127.0.0.1:${idp.address().port}`;
+        Object.assign(process.env, {
+          OIDC_DISCOVERY_URL: `${issuer}/.well-known/openid-configuration`,
+          OIDC_CLIENT_ID: 'anti-gravity',
+          OIDC_ADMIN_GROUPS: 'platform-admins',
+          OIDC_VIEWER_GROUPS: 'platform-users',
+        });
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      ['OIDC_DISCOVERY_URL', 'OIDC_CLIENT_ID', 'OIDC_ADMIN_GROUPS', 'OIDC_VIEWER_GROUPS'].forEach((name) => delete process.env[name]);
+      idp.close(done);
+    });
+
+    // Start at /oidc/login, "authenticate" at the IdP, come back to the callback
+    const signIn = async () => {
+      const start = await request(app).get('/api/auth/oidc/login').expect(302);
+      const authorize = new URL(start.headers.location);
+      expect(authorize.searchParams.get('code_challenge_method')).toBe('S256');
+
+      const code = crypto.randomBytes(8).toString('hex');
+      authorizations.set(code, {
+        challenge: authorize.searchParams.get('code_challenge'),
+        nonce: authorize.searchParams.get('nonce'),
+      });
+      const callback = await request(app)
+        .get(`/api/auth/oidc/callback?code=${code}&state=${authorize.searchParams.get('state')}`)
+        .set('Cookie', start.headers['set-cookie'])
+        .expect(302);
+      return new URLSearchParams(callback.headers.location.split('#')[1]);
+    };
+
+    it('should advertise SSO to the login page only when configured', async () => {
+      const response = await request(app).get('/api/auth/oidc/config').expect(200);
+      expect(response.body).toEqual({ enabled: true, providerName: 'SSO' });
+    });
+
+    it('should create the user on first sign-in and follow IdP group changes', async () => {
+      groups = ['platform-admins'];
+      const first = await signIn();
+      const me = await request(app).get('/api/auth/me').set('x-auth-token', first.get('token')).expect(200);
+      expect(me.body).toMatchObject({ username: 'sso-user', role: 'admin' });
+
+      groups = ['platform-users'];
+      const second = await signIn();
+      const again = await request(app).get('/api/auth/me').set('x-auth-token', second.get('token')).expect(200);
+      expect(again.body).toMatchObject({ id: me.body.id, role: 'viewer' });
+      // The admin session from before ended with the role change
+      await request(app).get('/api/auth/me').set('x-auth-token', first.get('token')).expect(401);
+    });
+
+    it('should ask enrolled SSO users for their second factor', async () => {
+      groups = ['platform-admins'];
+      const token = (await signIn()).get('token');
+      const post = (path, body) => request(app).post(`/api/auth/2fa/${path}`).set('x-auth-token', token).send(body);
+      const { body: { secret } } = await post('setup').expect(200);
+      await post('enable', { code: totp.generateCode(secret) }).expect(200);
+
+      try {
+        const second = await signIn();
+        expect(second.get('token')).toBeNull();
+        const session = await request(app).post('/api/auth/2fa/verify')
+          .send({ challenge: second.get('challenge'), code: totp.generateCode(secret, Date.now() + 30 * 1000) })
+          .expect(200);
+        await request(app).get('/api/auth/me').set('x-auth-token', session.body.token).expect(200);
+      } finally {
+        await User.update({ totpSecret: null, totpEnabledAt: null, totpLastStep: null }, { where: { username: 'sso-user' } });
+      }
+    });
+
+    it('should refuse users outside the mapped groups and forged state', async () => {
+      groups = ['contractors'];
+      expect((await signIn()).get('error')).toMatch(/not in a group/);
+
+      const start = await request(app).get('/api/auth/oidc/login').expect(302);
+      const forged = await request(app)
+        .get('/api/auth/oidc/callback?code=anything&state=forged')
+        .set('Cookie', start.headers['set-cookie'])
+        .expect(302);
+      expect(forged.headers.location).toMatch(/#error=/);
+    });
+  });
+
+  describe('User management', () => {
+    let managed;
+
+    const updateUser = (body) =>
+      request(app).patch(`/api/users/${managed.id}`).set('x-auth-token', adminToken).send(body);
+
+    beforeAll(async () => {
+      await request(app).post('/api/auth/register').send({ username: 'managed-user', password: 'managed-password' }).expect(200);
+      managed = await User.findOne({ where: { username: 'managed-user' } });
+    });
+
+    it('should list users without passwords, for admins only', async () => {
+      await request(app).get('/api/users').set('x-auth-token', viewerToken).expect(403);
+
+      const response = await request(app).get('/api/users').set('x-auth-token', adminToken).expect(200);
+      const listed = response.body.find((user) => user.username === 'managed-user');
+      expect(listed).toMatchObject({ role: 'viewer', disabledAt: null });
+      expect(listed).not.toHaveProperty('password');
+    });
+
+    it('should reject disabled users at login and in the auth middleware', async () => {
+      const session = await request(app).post('/api/auth/login').send({ username: 'managed-user', password: 'managed-password' }).expect(200);
+
+      const disabled = await updateUser({ disabled: true }).expect(200);
+      expect(disabled.body.disabledAt).not.toBeNull();
+
+      await request(app).get('/api/auth/me').set('x-auth-token', session.body.token).expect(401);
+      await request(app).post('/api/auth/refresh').send({ refreshToken: session.body.refreshToken }).expect(401);
+      const refused = await request(app).post('/api/auth/login').send({ username: 'managed-user', password: 'managed-password' }).expect(403);
+      expect(refused.body.msg).toMatch(/disabled/);
+
+      await updateUser({ disabled: false }).expect(200);
+      const token = await login('managed-user', 'managed-password');
+      await request(app).get('/api/auth/me').set('x-auth-token', token).expect(200);
+    });
+
+    it('should change roles and end sessions carrying the old role', async () => {
+      const token = await login('managed-user', 'managed-password');
+
+      const promoted = await updateUser({ role: 'admin' }).expect(200);
+      expect(promoted.body.role).toBe('admin');
+      await request(app).get('/api/auth/me').set('x-auth-token', token).expect(401);
+
+      const me = await request(app).get('/api/auth/me').set('x-auth-token', await login('managed-user', 'managed-password')).expect(200);
+      expect(me.body.permissions).toContain('users:manage');
+
+      await updateUser({ role: 'viewer' }).expect(200);
+      await updateUser({ role: 'owner' }).expect(400);
+    });
+
+    it('should not let admins demote or disable themselves', async () => {
+      const { id } = jwt.decode(adminToken).user;
+      const self = await request(app).patch(`/api/users/${id}`).set('x-auth-token', adminToken).send({ disabled: true }).expect(400);
+      expect(self.body.msg).toMatch(/your own account/);
+      await request(app).patch(`/api/users/${id}`).set('x-auth-token', adminToken).send({ role: 'viewer' }).expect(400);
+      await request(app).patch('/api/users/999999').set('x-auth-token', adminToken).send({ disabled: true }).expect(404);
+    });
+
+    it('should reset passwords to a one-time temporary password', async () => {
+      const response = await request(app)
+        .post(`/api/users/${managed.id}/reset-password`)
+        .set('x-auth-token', adminToken)
+        .expect(200);
+      expect(typeof response.body.temporaryPassword).toBe('string');
+
+      await request(app).post('/api/auth/login').send({ username: 'managed-user', password: 'managed-password' }).expect(400);
+      await login('managed-user', response.body.temporaryPassword);
+    });
+  });
+
+  describe('Chaos experiments', () => {
+    let stopped;
+
+    beforeAll(() => {
+      // Harmless type so the lifecycle can be exercised without real faults
+      chaos.registerType('noop', {
+        start: () => ({
+          status: () => ({ ticking: true }),
+          stop: () => {
+            stopped = true;
+            return { observed: 'nothing' };
+          },
+        }),
+      });
+    });
+
+    it('should list registered experiment types', async () => {
+      const response = await request(app).get('/chaos/types').expect(200);
+
+      const names = response.body.map((type) => type.name);
+      expect(names).toEqual(expect.arrayContaining(['kill', 'noop']));
+    });
+
+    it('should reject definitions with an unknown type', async () => {
+      const response = await request(app)
+        .post('/chaos/experiments').set('x-auth-token', adminToken)
+        .send({ name: 'bogus', type: 'meteor-strike', duration: 10 })
+        .expect(400);
+
+      expect(response.body.message).toContain('meteor-strike');
+    });
+
+    it('should run an experiment through start, monitor and stop', async () => {
+      await request(app)
+        .post('/chaos/experiments').set('x-auth-token', adminToken)
+        .send({ name: 'quiet-drill', type: 'noop', duration: 60 })
+        .expect(201);
+
+      await request(app)
+        .post('/chaos/experiments').set('x-auth-token', adminToken)
+        .send({ name: 'quiet-drill', type: 'noop', duration: 60 })
+        .expect(409);
+
+      const started = await request(app)
+        .post('/chaos/experiments/quiet-drill/start').set('x-auth-token', adminToken)
+        .expect(202);
+      expect(started.body.status).toBe('running');
+
+      await request(app).post('/chaos/experiments/quiet-drill/start').set('x-auth-token', adminToken).expect(409);
+
+      const live = await request(app)
+        .get(`/chaos/experiments/quiet-drill/runs/${started.body.id}`)
+        .expect(200);
+      expect(live.body.observations).toEqual({ ticking: true });
+      expect(live.body).toHaveProperty('remaining');
+
+      const aborted = await request(app)
+        .post('/chaos/experiments/quiet-drill/stop').set('x-auth-token', adminToken)
+        .expect(200);
+      expect(aborted.body.status).toBe('aborted');
+      expect(aborted.body.results).toMatchObject({ observed: 'nothing', reason: 'stopped by operator' });
+      expect(stopped).toBe(true);
+
+      const detail = await request(app).get('/chaos/experiments/quiet-drill').expect(200);
+      expect(detail.body.runs).toHaveLength(1);
+    });
+
+    it('should refuse to start an experiment targeted at another pod', async () => {
+      await request(app)
+        .post('/chaos/experiments').set('x-auth-token', adminToken)
+        .send({ name: 'elsewhere', type: 'noop', duration: 5, target: 'some-other-pod' })
+        .expect(201);
+
+      await request(app).post('/chaos/experiments/elsewhere/start').set('x-auth-token', adminToken).expect(409);
+    });
+
+    it('should start an experiment once when two starts race', async () => {
+      await request(app)
+        .post('/chaos/experiments').set('x-auth-token', adminToken)
+        .send({ name: 'racing-drill', type: 'noop', duration: 60 })
+        .expect(201);
+
+      const start = () => request(app).post('/chaos/experiments/racing-drill/start').set('x-auth-token', adminToken);
+      const statuses = (await Promise.all([start(), start()])).map((response) => response.status);
+      expect(statuses.sort()).toEqual([202, 409]);
+
+      await request(app).post('/chaos/experiments/racing-drill/stop').set('x-auth-token', adminToken).expect(200);
+    });
+
+    it('should answer with an error when the fault cannot be injected', async () => {
+      chaos.registerType('broken', {
+        start: () => {
+          throw new Error('no such device');
+        },
+      });
+      await request(app)
+        .post('/chaos/experiments').set('x-auth-token', adminToken)
+        .send({ name: 'broken-drill', type: 'broken', duration: 5 })
+        .expect(201);
+
+      const response = await request(app).post('/chaos/experiments/broken-drill/start').set('x-auth-token', adminToken).expect(500);
+      expect(response.body.message).toContain('no such device');
+
+      const runs = await request(app).get('/chaos/experiments/broken-drill/runs').expect(200);
+      expect(runs.body[0]).toMatchObject({ status: 'aborted', results: { error: 'no such device' } });
+      // Nothing is left running, so it can be tried again
+      await request(app).post('/chaos/experiments/broken-drill/start').set('x-auth-token', adminToken).expect(500);
+    });
+
+    it('should close out kill runs left open by a previous process', async () => {
+      const mockExit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+
+      await request(app)
+        .post('/chaos/experiments').set('x-auth-token', adminToken)
+        .send({ name: 'pod-kill', type: 'kill', duration: 5, parameters: { delayMs: 0 } })
+        .expect(201);
+      const started = await request(app).post('/chaos/experiments/pod-kill/start').set('x-auth-token', adminToken).expect(202);
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(mockExit).toHaveBeenCalledWith(1);
+      mockExit.mockRestore();
+
+      // Simulate the restarted process finding the run still open
+      await chaos.stopAll('test cleanup');
+      await sequelize.models.ExperimentRun.update({ status: 'running' }, { where: { id: started.body.id } });
+      await chaos.recoverInterruptedRuns();
+
+      const run = await request(app).get(`/chaos/experiments/pod-kill/runs/${started.body.id}`).expect(200);
+      expect(run.body.status).toBe('completed');
+      expect(run.body.results.reason).toBe('process restarted');
+    });
+  });
+
+  describe('GET /api/recoveries', () => {
+    it('should pair chaos kills with the next boot and report MTTR', async () => {
+      // The kill tests above recorded kill events; simulate the restart
+      await recoveries.recordBoot();
+
+      const response = await request(app).get('/api/recoveries').expect(200);
+
+      expect(response.body.timeline[0].type).toBe('boot');
+      expect(response.body.timeline[0].reason).toBe("chaos: experiment 'pod-kill'");
+      expect(response.body.incidents[0].cause).toBe("chaos: experiment 'pod-kill'");
+      expect(response.body.incidents[0].timeToRecoverySeconds).toBeGreaterThanOrEqual(0);
+      expect(response.body.stats.recovered).toBeGreaterThanOrEqual(1);
+      expect(typeof response.body.stats.mttrSeconds).toBe('number');
+      expect(redis.incr).toHaveBeenCalledWith('survivor_count');
+    });
+
+    it('should reject an invalid since date', async () => {
+      await request(app).get('/api/recoveries?since=yesterday').expect(400);
+    });
+
+    it('should reject a limit that is not a positive whole number', async () => {
+      for (const limit of ['-5', '0', '2.5', 'ten']) {
+        const response = await request(app).get(`/api/recoveries?limit=${limit}`).expect(400);
+        expect(response.body.message).toMatch(/limit must be/);
+      }
+
+      const response = await request(app).get('/api/recoveries?limit=1').expect(200);
+      expect(response.body.timeline).toHaveLength(1);
+    });
+  });
+
+  describe('Service level objectives', () => {
+    const YAML = require('yamljs');
+    const slo = require('../src/slo');
+
+    afterEach(() => request(app).delete('/chaos/faults').set('x-auth-token', adminToken));
+
+    const status = async () => (await request(app).get('/api/slo').expect(200)).body;
+    const find = (body, name) => body.slos.find((entry) => entry.name === name);
+
+    it('should spend error budget on 5xx responses and report burn rates', async () => {
+      const before = find(await status(), 'availability');
+
+      await request(app).get('/api').expect(200);
+      await request(app)
+        .post('/chaos/faults').set('x-auth-token', adminToken)
+        .send({ method: 'GET', path: '/api', status: 503 })
+        .expect(201);
+      await request(app).get('/api').expect(503);
+      // Probes are not covered
+      await request(app).get('/health');
+
+      const body = await status();
+      const availability = find(body, 'availability');
+      expect(availability).toMatchObject({ objective: 0.995, window: '30d' });
+      expect(availability.errorBudget.spent).toBe(before.errorBudget.spent + 1);
+      expect(availability.errorBudget.remaining).toBeLessThan(1);
+      expect(availability.sli.total - before.sli.total).toBeGreaterThanOrEqual(2);
+      expect(availability.burnRates.map(({ long, short }) => `${long}/${short}`)).toEqual(['1h/5m', '6h/30m', '1d/2h', '3d/6h']);
+      expect(availability.burnRates[0].shortRate).toBeGreaterThan(0);
+      expect(find(body, 'latency').latencyMs).toBe(500);
+
+      // Counts are kept in Redis, shared by every replica
+      expect([...mockRedisStore.keys()].some((key) => /^slo:availability:m:\d+:total$/.test(key))).toBe(true);
+      // Chaos runs from the experiment tests, with the budget they used
+      expect(body.experiments[0]).toHaveProperty('experiment');
+      expect(body.experiments[0].slos.map((entry) => entry.name)).toEqual(['availability', 'latency']);
+
+      const { text } = await request(app).get('/metrics');
+      expect(text).toMatch(/slo_requests_total\{slo="availability"\} \d+/);
+    });
+
+    it('should export Prometheus recording rules', async () => {
+      const response = await request(app).get('/api/slo/rules').expect('Content-Type', /yaml/).expect(200);
+      const { groups } = YAML.parse(response.text);
+      const availability = groups.find((group) => group.name === 'slo-availability');
+      const records = availability.rules.map((rule) => rule.record);
+
+      expect(records).toEqual(expect.arrayContaining([
+        'slo:sli_error:ratio_rate5m', 'slo:burn_rate:rate1h', 'slo:burn_rate:rate30d', 'slo:error_budget_remaining:ratio',
+      ]));
+      expect(availability.rules.every((rule) => rule.labels.slo === 'availability')).toBe(true);
+      expect(availability.rules.find((rule) => rule.record === 'slo:burn_rate:rate1h').expr).toContain('/ 0.005');
+    });
+
+    it('should refuse definitions it cannot evaluate', () => withConfigFile(
+      slo.loadDefinitions,
+      (definition) => ({ slos: [{ name: 'api', objective: 0.99, window: '7d', ...definition }] }),
+      (attempt) => {
+        expect(attempt({})).not.toThrow();
+        expect(attempt({ latencyMs: 300 })).toThrow(/latencyMs must be one of/);
+        expect(attempt({ objective: 99.5 })).toThrow(/objective/);
+        expect(attempt({ window: '1 month' })).toThrow(/window/);
+        expect(attempt({ window: '30s' })).toThrow(/window/);
+        expect(attempt({ name: 'no spaces' })).toThrow(/SLO no spaces: name must be 1-63 letters/);
+      }
+    ));
+  });
+
+  describe('Alerting', () => {
+    const health = require('../src/health');
+    const alerts = require('../src/alerts');
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      health.unregisterCheck('billing');
+    });
+
+    const billingAlert = () =>
+      alerts.listActive().find((alert) => alert.rule === 'DependencyDown' && alert.labels.dependency === 'billing');
+
+    it('should go pending, fire after its for duration, resolve, and notify webhooks with retries', async () => {
+      let up = false;
+      health.registerCheck('billing', () => {
+        if (!up) throw new Error('billing unreachable');
+      }, { critical: false });
+
+      // Other rules may fire meanwhile; only look at this alert's webhooks,
+      // and fail the first one to see it retried
+      const sent = [];
+      jest.spyOn(global, 'fetch').mockImplementation(async (url, { body }) => {
+        const payload = JSON.parse(body);
+        if (payload.alert.labels.dependency !== 'billing') return new Response(null, { status: 200 });
+        sent.push({ url, payload });
+        return new Response(null, { status: sent.length === 1 ? 503 : 200 });
+      });
+
+      const now = Date.now();
+      await alerts.evaluate(now);
+      expect(billingAlert()).toMatchObject({ state: 'pending', severity: 'critical', value: 1 });
+
+      await alerts.evaluate(now + 31 * 1000);
+      expect(billingAlert().state).toBe('firing');
+      await alerts.settled();
+      expect(sent).toHaveLength(2);
+      expect(sent[1].url).toBe('http://alerts.test/hook?token=secret');
+      expect(sent[1].payload).toMatchObject({ status: 'firing', alert: { rule: 'DependencyDown', threshold: 0 } });
+
+      up = true;
+      await alerts.evaluate(now + 60 * 1000);
+      expect(billingAlert()).toBeUndefined();
+      await alerts.settled();
+      expect(sent[2].payload.status).toBe('resolved');
+
+      const history = await request(app).get('/api/alerts/history?state=resolved').expect(200);
+      const entry = history.body.find((alert) => alert.labels.dependency === 'billing');
+      expect(entry).toMatchObject({ rule: 'DependencyDown', state: 'resolved', severity: 'critical' });
+      expect(entry.notifications).toEqual([
+        expect.objectContaining({ event: 'firing', target: 'alerts.test', status: 'delivered', attempts: 2 }),
+        expect.objectContaining({ event: 'resolved', target: 'alerts.test', status: 'delivered', attempts: 1 }),
+      ]);
+    });
+
+    it('should drop a pending alert that clears before it fires', async () => {
+      let up = false;
+      health.registerCheck('billing', () => {
+        if (!up) throw new Error('billing unreachable');
+      }, { critical: false });
+      const fetch = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(null, { status: 200 }));
+
+      const now = Date.now();
+      await alerts.evaluate(now);
+      up = true;
+      await alerts.evaluate(now + 10 * 1000);
+      await alerts.settled();
+
+      expect(billingAlert()).toBeUndefined();
+      expect(fetch.mock.calls.filter(([, { body }]) => body.includes('billing'))).toHaveLength(0);
+    });
+
+    it('should pick up the alerts it left firing before a restart', async () => {
+      const Alert = require('../src/models/Alert');
+      const hostname = process.env.HOSTNAME || 'unknown';
+      const fetch = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(null, { status: 200 }));
+      const firing = { severity: 'critical', state: 'firing', firedAt: new Date() };
+      const [billing, retired, elsewhere] = await Promise.all([
+        Alert.create({ ...firing, rule: 'DependencyDown', labels: { dependency: 'billing' }, hostname }),
+        Alert.create({ ...firing, rule: 'RetiredRule', hostname }),
+        Alert.create({ ...firing, rule: 'RetiredRule', hostname: 'another-pod' }),
+      ]);
+
+      try {
+        await alerts.start();
+      } finally {
+        alerts.stop();
+      }
+      await alerts.settled();
+      expect(billingAlert()).toMatchObject({ state: 'firing' });
+      expect((await retired.reload()).state).toBe('resolved');
+      expect((await elsewhere.reload()).state).toBe('firing');
+      const sentFor = (rule) => fetch.mock.calls.map(([, { body }]) => JSON.parse(body)).filter((payload) => payload.alert.rule === rule);
+      expect(sentFor('RetiredRule')).toEqual([expect.objectContaining({ status: 'resolved' })]);
+
+      // No billing check any more, so it resolves on the next evaluation
+      await alerts.evaluate();
+      await alerts.settled();
+      expect(billingAlert()).toBeUndefined();
+      expect((await billing.reload()).state).toBe('resolved');
+      await elsewhere.destroy();
+    });
+
+    it('should list rules and webhook targets without secrets', async () => {
+      const rules = await request(app).get('/api/alerts/rules').expect(200);
+      expect(rules.body.map((rule) => rule.signal)).toEqual(
+        expect.arrayContaining(['error_rate', 'event_loop_lag_ms', 'heap_used_mb', 'dependency_down'])
+      );
+      expect(rules.body.find((rule) => rule.name === 'HighErrorRate')).toMatchObject({ above: 0.05, for: '1m', window: '5m' });
+
+      const active = await request(app).get('/api/alerts').expect(200);
+      expect(active.body.webhooks).toEqual(['alerts.test']);
+
+      await request(app).get('/api/alerts/history?state=sleeping').expect(400);
+    });
+
+    it('should refuse rules it cannot evaluate', () => withConfigFile(
+      alerts.loadRules,
+      (rule) => ({ rules: [{ name: 'Test', signal: 'heap_used_mb', above: 100, ...rule }] }),
+      (attempt) => {
+        expect(attempt({ for: '2m' })).not.toThrow();
+        expect(attempt({ signal: 'cpu' })).toThrow(/unknown signal 'cpu'/);
+        expect(attempt({ above: 'high' })).toThrow(/above must be a number/);
+        expect(attempt({ for: 'a while' })).toThrow(/for must be a duration/);
+        expect(attempt({ for: '1d' })).toThrow(/for must be a duration/);
+        expect(attempt({ window: '60m' })).not.toThrow();
+        expect(attempt({ window: '6h' })).toThrow(/window can be at most 60m/);
+        expect(attempt({ name: 'no spaces' })).toThrow(/rule no spaces: name must be 1-63 letters/);
+      }
+    ));
+  });
+
+  describe('GET /api/metrics/history', () => {
+    const metricsHistory = require('../src/metricsHistory');
+    const MetricSample = require('../src/models/MetricSample');
+    const MINUTE = 60 * 1000;
+
+    const sample = (hostname, sampledAt, values) => ({
+      hostname, sampledAt, resolution: 10, heapUsedMb: 0, rssMb: 0, cpuPercent: 0, eventLoopLagMs: 0, requestsPerSec: 0, ...values,
+    });
+
+    it('should chart every pod from stored samples', async () => {
+      await request(app).get('/api').expect(200);
+      await metricsHistory.record();
+      const own = await request(app).get('/api/metrics/history').expect(200);
+      expect(own.body).toMatchObject({ step: 30, resolution: 'raw' });
+      expect(own.body.points.length).toBeGreaterThan(0);
+      expect(own.body.points.at(-1).heapUsedMb).toBeGreaterThan(0);
+      expect(own.body.points.at(-1).requestsPerSec).toBeGreaterThan(0);
+
+      // Two pods in the same minute: memory averaged, requests added up
+      const at = Math.floor((Date.now() - 30 * MINUTE) / MINUTE) * MINUTE;
+      await MetricSample.bulkCreate([
+        sample('pod-a', new Date(at), { heapUsedMb: 100, requestsPerSec: 4, eventLoopLagMs: 5 }),
+        sample('pod-a', new Date(at + 10000), { heapUsedMb: 120, requestsPerSec: 6, eventLoopLagMs: 50 }),
+        sample('pod-b', new Date(at + 20000), { heapUsedMb: 200, requestsPerSec: 10, eventLoopLagMs: 20 }),
+      ]);
+      const query = `from=${new Date(at).toISOString()}&to=${new Date(at + MINUTE - 1).toISOString()}&step=60`;
+      const fleet = await request(app).get(`/api/metrics/history?${query}`).expect(200);
+      expect(fleet.body.points).toEqual([{
+        at: new Date(at).toISOString(), heapUsedMb: 155, rssMb: 0, cpuPercent: 0, eventLoopLagMs: 50, requestsPerSec: 15, pods: 2,
+      }]);
+
+      const one = await request(app).get(`/api/metrics/history?${query}&hostname=pod-b`).expect(200);
+      expect(one.body.points[0]).toMatchObject({ heapUsedMb: 200, pods: 1 });
+    });
+
+    it('should roll samples up into 5-minute buckets and prune old ones', async () => {
+      const now = Date.now();
+      const next = Math.ceil((now + 1) / (5 * MINUTE)) * 5 * MINUTE;
+      await metricsHistory.record(next - 1000);
+      await metricsHistory.record(next);
+      expect(await MetricSample.count({ where: { resolution: 300, sampledAt: new Date(next - 5 * MINUTE) } })).toBe(1);
+
+      // Past the raw retention, only rollups answer
+      const older = await request(app)
+        .get(`/api/metrics/history?from=${new Date(now - 7 * 60 * MINUTE).toISOString()}&to=${new Date(next).toISOString()}&step=300`)
+        .expect(200);
+      expect(older.body.resolution).toBe('5m');
+      expect(older.body.points.some((point) => point.at === new Date(next - 5 * MINUTE).toISOString())).toBe(true);
+
+      const staleRaw = await MetricSample.create(sample('pod-old', new Date(now - 7 * 60 * MINUTE)));
+      const oldRollup = await MetricSample.create({ ...sample('pod-old', new Date(now - 7 * 60 * MINUTE)), resolution: 300 });
+      const expired = await MetricSample.create({ ...sample('pod-old', new Date(now - 31 * 24 * 60 * MINUTE)), resolution: 300 });
+      await metricsHistory.prune(now);
+      expect(await MetricSample.findByPk(staleRaw.id)).toBeNull();
+      expect(await MetricSample.findByPk(oldRollup.id)).not.toBeNull();
+      expect(await MetricSample.findByPk(expired.id)).toBeNull();
+    });
+
+    it('should keep one rollup per bucket when the pod restarts under the same hostname', async () => {
+      const start = Math.ceil(Date.now() / (5 * MINUTE)) * 5 * MINUTE + 60 * MINUTE;
+      await metricsHistory.record(start + 1000);
+      await metricsHistory.stop();
+      await metricsHistory.record(start + 2 * MINUTE);
+      await metricsHistory.record(start + 5 * MINUTE);
+
+      const rollups = await MetricSample.findAll({ where: { resolution: 300, sampledAt: new Date(start) } });
+      expect(rollups).toHaveLength(1);
+      expect(rollups[0].hostname).toBe(process.env.HOSTNAME || 'unknown');
+    });
+
+    it('should roll up the bucket still being filled from raw samples', async () => {
+      const now = Date.now();
+      const start = Math.floor(now / (5 * MINUTE)) * 5 * MINUTE;
+      await MetricSample.bulkCreate([
+        sample('pod-open', new Date(now), { heapUsedMb: 100, eventLoopLagMs: 5 }),
+        sample('pod-open', new Date(now), { heapUsedMb: 300, eventLoopLagMs: 40 }),
+      ]);
+
+      const history = await request(app)
+        .get(`/api/metrics/history?from=${new Date(now - 7 * 60 * MINUTE).toISOString()}&to=${new Date(now + 1000).toISOString()}&step=300&hostname=pod-open`)
+        .expect(200);
+      expect(history.body.resolution).toBe('5m');
+      expect(history.body.points).toEqual([expect.objectContaining({
+        at: new Date(start).toISOString(), heapUsedMb: 200, eventLoopLagMs: 40, pods: 1,
+      })]);
+    });
+
+    it('should give every reader of the event loop delay the whole reading', async () => {
+      const { createReader } = require('../src/eventLoopDelay');
+      const history = createReader();
+      const alert = createReader();
+
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      const blockedUntil = Date.now() + 100;
+      while (Date.now() < blockedUntil);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(history()).toBeGreaterThan(50);
+      expect(alert()).toBeGreaterThan(50);
+      expect(history()).toBe(0);
+    });
+
+    it('should reject invalid ranges and steps', async () => {
+      const bad = async (query, message) => {
+        const res = await request(app).get(`/api/metrics/history?${query}`).expect(400);
+        expect(res.body.message).toMatch(message);
+      };
+
+      await bad('from=yesterday', /ISO 8601/);
+      await bad('from=2026-01-02T00:00:00Z&to=2026-01-01T00:00:00Z', /before to/);
+      await bad('from=2025-01-01T00:00:00Z&to=2026-01-01T00:00:00Z', /at most 30 days/);
+      await bad('step=0', /whole number/);
+      await bad('step=1&from=2026-01-01T00:00:00Z&to=2026-01-02T00:00:00Z', /at most 1000 points/);
+    });
+  });
+
+  describe('GET /api/logs', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { parseFilters, queryLogs } = require('../src/logQuery');
+
+    // 200 entries a second apart, oldest first, as winston writes them
+    const file = path.join(os.tmpdir(), `anti-gravity-logs-${process.pid}.log`);
+    const fixture = Array.from({ length: 200 }, (_, i) => ({
+      level: i % 10 === 0 ? 'error' : 'info',
+      message: i === 150 ? 'Pod ünïcødé ✓ crashed' : `GET /item/${i}`,
+      hostname: i % 2 === 0 ? 'pod-a' : 'pod-b',
+      timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, i)).toISOString(),
+    }));
+    const query = (params, options) => queryLogs(parseFilters(params), { file, ...options });
+
+    beforeAll(() => fs.writeFileSync(file, `${fixture.map((entry) => JSON.stringify(entry)).join('\n')}\n`));
+    afterAll(() => fs.unlinkSync(file));
+
+    it('should filter by level, text, metadata and time range, newest first', async () => {
+      const errors = await query({ level: 'error' });
+      expect(errors.entries).toHaveLength(20);
+      expect(errors.entries[0].message).toBe('GET /item/190');
+      expect(errors.nextCursor).toBeNull();
+
+      expect((await query({ q: 'ÜNÏCØDÉ' })).entries.map((entry) => entry.message)).toEqual(['Pod ünïcødé ✓ crashed']);
+      expect((await query({ 'meta.hostname': 'pod-b', level: 'error' })).entries).toHaveLength(0);
+
+      const range = await query({ since: fixture[10].timestamp, until: fixture[19].timestamp });
+      expect(range.entries.map((entry) => entry.timestamp)).toEqual(fixture.slice(10, 20).map((entry) => entry.timestamp).reverse());
+      expect(range.nextCursor).toBeNull();
+    });
+
+    it('should page through the whole file with cursors', async () => {
+      const seen = [];
+      let cursor;
+      do {
+        // Small chunks make lines and multi-byte characters straddle reads
+        const page = await query({ limit: '30', ...(cursor && { cursor: String(cursor) }) }, { chunkBytes: 100 });
+        seen.push(...page.entries);
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      expect(seen).toEqual([...fixture].reverse());
+    });
+
+    it('should stop after its scan budget and hand back a cursor', async () => {
+      const page = await query({ q: 'no such text' }, { scanBytes: 1000 });
+      expect(page.entries).toEqual([]);
+      expect(page.nextCursor).toBeGreaterThan(0);
+    });
+
+    it('should validate parameters', async () => {
+      const response = await request(app).get('/api/logs?limit=5').set('x-auth-token', viewerToken).expect(200);
+      expect(Array.isArray(response.body.entries)).toBe(true);
+
+      await request(app).get('/api/logs?since=yesterday').set('x-auth-token', viewerToken).expect(400);
+      await request(app).get('/api/logs?level=loud').set('x-auth-token', viewerToken).expect(400);
+      await request(app).get('/api/logs?limit=5000').set('x-auth-token', viewerToken).expect(400);
+      await request(app).get('/api/logs?cursor=-1').set('x-auth-token', viewerToken).expect(400);
+      const misspelt = await request(app).get('/api/logs?levle=error').set('x-auth-token', viewerToken).expect(400);
+      expect(misspelt.body.message).toMatch(/Unknown parameter 'levle'/);
+      await request(app).get('/api/logs?meta.=x').set('x-auth-token', viewerToken).expect(400);
+      await request(app).get('/api/logs?meta.hostname=pod-a').set('x-auth-token', viewerToken).expect(200);
+    });
+  });
+
+  describe('GET /api/logs/stream', () => {
+    const logger = require('../src/logger');
+    let server;
+    let base;
+
+    beforeAll(async () => {
+      server = app.listen(0);
+      await new Promise((resolve) => server.once('listening', resolve));
+      base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    });
+
+    // Opens a stream; next(count) resolves once `count` entries have arrived
+    const follow = async (query, headers = {}) => {
+      const controller = new AbortController();
+      const response = await fetch(`${base}/api/logs/stream${query}`, {
+        headers: { 'x-auth-token': viewerToken, ...headers },
+        signal: controller.signal,
+      });
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      const events = [];
+      let pending = '';
+
+      const next = async (count) => {
+        while (events.length < count) {
+          pending += decoder.decode((await reader.read()).value, { stream: true });
+          const blocks = pending.split('\n\n');
+          pending = blocks.pop();
+          blocks.forEach((block) => {
+            const fields = Object.fromEntries(block.split('\n').map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+            if (fields.data) events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+          });
+        }
+        return events;
+      };
+      return { response, next, close: () => controller.abort() };
+    };
+
+    it('should push new entries that pass the filters as they are logged', async () => {
+      const stream = await follow('?level=warn&q=stream-filter');
+      expect(stream.response.headers.get('content-type')).toMatch(/text\/event-stream/);
+
+      logger.info('stream-filter at info');
+      logger.warn('unrelated warning');
+      logger.warn('stream-filter at warn', { url: '/somewhere' });
+
+      const [event] = await stream.next(1);
+      expect(event.data.message).toBe('stream-filter at warn');
+      expect(event.data.url).toBe('/somewhere');
+      expect(event.id).toMatch(/^\w+\.\d+$/);
+      stream.close();
+    });
+
+    it('should replay what a reconnecting client missed', async () => {
+      const first = await follow('?meta.topic=resume');
+      logger.info('stream-resume 1', { topic: 'resume' });
+      const [seen] = await first.next(1);
+      first.close();
+
+      logger.info('stream-resume 2', { topic: 'resume' });
+      logger.info('stream-resume 3', { topic: 'resume' });
+      const resumed = await follow('?meta.topic=resume', { 'last-event-id': seen.id });
+      expect((await resumed.next(2)).map((event) => event.data.message)).toEqual(['stream-resume 2', 'stream-resume 3']);
+      resumed.close();
+
+      // Ids from another pod or an earlier process cannot be resumed
+      const elsewhere = await follow('?meta.topic=resume', { 'last-event-id': 'f00dcafe.1' });
+      logger.info('stream-resume 4', { topic: 'resume' });
+      expect((await elsewhere.next(1))[0].data.message).toBe('stream-resume 4');
+      elsewhere.close();
+    });
+
+    it('should validate filters and require logs:read', async () => {
+      await request(app).get('/api/logs/stream?level=loud').set('x-auth-token', viewerToken).expect(400);
+      await request(app).get('/api/logs/stream').expect(401);
+    });
+  });
+
+  describe('Request correlation', () => {
+    const { context, trace } = require('@opentelemetry/api');
+    const { AsyncLocalStorageContextManager } = require('@opentelemetry/context-async-hooks');
+    const logger = require('../src/logger');
+
+    const captured = captureLogs();
+    const entry = (message) => captured.find((logged) => logged.message === message);
+
+    beforeEach(() => {
+      captured.length = 0;
+    });
+
+    it('should echo a valid X-Request-Id and stamp it on the request\'s log lines', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .set('X-Request-Id', 'edge-7f3a.1')
+        .send({ username: 'test-viewer', password: 'viewer-password' })
+        .expect(200);
+
+      expect(response.headers['x-request-id']).toBe('edge-7f3a.1');
+      expect(entry('POST /api/auth/login').requestId).toBe('edge-7f3a.1');
+      // Logged after body parsing, bcrypt and database calls
+      expect(entry('User logged in: test-viewer').requestId).toBe('edge-7f3a.1');
+    });
+
+    it('should generate an id when none (or a malformed one) is sent', async () => {
+      const generated = await request(app).get('/api').expect(200);
+      const replaced = await request(app).get('/api').set('X-Request-Id', 'spaces and <tags>').expect(200);
+
+      expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(replaced.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(replaced.headers['x-request-id']).not.toBe(generated.headers['x-request-id']);
+      logger.info('outside any request');
+      expect(entry('outside any request')).not.toHaveProperty('requestId');
+    });
+
+    it('should add the active trace and span ids', () => {
+      const contextManager = new AsyncLocalStorageContextManager().enable();
+      context.setGlobalContextManager(contextManager);
+      try {
+        const span = trace.wrapSpanContext({ traceId: '0af7651916cd43dd8448eb211c80319c', spanId: 'b7ad6b7169203331', traceFlags: 1 });
+        context.with(trace.setSpan(context.active(), span), () => logger.info('inside a span'));
+      } finally {
+        context.disable();
+      }
+      expect(entry('inside a span')).toMatchObject({ traceId: '0af7651916cd43dd8448eb211c80319c', spanId: 'b7ad6b7169203331' });
+    });
+  });
+
+  describe('Log levels', () => {
+    const logger = require('../src/logger');
+
+    const captured = captureLogs((entry) => entry.message);
+    const setLevel = (body) => request(app).put('/api/logs/levels').set('x-auth-token', adminToken).send(body);
+
+    afterAll(async () => {
+      await setLevel({ level: 'info' });
+      await request(app).delete('/api/logs/levels/db-test').set('x-auth-token', adminToken);
+    });
+
+    it('should change the level of one module at runtime', async () => {
+      const db = logger.child({ module: 'db-test' });
+      const other = logger.child({ module: 'other-test' });
+
+      db.debug('db-test debug before');
+      const changed = await setLevel({ level: 'debug', module: 'db-test' }).expect(200);
+      expect(changed.body).toMatchObject({ level: 'info', modules: { 'db-test': 'debug' } });
+      db.debug('db-test debug after');
+      other.debug('other-test debug');
+      other.info('other-test info');
+      expect(captured).toEqual(expect.arrayContaining(['db-test debug after', 'other-test info']));
+      expect(captured).not.toContain('db-test debug before');
+      expect(captured).not.toContain('other-test debug');
+      expect(captured).toContain('Log level of module db-test set to debug by user 1');
+
+      // Quieter than the global level works too
+      await setLevel({ level: 'error', module: 'db-test' }).expect(200);
+      db.warn('db-test warning');
+      expect(captured).not.toContain('db-test warning');
+
+      await request(app).delete('/api/logs/levels/db-test').set('x-auth-token', adminToken).expect(200);
+      db.warn('db-test warning again');
+      expect(captured).toContain('db-test warning again');
+      await request(app).delete('/api/logs/levels/db-test').set('x-auth-token', adminToken).expect(404);
+    });
+
+    it('should change the global level and check who asks', async () => {
+      await setLevel({ level: 'warn' }).expect(200);
+      logger.info('global info while at warn');
+      await setLevel({ level: 'info' }).expect(200);
+      logger.info('global info while at info');
+      expect(captured).not.toContain('global info while at warn');
+      expect(captured).toContain('global info while at info');
+
+      const levels = await request(app).get('/api/logs/levels').set('x-auth-token', viewerToken).expect(200);
+      expect(levels.body).toMatchObject({ level: 'info', hostname: expect.any(String) });
+      await request(app).put('/api/logs/levels').set('x-auth-token', viewerToken).send({ level: 'debug' }).expect(403);
+      const invalid = await setLevel({ level: 'loud' }).expect(400);
+      expect(invalid.body.message).toMatch(/level must be one of error, warn, info/);
+      await setLevel({ level: 'debug', module: { name: 'db' } }).expect(400);
+      await setLevel({ level: 'debug', module: '../../etc' }).expect(400);
+    });
+
+    it('should cap module levels and keep the change on record when api is quiet', async () => {
+      const { LogLevelError, getLevels, setLevel: setModuleLevel } = require('../src/logLevels');
+      let filler = [];
+
+      try {
+        await setLevel({ level: 'error', module: 'api' }).expect(200);
+        expect(captured).toContain('Log level of module api set to error by user 1');
+        filler = Array.from({ length: 50 - Object.keys(getLevels().modules).length }, (_, i) => `filler-${i}`);
+        filler.forEach((module) => setModuleLevel('warn', module));
+        expect(() => setModuleLevel('warn', 'one-too-many')).toThrow(LogLevelError);
+        // Modules that already have a level can still change it
+        await setLevel({ level: 'info', module: 'filler-0' }).expect(200);
+      } finally {
+        await request(app).delete('/api/logs/levels/api').set('x-auth-token', adminToken);
+        await Promise.all(filler.map((module) => request(app).delete(`/api/logs/levels/${module}`).set('x-auth-token', adminToken)));
+      }
+    });
+  });
+
+  describe('Log rotation', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const zlib = require('zlib');
+    const winston = require('winston');
+    const { RotatingFileTransport } = require('../src/logRotation');
+
+    let dir;
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anti-gravity-logs-'));
+    });
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    // Resolves once the transport has every line
+    const write = (transport, lines) => new Promise((resolve) => {
+      const logger = winston.createLogger({ format: winston.format.json(), transports: [transport] });
+      logger.on('finish', resolve);
+      lines.forEach((line) => logger.info(line));
+      logger.end();
+    });
+    const rotated = () => fs.readdirSync(dir).filter((file) => file.startsWith('app-')).sort();
+
+    it('should rotate by size, compress rotated files and keep every line', async () => {
+      const transport = new RotatingFileTransport({ name: 'app', dir, maxSize: 200 });
+      const lines = Array.from({ length: 12 }, (_, index) => `line ${index} ${'x'.repeat(30)}`);
+      await write(transport, lines);
+      await transport.settled();
+
+      const files = rotated();
+      expect(files.length).toBeGreaterThan(1);
+      files.forEach((file) => expect(file).toMatch(/^app-.+\.log\.gz$/));
+      const current = fs.readFileSync(path.join(dir, 'app.log'), 'utf8');
+      expect(Buffer.byteLength(current)).toBeLessThanOrEqual(200);
+
+      const written = files
+        .map((file) => zlib.gunzipSync(fs.readFileSync(path.join(dir, file))).toString())
+        .concat(current)
+        .join('')
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line).message);
+      expect(written.sort()).toEqual([...lines].sort());
+    });
+
+    it('should rotate a file from an earlier period and delete files past retention', async () => {
+      const hour = 60 * 60 * 1000;
+      fs.writeFileSync(path.join(dir, 'app.log'), 'yesterday\n');
+      const yesterday = new Date(Date.now() - 25 * hour);
+      fs.utimesSync(path.join(dir, 'app.log'), yesterday, yesterday);
+      fs.writeFileSync(path.join(dir, 'app-old.log.gz'), '');
+      const old = new Date(Date.now() - 15 * 24 * hour);
+      fs.utimesSync(path.join(dir, 'app-old.log.gz'), old, old);
+      fs.writeFileSync(path.join(dir, 'other-old.log.gz'), '');
+      fs.utimesSync(path.join(dir, 'other-old.log.gz'), old, old);
+
+      const transport = new RotatingFileTransport({ name: 'app', dir, retention: 14 * 24 * hour, compress: false });
+      await write(transport, ['today']);
+      await transport.settled();
+
+      const files = rotated();
+      expect(files).toHaveLength(1);
+      expect(fs.readFileSync(path.join(dir, files[0]), 'utf8')).toBe('yesterday\n');
+      expect(fs.existsSync(path.join(dir, 'other-old.log.gz'))).toBe(true);
+    });
+  });
+
+  describe('Fault injection', () => {
+    afterEach(() => request(app).delete('/chaos/faults').set('x-auth-token', adminToken));
+
+    it('should fail matching requests with the chosen 5xx status', async () => {
+      const rule = await request(app)
+        .post('/chaos/faults').set('x-auth-token', adminToken)
+        .send({ method: 'GET', path: '/api', status: 503 })
+        .expect(201);
+
+      const response = await request(app).get('/api').expect(503);
+      expect(response.body.error).toBe('Injected Fault');
+
+      // Other methods and paths are untouched
+      await request(app).get('/ready').expect(200);
+
+      const rules = await request(app).get('/chaos/faults').expect(200);
+      expect(rules.body[0]).toMatchObject({ id: rule.body.id, stats: { matched: 1, failed: 1 } });
+    });
+
+    it('should delay matching requests', async () => {
+      await request(app)
+        .post('/chaos/faults').set('x-auth-token', adminToken)
+        .send({ path: '/rea*', delayMs: 150 })
+        .expect(201);
+
+      const start = Date.now();
+      await request(app).get('/ready').expect(200);
+      expect(Date.now() - start).toBeGreaterThanOrEqual(140);
+    });
+
+    it('should be switchable at runtime', async () => {
+      const rule = await request(app)
+        .post('/chaos/faults').set('x-auth-token', adminToken)
+        .send({ path: '/ready', status: 500 })
+        .expect(201);
+
+      await request(app).patch(`/chaos/faults/${rule.body.id}`).set('x-auth-token', adminToken).send({ enabled: false }).expect(200);
+      await request(app).get('/ready').expect(200);
+
+      await request(app).patch(`/chaos/faults/${rule.body.id}`).set('x-auth-token', adminToken).send({ enabled: true }).expect(200);
+      await request(app).get('/ready').expect(500);
+
+      await request(app).delete(`/chaos/faults/${rule.body.id}`).set('x-auth-token', adminToken).expect(200);
+      await request(app).get('/ready').expect(200);
+    });
+
+    it('should reject rules without a delay or a 5xx status', async () => {
+      await request(app).post('/chaos/faults').set('x-auth-token', adminToken).send({ path: '/api' }).expect(400);
+      await request(app).post('/chaos/faults').set('x-auth-token', adminToken).send({ path: '/api', status: 404 }).expect(400);
+    });
+
+    it('should never fault the fault admin API itself', async () => {
+      await request(app).post('/chaos/faults').set('x-auth-token', adminToken).send({ path: '*', status: 503 }).expect(201);
+      await request(app).get('/chaos/faults').expect(200);
+      await request(app).get('/chaos/faults/1').expect(404);
+      // Only the API itself, not paths that merely start the same way
+      await request(app).get('/chaos/faultsx').expect(503);
+    });
+  });
+
+  describe('Memory pressure', () => {
+    afterEach(() => chaos.memory.release('test cleanup'));
+
+    it('should allocate up to the target and release on demand', async () => {
+      await request(app)
+        .post('/chaos/memory').set('x-auth-token', adminToken)
+        .send({ targetMb: 2, rateMbPerSec: 100, kind: 'buffer' })
+        .expect(202);
+
+      await request(app).post('/chaos/memory').set('x-auth-token', adminToken).send({ targetMb: 2 }).expect(409);
+
+      await new Promise(resolve => setTimeout(resolve, 250));
+      const status = await request(app).get('/chaos/memory').expect(200);
+      expect(status.body).toMatchObject({ active: true, kind: 'buffer', allocatedMb: 2, targetMb: 2 });
+
+      const released = await request(app).post('/chaos/memory/release').set('x-auth-token', adminToken).expect(200);
+      expect(released.body.peakMb).toBe(2);
+
+      const after = await request(app).get('/chaos/memory').expect(200);
+      expect(after.body.active).toBe(false);
+    });
+
+    it('should release automatically after the timeout', async () => {
+      jest.useFakeTimers();
+      try {
+        chaos.memory.start({ targetMb: 1, rateMbPerSec: 10, timeoutSeconds: 2 });
+        jest.advanceTimersByTime(2000);
+        expect(chaos.memory.status().active).toBe(false);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should validate the requested target', async () => {
+      await request(app).post('/chaos/memory').set('x-auth-token', adminToken).send({ targetMb: 0 }).expect(400);
+      await request(app).post('/chaos/memory').set('x-auth-token', adminToken).send({ targetMb: 10, kind: 'disk' }).expect(400);
+      await request(app).post('/chaos/memory/release').set('x-auth-token', adminToken).expect(409);
+    });
+  });
+
+  describe('Dependency outages', () => {
+    afterEach(() => {
+      chaos.dependencies.clearFault('redis');
+      chaos.dependencies.clearFault('database');
+    });
+
+    it('should report a simulated database outage as degraded', async () => {
+      await request(app).put('/chaos/dependencies/database').set('x-auth-token', adminToken).send({ mode: 'down' }).expect(200);
+
+      const health = await request(app).get('/health').expect(200);
+      expect(health.body.status).toBe('degraded');
+      expect(health.body.checks.database).toBe('unavailable');
+      expect(health.body.simulated.database.mode).toBe('down');
+
+      const ready = await request(app).get('/ready').expect(503);
+      expect(ready.body.ready).toBe(false);
+      expect(ready.body.failedCritical).toEqual(['database']);
+    });
+
+    it('should answer auth requests with 503 while the database is down', async () => {
+      await request(app).put('/chaos/dependencies/database').set('x-auth-token', adminToken).send({ mode: 'down' }).expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'nobody', password: 'secret' })
+        .expect(503);
+      expect(response.body.degraded).toBe(true);
+
+      await request(app).delete('/chaos/dependencies/database').set('x-auth-token', adminToken).expect(200);
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'nobody', password: 'secret' })
+        .expect(400);
+    });
+
+    it('should still refuse demoted and disabled users while Redis is down', async () => {
+      await request(app).post('/api/auth/register').send({ username: 'outage-user', password: 'outage-password' }).expect(200);
+      const user = await User.findOne({ where: { username: 'outage-user' } });
+      await user.update({ role: 'admin' });
+      const token = await login('outage-user', 'outage-password');
+      await request(app).get('/api/users').set('x-auth-token', token).expect(200);
+
+      // Revoking the token cannot reach the revocation list now
+      const update = (body) => request(app).patch(`/api/users/${user.id}`).set('x-auth-token', adminToken).send(body).expect(200);
+      const set = jest.spyOn(redis, 'set').mockRejectedValue(new Error('Redis unavailable'));
+      redis.isReady = false;
+      try {
+        await update({ role: 'viewer' });
+        await request(app).get('/api/users').set('x-auth-token', token).expect(403);
+        await update({ disabled: true });
+        const refused = await request(app).get('/api/auth/me').set('x-auth-token', token).expect(401);
+        expect(refused.body.msg).toMatch(/disabled/);
+
+        // With the database down as well, the last state seen still holds
+        await request(app).put('/chaos/dependencies/database').set('x-auth-token', adminToken).send({ mode: 'down' }).expect(200);
+        await request(app).get('/api/logs/levels').set('x-auth-token', token).expect(401);
+        await request(app).get('/api/logs/levels').set('x-auth-token', adminToken).expect(200);
+      } finally {
+        redis.isReady = true;
+        set.mockRestore();
+      }
+    });
+
+    it('should make the Redis client fail or slow down without touching Redis', async () => {
+      const { instrumentRedis } = require('../src/chaos/dependencies');
+      const client = instrumentRedis({ isReady: true, get: async () => 'value', on: () => 'listening' });
+
+      chaos.dependencies.setFault('redis', { mode: 'down' });
+      await expect(client.get('key')).rejects.toThrow('Redis unavailable');
+      expect(client.isReady).toBe(false);
+      expect(client.on()).toBe('listening');
+
+      chaos.dependencies.setFault('redis', { mode: 'slow', delayMs: 100 });
+      const start = Date.now();
+      await expect(client.get('key')).resolves.toBe('value');
+      expect(Date.now() - start).toBeGreaterThanOrEqual(90);
+
+      chaos.dependencies.clearFault('redis');
+      await expect(client.get('key')).resolves.toBe('value');
+    });
+
+    it('should reject unknown dependencies and modes', async () => {
+      await request(app).put('/chaos/dependencies/kafka').set('x-auth-token', adminToken).send({ mode: 'down' }).expect(400);
+      await request(app).put('/chaos/dependencies/redis').set('x-auth-token', adminToken).send({ mode: 'sideways' }).expect(400);
+    });
+  });
+
+  // ============================================================================
+  // ERROR HANDLING TESTS
+  // ============================================================================
+  
+  describe('Error Handling', () => {
+    it('should return 404 for unknown routes', async () => {
+      const response = await request(app)
+        .get('/unknown-route')
+        .expect('Content-Type', /json/)
+        .expect(404);
+      
+      expect(response.body).toHaveProperty('error', 'Not Found');
+      expect(response.body).toHaveProperty('availableEndpoints');
+    });
+
+    it('should return helpful message for 404 errors', async () => {
+      const response = await request(app)
+        .get('/some/random/path')
+        .expect(404);
+      
+      expect(response.body.message).toContain('/some/random/path');
+    });
+  });
+});
+
+// ============================================================================
+// INTEGRATION TESTS
+// ============================================================================
+
+describe('Integration Tests', () => {
+  it('should handle multiple concurrent requests', async () => {
+    const requests = Array(5).fill(null).map(() => 
+      request(app).get('/health')
+    );
+    
+    const responses = await Promise.all(requests);
+    
+    responses.forEach(response => {
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('healthy');
+    });
+  });
+
+  it('should track request metrics correctly', async () => {
+    await request(app).get('/health');
+    await request(app).get('/ready');
+    
+    const metricsResponse = await request(app).get('/metrics');
+    expect(metricsResponse.text).toContain('http_requests_total');
+  });
+});
+
+// ============================================================================
+// GRACEFUL SHUTDOWN (last: it closes the database)
+// ============================================================================
+
+describe('Graceful Shutdown', () => {
+  const shutdown = require('../src/shutdown');
+
+  it('should fail readiness, finish in-flight requests, then clean up', async () => {
+    const server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/api`;
+
+    chaos.faults.addRule({ method: 'GET', path: '/api', delayMs: 300 });
+    const hook = jest.fn();
+    shutdown.onShutdown('test', hook);
+    const exit = jest.fn();
+    redis.isOpen = true;
+
+    const inFlight = fetch(url);
+    // Streams never finish by themselves; draining has to end them
+    const stream = await fetch(url.replace('/api', '/api/logs/stream'), { headers: { 'x-auth-token': viewerToken } });
+    const streamEnded = stream.text();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const start = Date.now();
+    const done = shutdown.shutdown({ server, signal: 'SIGTERM', drainMs: 5000, exit });
+
+    const ready = await request(app).get('/ready').expect(503);
+    expect(ready.body.ready).toBe(false);
+    expect(ready.body.draining).toBe(true);
+
+    const response = await inFlight;
+    expect(response.status).toBe(200);
+
+    await streamEnded;
+    await done;
+    expect(Date.now() - start).toBeLessThan(5000);
+    expect(hook).toHaveBeenCalled();
+    expect(redis.quit).toHaveBeenCalled();
+    expect(exit).toHaveBeenCalledWith(0);
+    await expect(fetch(url)).rejects.toThrow();
+
+    chaos.faults.clearRules();
   });
 });